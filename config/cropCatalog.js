@@ -0,0 +1,257 @@
+// Crop catalog
+// Everything crop-specific lives here: varieties, stage sequence, days to harvest and photo cadence.
+// Adding a crop means adding one entry to `crops`.
+//
+// Stage day ranges are days after sowing seed for the crop's default duration (daysToHarvest.seed,
+// or the first listed method). getStageSchedule() stretches them to the chosen variety and shifts
+// them for transplanted seedlings, which are already some weeks old when planted.
+
+// Every stage a crop can go through, in order (also the growth analysis response enum)
+const GROWTH_STAGES = ['germination', 'vegetative', 'flowering', 'fruiting', 'maturity'];
+
+// Used for crops created before they were in the catalog
+const DEFAULT_DAYS_TO_HARVEST = 90;
+const DEFAULT_PHOTO_EVERY_DAYS = 4;
+
+const crops = {
+  tomato: {
+    label: 'Tomato',
+    daysToHarvest: { seed: 110, transplant: 75 },
+    varieties: {
+      hybrid: { daysToHarvest: { seed: 110, transplant: 75 } },
+      cherry: { daysToHarvest: { seed: 95, transplant: 65 } },
+      roma: { daysToHarvest: { seed: 115, transplant: 80 } },
+      desi: { daysToHarvest: { seed: 120, transplant: 85 } }
+    },
+    stages: [
+      { name: 'germination', days: [0, 10], photoEveryDays: 5 },
+      { name: 'vegetative', days: [11, 45], photoEveryDays: 4 },
+      { name: 'flowering', days: [46, 65], photoEveryDays: 3 },
+      { name: 'fruiting', days: [66, 100], photoEveryDays: 3 },
+      { name: 'maturity', days: [101, 110], photoEveryDays: 4 }
+    ]
+  },
+  chili: {
+    label: 'Chili',
+    daysToHarvest: { seed: 150, transplant: 100 },
+    varieties: {
+      hybrid: { daysToHarvest: { seed: 150, transplant: 100 } },
+      guntur: { daysToHarvest: { seed: 160, transplant: 110 } },
+      byadgi: { daysToHarvest: { seed: 165, transplant: 115 } },
+      jwala: { daysToHarvest: { seed: 140, transplant: 90 } }
+    },
+    stages: [
+      { name: 'germination', days: [0, 14], photoEveryDays: 5 },
+      { name: 'vegetative', days: [15, 70], photoEveryDays: 5 },
+      { name: 'flowering', days: [71, 95], photoEveryDays: 3 },
+      { name: 'fruiting', days: [96, 140], photoEveryDays: 3 },
+      { name: 'maturity', days: [141, 150], photoEveryDays: 4 }
+    ]
+  },
+  onion: {
+    label: 'Onion',
+    daysToHarvest: { seed: 150, transplant: 120 },
+    varieties: {
+      'nasik red': { daysToHarvest: { seed: 150, transplant: 120 } },
+      'bhima super': { daysToHarvest: { seed: 140, transplant: 110 } },
+      'agrifound dark red': { daysToHarvest: { seed: 155, transplant: 125 } },
+      white: { daysToHarvest: { seed: 145, transplant: 115 } }
+    },
+    // Bulbing is part of the vegetative stage; onions are harvested before they flower
+    stages: [
+      { name: 'germination', days: [0, 12], photoEveryDays: 5 },
+      { name: 'vegetative', days: [13, 120], photoEveryDays: 5 },
+      { name: 'maturity', days: [121, 150], photoEveryDays: 4 }
+    ]
+  },
+  potato: {
+    label: 'Potato',
+    // Grown from seed tubers, never transplanted
+    daysToHarvest: { seed: 90 },
+    varieties: {
+      'kufri jyoti': { daysToHarvest: { seed: 100 } },
+      'kufri pukhraj': { daysToHarvest: { seed: 80 } },
+      'kufri chandramukhi': { daysToHarvest: { seed: 85 } }
+    },
+    // Fruiting is tuber bulking
+    stages: [
+      { name: 'germination', days: [0, 20], photoEveryDays: 5 },
+      { name: 'vegetative', days: [21, 45], photoEveryDays: 4 },
+      { name: 'flowering', days: [46, 60], photoEveryDays: 3 },
+      { name: 'fruiting', days: [61, 80], photoEveryDays: 3 },
+      { name: 'maturity', days: [81, 90], photoEveryDays: 5 }
+    ]
+  },
+  wheat: {
+    label: 'Wheat',
+    daysToHarvest: { seed: 120 },
+    varieties: {
+      'hd 2967': { daysToHarvest: { seed: 140 } },
+      'lok 1': { daysToHarvest: { seed: 110 } },
+      sharbati: { daysToHarvest: { seed: 125 } }
+    },
+    // Flowering covers heading, fruiting covers grain filling
+    stages: [
+      { name: 'germination', days: [0, 10], photoEveryDays: 5 },
+      { name: 'vegetative', days: [11, 60], photoEveryDays: 6 },
+      { name: 'flowering', days: [61, 85], photoEveryDays: 4 },
+      { name: 'fruiting', days: [86, 110], photoEveryDays: 4 },
+      { name: 'maturity', days: [111, 120], photoEveryDays: 5 }
+    ]
+  },
+  rice: {
+    label: 'Rice',
+    daysToHarvest: { seed: 125, transplant: 100 },
+    varieties: {
+      basmati: { daysToHarvest: { seed: 145, transplant: 120 } },
+      'sona masuri': { daysToHarvest: { seed: 130, transplant: 105 } },
+      'ir 64': { daysToHarvest: { seed: 115, transplant: 95 } }
+    },
+    // Vegetative covers tillering, fruiting covers grain filling
+    stages: [
+      { name: 'germination', days: [0, 15], photoEveryDays: 5 },
+      { name: 'vegetative', days: [16, 65], photoEveryDays: 5 },
+      { name: 'flowering', days: [66, 90], photoEveryDays: 3 },
+      { name: 'fruiting', days: [91, 115], photoEveryDays: 4 },
+      { name: 'maturity', days: [116, 125], photoEveryDays: 5 }
+    ]
+  },
+  corn: {
+    label: 'Corn',
+    daysToHarvest: { seed: 100 },
+    varieties: {
+      hybrid: { daysToHarvest: { seed: 100 } },
+      'sweet corn': { daysToHarvest: { seed: 80 } },
+      popcorn: { daysToHarvest: { seed: 105 } }
+    },
+    // Flowering covers tasseling and silking
+    stages: [
+      { name: 'germination', days: [0, 10], photoEveryDays: 5 },
+      { name: 'vegetative', days: [11, 50], photoEveryDays: 4 },
+      { name: 'flowering', days: [51, 65], photoEveryDays: 3 },
+      { name: 'fruiting', days: [66, 90], photoEveryDays: 4 },
+      { name: 'maturity', days: [91, 100], photoEveryDays: 5 }
+    ]
+  },
+  lettuce: {
+    label: 'Lettuce',
+    daysToHarvest: { seed: 55, transplant: 45 },
+    varieties: {
+      'loose leaf': { daysToHarvest: { seed: 50, transplant: 40 } },
+      romaine: { daysToHarvest: { seed: 70, transplant: 60 } },
+      iceberg: { daysToHarvest: { seed: 80, transplant: 70 } }
+    },
+    // Harvested as leaves before it bolts
+    stages: [
+      { name: 'germination', days: [0, 10], photoEveryDays: 4 },
+      { name: 'vegetative', days: [11, 45], photoEveryDays: 3 },
+      { name: 'maturity', days: [46, 55], photoEveryDays: 3 }
+    ]
+  }
+};
+
+/**
+ * Crop types in the catalog
+ * @returns {Array<string>} Lowercase crop names
+ */
+function getCropTypes() {
+  return Object.keys(crops);
+}
+
+/**
+ * Catalog entry for a crop
+ * @param {string} cropType - Crop name (any case)
+ * @returns {object|null} Entry or null when the crop is not in the catalog
+ */
+function getCropProfile(cropType) {
+  return crops[(cropType || '').toLowerCase()] || null;
+}
+
+/**
+ * Planting methods a crop supports
+ * @param {string} cropType - Crop name
+ * @returns {Array<string>} e.g. ['seed', 'transplant']
+ */
+function getPlantingMethods(cropType) {
+  const profile = getCropProfile(cropType);
+  return profile ? Object.keys(profile.daysToHarvest) : ['seed', 'transplant'];
+}
+
+/**
+ * Catalog key for a variety (varieties are matched case-insensitively)
+ * @param {string} variety - Variety as entered
+ * @returns {string} Normalized variety name
+ */
+function normalizeVariety(variety) {
+  return (variety || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Days from planting to harvest
+ * @param {string} cropType - Crop name
+ * @param {object} options - variety, plantingMethod
+ * @returns {number} Days to harvest
+ */
+function getDaysToHarvest(cropType, { variety, plantingMethod = 'seed' } = {}) {
+  const profile = getCropProfile(cropType);
+  if (!profile) return DEFAULT_DAYS_TO_HARVEST;
+
+  const varietyEntry = variety ? profile.varieties[normalizeVariety(variety)] : null;
+  const days = (varietyEntry && varietyEntry.daysToHarvest) || profile.daysToHarvest;
+  return days[plantingMethod] || Object.values(days)[0];
+}
+
+/**
+ * Stage sequence with day ranges adjusted for variety and planting method
+ * Day numbers count from the crop's planting date, like CropPhoto.dayNumber
+ * @param {string} cropType - Crop name
+ * @param {object} options - variety, plantingMethod
+ * @returns {Array<object>} [{ name, startDay, endDay, photoEveryDays }], empty for unknown crops
+ */
+function getStageSchedule(cropType, { variety, plantingMethod = 'seed' } = {}) {
+  const profile = getCropProfile(cropType);
+  if (!profile) return [];
+
+  const baseMethod = profile.daysToHarvest.seed ? 'seed' : Object.keys(profile.daysToHarvest)[0];
+  const baseDays = profile.stages[profile.stages.length - 1].days[1];
+  const sowingDays = getDaysToHarvest(cropType, { variety, plantingMethod: baseMethod });
+  const scale = sowingDays / baseDays;
+
+  // Transplanted seedlings start this many days into the schedule
+  const offset = plantingMethod === baseMethod
+    ? 0
+    : sowingDays - getDaysToHarvest(cropType, { variety, plantingMethod });
+
+  return profile.stages
+    .map(stage => ({
+      name: stage.name,
+      startDay: Math.max(0, Math.round(stage.days[0] * scale) - offset),
+      endDay: Math.round(stage.days[1] * scale) - offset,
+      photoEveryDays: stage.photoEveryDays
+    }))
+    .filter(stage => stage.endDay > 0);
+}
+
+/**
+ * Routine interval between progress photos for a crop stage
+ * @param {string} cropType - Crop name
+ * @param {string} stageName - Growth stage
+ * @returns {number} Days between photos
+ */
+function getPhotoCadence(cropType, stageName) {
+  const profile = getCropProfile(cropType);
+  const stage = profile && profile.stages.find(entry => entry.name === stageName);
+  return stage ? stage.photoEveryDays : DEFAULT_PHOTO_EVERY_DAYS;
+}
+
+module.exports = {
+  GROWTH_STAGES,
+  crops,
+  getCropTypes,
+  getCropProfile,
+  getPlantingMethods,
+  normalizeVariety,
+  getDaysToHarvest,
+  getStageSchedule,
+  getPhotoCadence
+};
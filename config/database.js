@@ -1,3 +1,37 @@
 // MongoDB connection configuration
 // Shared database connection
 // Created: October 5, 2025
+const mongoose = require('mongoose');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/farm-expert';
+
+/**
+ * Connect mongoose to MongoDB
+ * @param {string} uri - Connection string (defaults to MONGODB_URI)
+ * @returns {Promise<mongoose.Connection>} Active connection
+ */
+async function connectDatabase(uri = MONGODB_URI) {
+  if (mongoose.connection.readyState === 1) {
+    return mongoose.connection;
+  }
+
+  await mongoose.connect(uri, {
+    serverSelectionTimeoutMS: 10000
+  });
+
+  console.log(`🗄️  MongoDB connected: ${mongoose.connection.name}`);
+  return mongoose.connection;
+}
+
+/**
+ * Close the shared connection
+ * @returns {Promise<void>}
+ */
+async function disconnectDatabase() {
+  await mongoose.disconnect();
+}
+
+module.exports = {
+  connectDatabase,
+  disconnectDatabase
+};
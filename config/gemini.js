@@ -0,0 +1,44 @@
+// Gemini client configuration
+// Defaults come from the environment; each call site can override model and generation settings
+
+const defaults = {
+  model: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+  temperature: 0.4,
+  maxTokens: 4096,
+  timeoutMs: parseInt(process.env.GEMINI_TIMEOUT_MS, 10) || 30000,
+  maxAttempts: parseInt(process.env.GEMINI_MAX_ATTEMPTS, 10) || 3,
+  retryBaseDelayMs: 1000
+};
+
+// Per call site overrides (merged over defaults)
+const callSites = {
+  plantAnalysis: {},
+  productAnalysis: {},
+  consultation: {},
+  smartSolution: {},
+  expertAdvice: {},
+  conversation: {},
+  // Folding old conversation turns into a short summary
+  conversationSummary: {
+    temperature: 0.2,
+    maxTokens: 1024
+  },
+  growthAnalysis: {
+    model: process.env.GEMINI_GROWTH_MODEL || 'gemini-2.0-flash'
+  }
+};
+
+/**
+ * Resolve the settings for a call site
+ * @param {string} callSite - Name of the call site (e.g. 'plantAnalysis')
+ * @returns {object} Merged configuration
+ */
+function getCallSiteConfig(callSite) {
+  return { ...defaults, ...(callSites[callSite] || {}) };
+}
+
+module.exports = {
+  defaults,
+  callSites,
+  getCallSiteConfig
+};
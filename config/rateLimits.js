@@ -0,0 +1,44 @@
+// Rate limit and AI quota configuration
+// Limits per plan tier; env vars override the free tier defaults
+
+const plans = {
+  free: {
+    requestsPerMinute: parseInt(process.env.FREE_REQUESTS_PER_MINUTE, 10) || 30,
+    dailyAiCalls: parseInt(process.env.FREE_DAILY_AI_CALLS, 10) || 20
+  },
+  pro: {
+    requestsPerMinute: parseInt(process.env.PRO_REQUESTS_PER_MINUTE, 10) || 120,
+    dailyAiCalls: parseInt(process.env.PRO_DAILY_AI_CALLS, 10) || 200
+  },
+  admin: {
+    requestsPerMinute: 600,
+    dailyAiCalls: Infinity
+  }
+};
+
+// Applies to every request, signed in or not
+const ip = {
+  requestsPerMinute: parseInt(process.env.IP_REQUESTS_PER_MINUTE, 10) || 60
+};
+
+// Daily quotas reset at local midnight (default IST, UTC+5:30)
+const quotaUtcOffsetMinutes = process.env.QUOTA_UTC_OFFSET_MINUTES !== undefined
+  ? parseInt(process.env.QUOTA_UTC_OFFSET_MINUTES, 10)
+  : 330;
+
+/**
+ * Limits for a user, by role and plan
+ * @param {object} user - { role, plan }
+ * @returns {object} { requestsPerMinute, dailyAiCalls }
+ */
+function getPlanLimits(user) {
+  if (user && user.role === 'admin') return plans.admin;
+  return plans[user && user.plan] || plans.free;
+}
+
+module.exports = {
+  plans,
+  ip,
+  quotaUtcOffsetMinutes,
+  getPlanLimits
+};
@@ -0,0 +1,49 @@
+const { verifyToken, toPublicUser } = require('../services/authService');
+const { getUserStore } = require('../services/userStore');
+
+/**
+ * Authentication middleware
+ * Requires "Authorization: Bearer <token>" and sets req.user to the signed-in user
+ */
+async function requireAuth(req, res, next) {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  try {
+    const payload = verifyToken(token);
+    const user = await getUserStore().findById(payload.sub);
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Account no longer exists' });
+    }
+
+    req.user = toPublicUser(user);
+    next();
+  } catch (error) {
+    if (error.statusCode === 401) {
+      return res.status(401).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+}
+
+/**
+ * Restrict a route to one role (use after requireAuth)
+ * @param {string} role - Required role, e.g. 'admin'
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user || req.user.role !== role) {
+      return res.status(403).json({ success: false, error: 'Not allowed' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  requireAuth,
+  requireRole
+};
@@ -0,0 +1,103 @@
+const { MemoryCounterStore } = require('../services/counterStore');
+const { consumeAiCall, refundAiCall } = require('../services/quotaService');
+const { ip, getPlanLimits } = require('../config/rateLimits');
+
+/**
+ * Rate limiting middleware
+ * Per-IP and per-user request rates (fixed one-minute windows, in memory) and daily AI quotas
+ */
+
+const MINUTE_MS = 60 * 1000;
+const rateStore = new MemoryCounterStore();
+
+function sendTooManyRequests(res, retryAfterMs, error) {
+  res.set('Retry-After', String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+  res.status(429).json({ success: false, error, retryAfterSeconds: Math.max(1, Math.ceil(retryAfterMs / 1000)) });
+}
+
+/**
+ * Build a fixed-window rate limiter
+ * @param {object} options - keyPrefix, getKey(req), getLimit(req), windowMs, message
+ * @returns {Function} Express middleware
+ */
+function createRateLimiter({ keyPrefix, getKey, getLimit, windowMs = MINUTE_MS, message }) {
+  return async (req, res, next) => {
+    try {
+      const now = Date.now();
+      const windowStart = Math.floor(now / windowMs) * windowMs;
+      const resetAt = new Date(windowStart + windowMs);
+      const limit = getLimit(req);
+
+      const count = await rateStore.increment(`${keyPrefix}:${getKey(req)}:${windowStart}`, resetAt);
+
+      res.set('X-RateLimit-Limit', String(limit));
+      res.set('X-RateLimit-Remaining', String(Math.max(0, limit - count)));
+      res.set('X-RateLimit-Reset', String(Math.ceil(resetAt.getTime() / 1000)));
+
+      if (count > limit) {
+        return sendTooManyRequests(res, resetAt.getTime() - now, message);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Every request, by client IP
+const ipRateLimit = createRateLimiter({
+  keyPrefix: 'ip',
+  getKey: req => req.ip,
+  getLimit: () => ip.requestsPerMinute,
+  message: 'Too many requests from this network, please slow down'
+});
+
+// Signed-in requests, by user and plan (use after requireAuth)
+const userRateLimit = createRateLimiter({
+  keyPrefix: 'user',
+  getKey: req => req.user.userId,
+  getLimit: req => getPlanLimits(req.user).requestsPerMinute,
+  message: 'Too many requests, please slow down'
+});
+
+/**
+ * Count the request against the user's daily AI quota (use after requireAuth)
+ * Calls that end in an error response are refunded
+ */
+async function aiQuota(req, res, next) {
+  try {
+    const quota = await consumeAiCall(req.user);
+
+    if (quota.limit !== null) {
+      res.set('X-AI-Quota-Limit', String(quota.limit));
+      res.set('X-AI-Quota-Remaining', String(quota.remaining));
+      res.set('X-AI-Quota-Reset', String(Math.ceil(quota.resetAt.getTime() / 1000)));
+    }
+
+    if (!quota.allowed) {
+      return sendTooManyRequests(
+        res,
+        quota.resetAt.getTime() - Date.now(),
+        `Daily AI analysis limit of ${quota.limit} reached. It resets at ${quota.resetAt.toISOString()}`
+      );
+    }
+
+    // Handlers that refund or hand the call on (background jobs) use the day it was counted on
+    req.quotaDay = quota.dayKey;
+    res.on('finish', () => {
+      if (res.statusCode >= 400) {
+        refundAiCall(req.user, quota.dayKey).catch(error => console.error('Quota refund failed:', error.message));
+      }
+    });
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  createRateLimiter,
+  ipRateLimit,
+  userRateLimit,
+  aiQuota
+};
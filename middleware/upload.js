@@ -0,0 +1,81 @@
+const fs = require('fs');
+const multer = require('multer');
+const { MAX_IMAGES } = require('../services/imageService');
+
+/**
+ * Upload middleware
+ * Multer setup shared by every route that takes photos. Files land in uploads/ as temp files;
+ * the route removes them when done (validate() does it for rejected requests).
+ * Upload errors (too large, too many files) get the same 400 shape as validation errors.
+ */
+
+const MAX_FILE_MB = 10;
+
+const upload = multer({
+  dest: 'uploads/',
+  limits: { fileSize: MAX_FILE_MB * 1024 * 1024 }
+});
+
+function uploadErrorMessage(error) {
+  if (error.code === 'LIMIT_FILE_SIZE') return `must be at most ${MAX_FILE_MB}MB`;
+  if (error.code === 'LIMIT_UNEXPECTED_FILE' && error.field === 'images') {
+    return `at most ${MAX_IMAGES} images are allowed`;
+  }
+  if (error.code === 'LIMIT_UNEXPECTED_FILE') return 'is not an accepted file field';
+  return error.message;
+}
+
+/**
+ * Uploaded files in request order ("image" first, then "images")
+ * @param {object} req - Express request after multer
+ * @returns {Array<object>} Multer files
+ */
+function getUploadedFiles(req) {
+  const files = [];
+  if (req.file) files.push(req.file);
+  if (Array.isArray(req.files)) files.push(...req.files);
+  else if (req.files) {
+    files.push(...(req.files.image || []), ...(req.files.images || []));
+  }
+  return files;
+}
+
+/**
+ * Delete a request's temp files (ones already moved away are ignored)
+ * @param {object} req - Express request after multer
+ */
+function removeUploadedFiles(req) {
+  getUploadedFiles(req).forEach(file => {
+    fs.unlink(file.path, () => {});
+  });
+}
+
+// Answer multer errors with a 400 instead of passing them to the error handler
+function withUploadErrors(middleware) {
+  return (req, res, next) => middleware(req, res, error => {
+    if (!(error instanceof multer.MulterError)) return next(error);
+
+    removeUploadedFiles(req);
+    res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: [{ field: error.field || 'image', message: uploadErrorMessage(error) }]
+    });
+  });
+}
+
+// One photo in the "image" field
+const singleImage = withUploadErrors(upload.single('image'));
+
+// Several photos in "images"; a single "image" is still accepted from older clients
+const imageUploads = withUploadErrors(upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: MAX_IMAGES }
+]));
+
+module.exports = {
+  singleImage,
+  imageUploads,
+  getUploadedFiles,
+  removeUploadedFiles
+};
@@ -0,0 +1,161 @@
+const { getUploadedFiles, removeUploadedFiles } = require('./upload');
+
+/**
+ * Request validation middleware
+ * Checks req.body / req.query / uploaded files against a declarative schema (see schemas/requestSchemas.js).
+ * Values are coerced in place (multipart and query values arrive as strings), and every problem is
+ * reported in one 400 response: { success: false, error: 'Validation failed', details: [{ field, message }] }
+ */
+
+/**
+ * Check and coerce a single value
+ * @param {*} value - Raw value
+ * @param {object} rule - { type, required, enum, min, max, minLength, maxLength, pattern, lowercase, properties,
+ *   items, maxItems }
+ * @param {string} field - Field path for messages
+ * @param {Array<object>} errors - Collected problems
+ * @returns {*} Coerced value (undefined when absent)
+ */
+function checkValue(value, rule, field, errors) {
+  const missing = value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+  if (missing) {
+    if (rule.required) errors.push({ field, message: 'is required' });
+    return rule.default;
+  }
+
+  let coerced = value;
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push({ field, message: 'must be text' });
+        return undefined;
+      }
+      coerced = rule.lowercase ? value.trim().toLowerCase() : value.trim();
+      if (rule.minLength !== undefined && coerced.length < rule.minLength) {
+        errors.push({ field, message: `must be at least ${rule.minLength} characters` });
+      }
+      if (rule.maxLength !== undefined && coerced.length > rule.maxLength) {
+        errors.push({ field, message: `must be at most ${rule.maxLength} characters` });
+      }
+      if (rule.pattern && !rule.pattern.test(coerced)) {
+        errors.push({ field, message: rule.patternMessage || 'has an invalid format' });
+      }
+      break;
+    case 'number':
+    case 'integer':
+      coerced = typeof value === 'string' ? Number(value) : value;
+      if (typeof coerced !== 'number' || Number.isNaN(coerced)) {
+        errors.push({ field, message: 'must be a number' });
+        return undefined;
+      }
+      if (rule.type === 'integer' && !Number.isInteger(coerced)) {
+        errors.push({ field, message: 'must be a whole number' });
+      }
+      if (rule.min !== undefined && coerced < rule.min) {
+        errors.push({ field, message: `must be at least ${rule.min}` });
+      }
+      if (rule.max !== undefined && coerced > rule.max) {
+        errors.push({ field, message: `must be at most ${rule.max}` });
+      }
+      break;
+    case 'boolean':
+      if (value === 'true' || value === true) coerced = true;
+      else if (value === 'false' || value === false) coerced = false;
+      else errors.push({ field, message: 'must be true or false' });
+      break;
+    case 'date':
+      coerced = new Date(value);
+      if (Number.isNaN(coerced.getTime())) {
+        errors.push({ field, message: 'must be a valid date' });
+        return undefined;
+      }
+      break;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push({ field, message: 'must be an object' });
+        return undefined;
+      }
+      coerced = checkFields(value, rule.properties || {}, errors, `${field}.`);
+      break;
+    case 'list':
+      return checkList(value, rule, field, errors);
+    default:
+      break;
+  }
+
+  if (rule.enum && !rule.enum.includes(coerced)) {
+    errors.push({ field, message: `must be one of: ${rule.enum.join(', ')}` });
+  }
+
+  return coerced;
+}
+
+/**
+ * Check every declared field of a source object; undeclared fields are kept as they are
+ * @returns {object} Source with coerced values
+ */
+function checkFields(source, fields, errors, prefix = '') {
+  const result = { ...source };
+  Object.entries(fields).forEach(([name, rule]) => {
+    const value = checkValue(source[name], rule, `${prefix}${name}`, errors);
+    if (value !== undefined) result[name] = value;
+  });
+  return result;
+}
+
+/**
+ * Check a positional list: repeated form fields arrive as an array, a single one as a string,
+ * and "a,b" is split as well. Empty entries are kept as null so later positions stay aligned.
+ * @returns {Array|undefined} Checked items
+ */
+function checkList(value, rule, field, errors) {
+  const entries = (Array.isArray(value) ? value : [value])
+    .flatMap(entry => (typeof entry === 'string' ? entry.split(',') : [entry]));
+
+  if (rule.maxItems !== undefined && entries.length > rule.maxItems) {
+    errors.push({ field, message: `must have at most ${rule.maxItems} entries` });
+    return undefined;
+  }
+
+  return entries.map((entry, index) => {
+    const item = checkValue(entry, rule.items || {}, `${field}[${index}]`, errors);
+    return item === undefined ? null : item;
+  });
+}
+
+/**
+ * Build validation middleware (place after multer for multipart routes)
+ * @param {object} schema - { body, query, file: { name, required, maxCount } }
+ * @returns {Function} Express middleware
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    const errors = [];
+
+    if (schema.file) {
+      const fileCount = getUploadedFiles(req).length;
+      if (schema.file.required && fileCount === 0) {
+        errors.push({ field: schema.file.name, message: 'image file is required' });
+      }
+      if (schema.file.maxCount !== undefined && fileCount > schema.file.maxCount) {
+        errors.push({ field: schema.file.name, message: `at most ${schema.file.maxCount} images are allowed` });
+      }
+    }
+    if (schema.body) {
+      req.body = checkFields(req.body || {}, schema.body, errors);
+    }
+    if (schema.query) {
+      req.query = checkFields(req.query || {}, schema.query, errors);
+    }
+
+    if (errors.length > 0) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  validate
+};
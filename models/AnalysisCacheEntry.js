@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+/**
+ * AnalysisCacheEntry Schema for cached analysis results
+ * key is a hash of the analysis type, model, normalized prompt inputs and image bytes;
+ * entries expire automatically after the cache TTL
+ */
+const analysisCacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  // runAnalysis() result: { data, parseStatus, validationErrors? }
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+analysisCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AnalysisCacheEntry', analysisCacheEntrySchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+/**
+ * AnalysisJob Schema for analyses submitted with async=true
+ * Queued jobs wait here until a worker claims them, so they survive a restart; a running job holds a lease
+ * that its worker renews, and jobs whose lease ran out (e.g. the server died) go back to the queue.
+ * Finished jobs expire after the retention period.
+ */
+const analysisJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    unique: true,
+    default: () => `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed'],
+    default: 'queued'
+  },
+  // Validated request fields (images are kept in photo storage under jobs/<jobId>)
+  input: mongoose.Schema.Types.Mixed,
+  images: [{
+    index: Number,
+    role: String,
+    label: String,
+    key: String,
+    width: Number,
+    height: Number
+  }],
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Quota day (YYYY-MM-DD) the submission was counted on; failed jobs are refunded to it
+  quotaDay: String,
+  workerId: String,
+  leaseExpiresAt: Date,
+  // Response body the synchronous route would have sent
+  result: mongoose.Schema.Types.Mixed,
+  error: {
+    message: String,
+    name: String,
+    statusCode: Number
+  },
+  webhook: {
+    url: String,
+    status: {
+      type: String,
+      enum: ['pending', 'delivered', 'failed']
+    },
+    attempts: Number,
+    nextAttemptAt: Date,
+    lastError: String,
+    deliveredAt: Date
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+// Workers claim the oldest queued job; recovery looks for expired leases
+analysisJobSchema.index({ status: 1, createdAt: 1 });
+analysisJobSchema.index({ status: 1, leaseExpiresAt: 1 });
+analysisJobSchema.index({ 'webhook.status': 1, 'webhook.nextAttemptAt': 1 });
+analysisJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AnalysisJob', analysisJobSchema);
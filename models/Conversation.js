@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * Conversation Schema for multi-turn consultations
+ * Keeps every message for the farmer's history; Gemini only gets the recent turns plus `summary`,
+ * which covers the first `summarizedCount` messages.
+ */
+const messageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'model'],
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const conversationSchema = new mongoose.Schema({
+  conversationId: {
+    type: String,
+    unique: true,
+    default: () => `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  title: String,
+  // Optional links that add the crop's details or the scan's diagnosis to every turn
+  cropId: String,
+  scanId: String,
+  plantName: String,
+  language: {
+    type: String,
+    default: 'en'
+  },
+  location: String,
+  latitude: Number,
+  longitude: Number,
+  messages: [messageSchema],
+  summary: String,
+  summarizedCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ userId: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
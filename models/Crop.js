@@ -37,12 +37,38 @@ const cropSchema = new mongoose.Schema({
     latitude: { type: Number, required: true },
     longitude: { type: Number, required: true },
     city: String,
-    state: String
+    state: String,
+    // Filled from the offline region dataset (regionService)
+    district: String,
+    agroClimaticZone: String
   },
   currentStage: {
     type: String,
     default: 'germination'
   },
+  // Every stage the crop has entered, oldest first
+  stageHistory: [{
+    stage: { type: String, required: true },
+    dayNumber: Number,
+    enteredAt: { type: Date, default: Date.now },
+    source: {
+      type: String,
+      enum: ['planting', 'photo', 'manual'],
+      default: 'photo'
+    },
+    photoId: String
+  }],
+  // Latest comparison of the crop's stage with the crop catalog schedule
+  stageProgress: {
+    status: {
+      type: String,
+      enum: ['on_track', 'behind', 'ahead', 'unknown'],
+      default: 'unknown'
+    },
+    expectedStage: String,
+    daysBehind: Number, // Negative when ahead of schedule
+    checkedAt: Date
+  },
   status: {
     type: String,
     enum: ['active', 'completed', 'abandoned'],
@@ -61,9 +87,22 @@ cropSchema.virtual('daysActive').get(function() {
   return Math.floor((Date.now() - this.plantingDate) / (1000 * 60 * 60 * 24));
 });
 
-// Method: update current stage
-cropSchema.methods.updateStage = function(newStage) {
+// Method: set current stage and add it to the stage history (does not save)
+cropSchema.methods.recordStage = function(newStage, details = {}) {
   this.currentStage = newStage;
+  this.stageHistory.push({
+    stage: newStage,
+    dayNumber: details.dayNumber !== undefined ? details.dayNumber : this.daysActive,
+    enteredAt: details.enteredAt || new Date(),
+    source: details.source,
+    photoId: details.photoId
+  });
+  return this;
+};
+
+// Method: update current stage
+cropSchema.methods.updateStage = function(newStage, details = {}) {
+  this.recordStage(newStage, details);
   return this.save();
 };
 
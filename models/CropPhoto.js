@@ -21,6 +21,7 @@ const cropPhotoSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Authenticated app path of the first image (GET /uploads/crops/:cropId/:fileName)
   imageUrl: {
     type: String,
     required: true
@@ -29,6 +30,21 @@ const cropPhotoSchema = new mongoose.Schema({
     type: String,
     optional: true
   },
+  // Storage keys of the first image (see photoStorageService)
+  imageKey: String,
+  thumbnailKey: String,
+  // Every image of a multi-image upload in upload order; the fields above are the first one
+  images: [{
+    index: Number,
+    role: {
+      type: String,
+      enum: ['whole_plant', 'leaf_top', 'leaf_underside', 'fruit', 'root']
+    },
+    imageKey: String,
+    thumbnailKey: String,
+    imageUrl: String,
+    thumbnailUrl: String
+  }],
   analysis: {
     healthScore: {
       type: Number,
@@ -37,6 +53,8 @@ const cropPhotoSchema = new mongoose.Schema({
     },
     growthStage: String,
     issues: [String],
+    // Normalized code per issue (same order), e.g. early_blight
+    issueCodes: [String],
     observations: String,
     recommendations: [String],
     nextPhotoDate: Date,
@@ -45,8 +63,29 @@ const cropPhotoSchema = new mongoose.Schema({
       type: String,
       enum: ['routine', 'important', 'critical', 'urgent'],
       default: 'routine'
+    },
+    // Which image (images[].index) the analysis relied on most
+    imageEvidence: {
+      primaryImage: Number,
+      reason: String
     }
   },
+  // How the server treated the analysis growthStage (see growthStageService)
+  stageAssessment: {
+    reportedStage: String,
+    acceptedStage: String,
+    transition: {
+      type: String,
+      enum: ['advanced', 'unchanged', 'rejected', 'unrecognized']
+    },
+    reason: String,
+    expectedStage: String,
+    scheduleStatus: {
+      type: String,
+      enum: ['on_track', 'behind', 'ahead', 'unknown']
+    },
+    daysBehind: Number
+  },
   metadata: {
     uploadedAt: {
       type: Date,
@@ -66,7 +105,7 @@ const cropPhotoSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Compound index for efficient queries
-cropPhotoSchema.index({ cropId: 1, dayNumber: 1 });
+// Compound index for per-crop queries; also serves the latest-photo-first sort of the reminder scheduler
+cropPhotoSchema.index({ cropId: 1, dayNumber: -1, createdAt: -1 });
 
 module.exports = mongoose.model('CropPhoto', cropPhotoSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * Notification Schema for per-user in-app notifications
+ * dedupeKey makes system notifications idempotent (one reminder per photo, one alert per analysis)
+ */
+const notificationSchema = new mongoose.Schema({
+  notificationId: {
+    type: String,
+    unique: true,
+    default: () => `notif_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['photo_due', 'photo_overdue', 'photo_escalation', 'analysis_alert', 'custom'],
+    default: 'custom'
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  priority: {
+    type: String,
+    enum: ['normal', 'high'],
+    default: 'normal'
+  },
+  data: {
+    cropId: String,
+    photoId: String
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+  dedupeKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  }
+}, {
+  timestamps: true
+});
+
+// Inbox listing: newest first per user, optionally unread only
+notificationSchema.index({ userId: 1, read: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * Scan Schema for plant diagnosis history
+ * One record per /analyze-plant diagnosis (or manual /record-scan), used by /analytics
+ */
+const scanSchema = new mongoose.Schema({
+  scanId: {
+    type: String,
+    unique: true,
+    default: () => `scan_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  },
+  userId: {
+    type: String,
+    index: true
+  },
+  cropId: {
+    type: String,
+    ref: 'Crop'
+  },
+  cropType: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  location: {
+    text: String,
+    region: {
+      type: String,
+      trim: true
+    },
+    latitude: Number,
+    longitude: Number
+  },
+  diagnosis: {
+    name: {
+      type: String,
+      required: true
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    severityLevel: String,
+    severityScale: {
+      type: Number,
+      min: 0,
+      max: 10
+    }
+  },
+  // Photos of the diagnosis, stored under scans/<userId> (see photoStorageService)
+  images: [{
+    index: Number,
+    role: String,
+    imageKey: String,
+    thumbnailKey: String
+  }],
+  isHealthy: {
+    type: Boolean,
+    default: false
+  },
+  source: {
+    type: String,
+    enum: ['analyze-plant', 'manual'],
+    default: 'analyze-plant'
+  },
+  scannedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+// Analytics filters by date range plus region or crop
+scanSchema.index({ scannedAt: -1, 'location.region': 1 });
+scanSchema.index({ scannedAt: -1, cropType: 1 });
+
+module.exports = mongoose.model('Scan', scanSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+/**
+ * UsageCounter Schema for fixed-window usage counts (daily AI quotas)
+ * Documents expire automatically once their window is over
+ */
+const usageCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+usageCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UsageCounter', usageCounterSchema);
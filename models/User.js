@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * User Schema for farmer accounts
+ * Passwords are stored only as scrypt hashes (see services/authService.js)
+ */
+const userSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    unique: true,
+    default: () => `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  },
+  phone: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['farmer', 'admin'],
+    default: 'farmer'
+  },
+  plan: {
+    type: String,
+    enum: ['free', 'pro'],
+    default: 'free'
+  },
+  lastLoginAt: Date
+}, {
+  timestamps: true
+});
+
+// Never send the password hash to clients
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,24 @@
+const express = require('express');
+const { keyPool } = require('../services/apiKeyPool');
+const { requireAuth, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireAuth, requireRole('admin'));
+
+/**
+ * Gemini key pool health and usage (keys are identified by id and fingerprint only)
+ * GET /admin/api-keys
+ */
+router.get('/api-keys', (req, res) => {
+  const keys = keyPool.getStatus();
+  res.json({
+    success: true,
+    total: keys.length,
+    healthy: keys.filter(key => key.status === 'healthy').length,
+    keys,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const { registerUser, loginUser } = require('../services/authService');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/requestSchemas');
+
+const router = express.Router();
+
+function sendError(res, error, context) {
+  const status = error.statusCode || 500;
+  if (status >= 500) console.error(`${context} error:`, error);
+  res.status(status).json({ success: false, error: error.message });
+}
+
+/**
+ * Create an account
+ * POST /api/auth/register { phone, password, name }
+ */
+router.post('/register', validate(schemas.register), async (req, res) => {
+  try {
+    const result = await registerUser(req.body);
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Register');
+  }
+});
+
+/**
+ * Exchange phone and password for a token
+ * POST /api/auth/login { phone, password }
+ */
+router.post('/login', validate(schemas.login), async (req, res) => {
+  try {
+    const result = await loginUser(req.body);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Login');
+  }
+});
+
+/**
+ * Current user
+ * GET /api/auth/me
+ */
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
+module.exports = router;
@@ -0,0 +1,111 @@
+const express = require('express');
+const {
+  startConversation,
+  sendMessage,
+  getConversation,
+  listConversations,
+  deleteConversation,
+  toPublicConversation
+} = require('../services/conversationService');
+const { requireAuth } = require('../middleware/auth');
+const { userRateLimit, aiQuota } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/requestSchemas');
+
+const router = express.Router();
+
+router.use(requireAuth, userRateLimit);
+
+/**
+ * Map service and Gemini errors to HTTP responses
+ * @param {object} res - Express response
+ * @param {Error} error - Thrown error
+ * @param {string} context - Log label
+ */
+function sendError(res, error, context) {
+  console.error(`${context} error:`, error);
+  res.status(error.statusCode || 500).json({ success: false, error: error.message, errorType: error.name });
+}
+
+/**
+ * Load :conversationId into req.conversation; conversations of other users look the same as missing ones
+ */
+router.param('conversationId', async (req, res, next, conversationId) => {
+  try {
+    const conversation = await getConversation(conversationId, req.user.userId);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+    req.conversation = conversation;
+    next();
+  } catch (error) {
+    sendError(res, error, 'Load conversation');
+  }
+});
+
+/**
+ * Start a conversation with its first message, optionally about a tracked crop (cropId) or a past scan (scanId)
+ * POST /conversations
+ */
+router.post('/', aiQuota, validate(schemas.startConversation), async (req, res) => {
+  try {
+    const { conversation, reply } = await startConversation(req.user, req.body);
+    res.status(201).json({ success: true, conversation: toPublicConversation(conversation), reply });
+  } catch (error) {
+    sendError(res, error, 'Start conversation');
+  }
+});
+
+/**
+ * The signed-in user's conversations, most recently active first (without messages)
+ * GET /conversations
+ */
+router.get('/', async (req, res) => {
+  try {
+    const conversations = await listConversations(req.user.userId);
+    res.json({ success: true, count: conversations.length, conversations: conversations.map(toPublicConversation) });
+  } catch (error) {
+    sendError(res, error, 'List conversations');
+  }
+});
+
+/**
+ * A conversation with all its messages
+ * GET /conversations/:conversationId
+ */
+router.get('/:conversationId', (req, res) => {
+  res.json({ success: true, conversation: toPublicConversation(req.conversation) });
+});
+
+/**
+ * Ask a follow-up question; 409 when another message was stored while this one was answered (retry it)
+ * POST /conversations/:conversationId/messages
+ */
+router.post('/:conversationId/messages', aiQuota, validate(schemas.conversationMessage), async (req, res) => {
+  try {
+    const { conversation, reply } = await sendMessage(req.conversation, req.body.message, req.user);
+    res.status(201).json({
+      success: true,
+      conversationId: conversation.conversationId,
+      messageCount: conversation.messages.length,
+      reply
+    });
+  } catch (error) {
+    sendError(res, error, 'Conversation message');
+  }
+});
+
+/**
+ * Delete a conversation
+ * DELETE /conversations/:conversationId
+ */
+router.delete('/:conversationId', async (req, res) => {
+  try {
+    await deleteConversation(req.conversation.conversationId);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Delete conversation');
+  }
+});
+
+module.exports = router;
@@ -1,52 +1,41 @@
 const express = require('express');
-const multer = require('multer');
 const { analyzeGrowthPhoto, calculateNextPhotoDate } = require('../services/cropTrackingService');
+const { getWeatherService } = require('../services/weatherService');
+const { preprocessImage } = require('../services/imageService');
+const { requireAuth } = require('../middleware/auth');
+const { userRateLimit, aiQuota } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { singleImage, removeUploadedFiles } = require('../middleware/upload');
+const schemas = require('../schemas/requestSchemas');
 
 const router = express.Router();
-const upload = multer({ dest: 'uploads/', limits: { fileSize: 10 * 1024 * 1024 } });
+
+router.use(requireAuth, userRateLimit);
 
 /**
  * Test endpoint for crop photo analysis
  * POST /api/crop-test/analyze-photo
  */
-router.post('/analyze-photo', upload.single('image'), async (req, res) => {
+router.post('/analyze-photo', aiQuota, singleImage, validate(schemas.analyzeTestPhoto), async (req, res) => {
   try {
-    const { cropType, dayNumber, previousSummary, language } = req.body;
-    
-    // Validation
-    if (!cropType) {
-      return res.status(400).json({ error: 'cropType is required' });
-    }
-    
-    if (!req.file) {
-      return res.status(400).json({ error: 'Image file is required' });
-    }
+    const { cropType, dayNumber, previousSummary, language, latitude, longitude } = req.body;
     
-    // Valid crop types
-    const validCrops = ['tomato', 'chili', 'onion', 'potato', 'wheat', 'rice', 'corn', 'lettuce'];
-    if (!validCrops.includes(cropType.toLowerCase())) {
-      return res.status(400).json({ 
-        error: 'Invalid cropType', 
-        validTypes: validCrops 
-      });
-    }
-    
-    // Read uploaded image
-    const fs = require('fs');
-    const imageBuffer = fs.readFileSync(req.file.path);
-    const imageBase64 = imageBuffer.toString('base64');
+    // Validate and prepare the uploaded image; the preprocessed copy is all that is needed from here on
+    const image = await preprocessImage(req.file);
+    removeUploadedFiles(req);
     
     // Prepare crop info
     const cropInfo = {
-      cropType: cropType.toLowerCase(),
+      cropType,
       dayNumber: parseInt(dayNumber) || 1,
-      language: language || 'en'
+      language: language || 'en',
+      weatherReport: await getWeatherService().getWeatherContext({ latitude, longitude })
     };
     
     // Analyze photo with AI
     const analysis = await analyzeGrowthPhoto(
       'test_crop_id', 
-      imageBase64, 
+      image, 
       previousSummary || null, 
       cropInfo
     );
@@ -58,15 +47,13 @@ router.post('/analyze-photo', upload.single('image'), async (req, res) => {
       analysis.growthStage
     );
     
-    // Clean up uploaded file
-    fs.unlinkSync(req.file.path);
-    
     res.json({
       success: true,
       analysis: {
         healthScore: analysis.healthScore,
         growthStage: analysis.growthStage,
         issues: analysis.issues,
+        issueCodes: analysis.issueCodes,
         observations: analysis.observations,
         recommendations: analysis.recommendations,
         urgency: analysis.urgency
@@ -83,17 +70,9 @@ router.post('/analyze-photo', upload.single('image'), async (req, res) => {
   } catch (error) {
     console.error('Crop test analysis error:', error);
     
-    // Clean up file if exists
-    if (req.file) {
-      try {
-        const fs = require('fs');
-        fs.unlinkSync(req.file.path);
-      } catch (cleanupError) {
-        console.error('File cleanup error:', cleanupError);
-      }
-    }
+    removeUploadedFiles(req);
     
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       error: 'Analysis failed', 
       message: error.message,
       success: false 
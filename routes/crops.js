@@ -0,0 +1,223 @@
+const express = require('express');
+const {
+  createCrop,
+  listCrops,
+  getCrop,
+  updateCrop,
+  setCropStatus,
+  deleteCrop,
+  addCropPhoto,
+  deleteCropPhoto,
+  getPhotoTimeline
+} = require('../services/cropTrackingService');
+const { getHealthTrend } = require('../services/healthTrendService');
+const { withSignedUrls } = require('../services/photoStorageService');
+const { requireAuth } = require('../middleware/auth');
+const { userRateLimit, aiQuota } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { imageUploads, getUploadedFiles, removeUploadedFiles } = require('../middleware/upload');
+const schemas = require('../schemas/requestSchemas');
+
+const router = express.Router();
+
+router.use(requireAuth, userRateLimit);
+
+/**
+ * Map service and mongoose errors to HTTP responses
+ * @param {object} res - Express response
+ * @param {Error} error - Thrown error
+ * @param {string} context - Log label
+ */
+function sendError(res, error, context) {
+  console.error(`${context} error:`, error);
+
+  let status = error.statusCode || 500;
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    status = 400;
+  }
+
+  res.status(status).json({ success: false, error: error.message });
+}
+
+/**
+ * Load :cropId into req.crop; 404 when it does not exist, 403 when it belongs to someone else
+ */
+router.param('cropId', async (req, res, next, cropId) => {
+  try {
+    const crop = await getCrop(cropId);
+    if (!crop) {
+      return res.status(404).json({ success: false, error: 'Crop not found' });
+    }
+    if (crop.userId !== req.user.userId) {
+      return res.status(403).json({ success: false, error: 'Not allowed' });
+    }
+    req.crop = crop;
+    next();
+  } catch (error) {
+    sendError(res, error, 'Load crop');
+  }
+});
+
+/**
+ * Create a crop for the signed-in user
+ * POST /api/crops
+ */
+router.post('/', validate(schemas.createCrop), async (req, res) => {
+  try {
+    const crop = await createCrop({ ...req.body, userId: req.user.userId });
+    res.status(201).json({ success: true, crop });
+  } catch (error) {
+    sendError(res, error, 'Create crop');
+  }
+});
+
+/**
+ * List the signed-in user's crops, filtered by status and cropType
+ * GET /api/crops?status=&cropType=
+ */
+router.get('/', validate(schemas.listCrops), async (req, res) => {
+  try {
+    const { status, cropType } = req.query;
+    const crops = await listCrops({ userId: req.user.userId, status, cropType });
+    res.json({ success: true, count: crops.length, crops });
+  } catch (error) {
+    sendError(res, error, 'List crops');
+  }
+});
+
+/**
+ * Fetch one crop
+ * GET /api/crops/:cropId
+ */
+router.get('/:cropId', (req, res) => {
+  res.json({ success: true, crop: req.crop });
+});
+
+/**
+ * Update crop details or stage (stages only move forward; 409 otherwise)
+ * PATCH /api/crops/:cropId
+ */
+router.patch('/:cropId', validate(schemas.updateCrop), async (req, res) => {
+  try {
+    const crop = await updateCrop(req.crop, req.body);
+    res.json({ success: true, crop });
+  } catch (error) {
+    sendError(res, error, 'Update crop');
+  }
+});
+
+/**
+ * Delete a crop with its photos and stored images
+ * DELETE /api/crops/:cropId
+ */
+router.delete('/:cropId', async (req, res) => {
+  try {
+    const deleted = await deleteCrop(req.crop);
+    res.json({ success: true, deleted });
+  } catch (error) {
+    sendError(res, error, 'Delete crop');
+  }
+});
+
+/**
+ * Mark a crop as harvested
+ * POST /api/crops/:cropId/complete
+ */
+router.post('/:cropId/complete', async (req, res) => {
+  try {
+    const crop = await setCropStatus(req.crop, 'completed');
+    res.json({ success: true, crop });
+  } catch (error) {
+    sendError(res, error, 'Complete crop');
+  }
+});
+
+/**
+ * Mark a crop as abandoned
+ * POST /api/crops/:cropId/abandon
+ */
+router.post('/:cropId/abandon', async (req, res) => {
+  try {
+    const crop = await setCropStatus(req.crop, 'abandoned');
+    res.json({ success: true, crop });
+  } catch (error) {
+    sendError(res, error, 'Abandon crop');
+  }
+});
+
+/**
+ * Analyze new photos for a crop and add them to the timeline as one entry
+ * POST /api/crops/:cropId/photos (files in "images", or one in "image"; optional "roles" by position)
+ */
+router.post('/:cropId/photos', aiQuota, imageUploads, validate(schemas.addCropPhoto), async (req, res) => {
+  try {
+    const crop = req.crop;
+    if (crop.status !== 'active') {
+      removeUploadedFiles(req);
+      return res.status(409).json({ success: false, error: `Crop is ${crop.status}` });
+    }
+
+    const { photo, nextPhoto } = await addCropPhoto(crop, getUploadedFiles(req), {
+      language: req.body.language,
+      farmerNotes: req.body.farmerNotes,
+      roles: req.body.roles
+    });
+    removeUploadedFiles(req);
+    const timeline = await getPhotoTimeline(crop.cropId);
+
+    res.status(201).json({
+      success: true,
+      photo: withSignedUrls(photo),
+      nextPhoto: {
+        date: nextPhoto.nextPhotoDate,
+        days: nextPhoto.nextPhotoDays,
+        urgency: nextPhoto.urgency
+      },
+      timeline: timeline.map(withSignedUrls)
+    });
+  } catch (error) {
+    removeUploadedFiles(req);
+    sendError(res, error, 'Add crop photo');
+  }
+});
+
+/**
+ * Photo timeline for a crop ordered by day number
+ * GET /api/crops/:cropId/photos
+ */
+router.get('/:cropId/photos', async (req, res) => {
+  try {
+    const timeline = await getPhotoTimeline(req.crop.cropId);
+    res.json({ success: true, cropId: req.crop.cropId, count: timeline.length, timeline: timeline.map(withSignedUrls) });
+  } catch (error) {
+    sendError(res, error, 'Photo timeline');
+  }
+});
+
+/**
+ * Delete one photo entry and its stored images
+ * DELETE /api/crops/:cropId/photos/:photoId
+ */
+router.delete('/:cropId/photos/:photoId', async (req, res) => {
+  try {
+    const deleted = await deleteCropPhoto(req.crop, req.params.photoId);
+    res.json({ success: true, deleted });
+  } catch (error) {
+    sendError(res, error, 'Delete crop photo');
+  }
+});
+
+/**
+ * Health score trend, issue history and comparison with the user's similar crops
+ * GET /api/crops/:cropId/health-trend?window=
+ */
+router.get('/:cropId/health-trend', validate(schemas.healthTrend), async (req, res) => {
+  try {
+    const trend = await getHealthTrend(req.crop, { window: req.query.window });
+    res.json({ success: true, ...trend });
+  } catch (error) {
+    sendError(res, error, 'Health trend');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const { getJobQueue } = require('../services/jobQueueService');
+const { requireAuth } = require('../middleware/auth');
+const { userRateLimit } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+router.use(requireAuth, userRateLimit);
+
+/**
+ * The signed-in user's recent analysis jobs (newest first, without results)
+ * GET /jobs
+ */
+router.get('/', async (req, res) => {
+  try {
+    const jobs = await getJobQueue().listJobs(req.user.userId);
+    res.json({ success: true, count: jobs.length, jobs });
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Status of one analysis job; the result (the synchronous route's response body) once it succeeded
+ * GET /jobs/:jobId
+ */
+router.get('/:jobId', async (req, res) => {
+  try {
+    const job = await getJobQueue().getJob(req.params.jobId, req.user.userId);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Job status error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
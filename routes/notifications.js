@@ -0,0 +1,113 @@
+const express = require('express');
+const {
+  createNotification,
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification
+} = require('../services/notificationService');
+const { requireAuth } = require('../middleware/auth');
+const { userRateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/requestSchemas');
+
+const router = express.Router();
+
+/**
+ * Map service and mongoose errors to HTTP responses
+ * @param {object} res - Express response
+ * @param {Error} error - Thrown error
+ * @param {string} context - Log label
+ */
+function sendError(res, error, context) {
+  console.error(`${context} error:`, error);
+  const status = error.name === 'ValidationError' ? 400 : (error.statusCode || 500);
+  res.status(status).json({ success: false, error: error.message });
+}
+
+router.use(requireAuth, userRateLimit);
+
+/**
+ * List notifications (newest first)
+ * GET /notifications?page=&limit=&unread=true
+ */
+router.get('/', validate(schemas.listNotifications), async (req, res) => {
+  try {
+    const result = await listNotifications(req.user.userId, {
+      page: req.query.page,
+      limit: req.query.limit,
+      unreadOnly: req.query.unread === 'true'
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'List notifications');
+  }
+});
+
+/**
+ * Create a notification
+ * POST /notifications
+ */
+router.post('/', validate(schemas.createNotification), async (req, res) => {
+  try {
+    const { title, message, priority, data } = req.body;
+    const { notification } = await createNotification({
+      userId: req.user.userId,
+      type: 'custom',
+      title,
+      message,
+      priority,
+      data
+    });
+    res.status(201).json({ success: true, notification });
+  } catch (error) {
+    sendError(res, error, 'Create notification');
+  }
+});
+
+/**
+ * Mark every notification read
+ * POST /notifications/read-all
+ */
+router.post('/read-all', async (req, res) => {
+  try {
+    const updated = await markAllNotificationsRead(req.user.userId);
+    res.json({ success: true, updated });
+  } catch (error) {
+    sendError(res, error, 'Mark all notifications read');
+  }
+});
+
+/**
+ * Mark one notification read
+ * PATCH /notifications/:notificationId/read
+ */
+router.patch('/:notificationId/read', async (req, res) => {
+  try {
+    const notification = await markNotificationRead(req.user.userId, req.params.notificationId);
+    if (!notification) {
+      return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+    res.json({ success: true, notification });
+  } catch (error) {
+    sendError(res, error, 'Mark notification read');
+  }
+});
+
+/**
+ * Delete a notification
+ * DELETE /notifications/:notificationId
+ */
+router.delete('/:notificationId', async (req, res) => {
+  try {
+    const deleted = await deleteNotification(req.user.userId, req.params.notificationId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Delete notification');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,285 @@
+const { SUPPORTED_LANGUAGES } = require('../services/promptService');
+const { GROWTH_STAGES, getCropTypes } = require('../config/cropCatalog');
+const { MAX_IMAGES, IMAGE_ROLES } = require('../services/imageService');
+
+/**
+ * Request Schemas
+ * Declarative input rules for every route, checked by middleware/validate.js
+ */
+
+const language = { type: 'string', enum: SUPPORTED_LANGUAGES };
+const location = { type: 'string', maxLength: 200 };
+const temperature = { type: 'number', min: -20, max: 60 }; // °C
+const latitude = { type: 'number', min: -90, max: 90 };
+const longitude = { type: 'number', min: -180, max: 180 };
+const shortText = { type: 'string', maxLength: 100 };
+const longText = { type: 'string', maxLength: 2000 };
+// Base64 images sent in JSON bodies (about 10MB of image data)
+const imageBase64 = { type: 'string', maxLength: 14 * 1024 * 1024 };
+const image = { name: 'image', required: true };
+// Multi-image uploads ("image" and/or "images") with an optional role per image, by position
+const images = { name: 'images', required: true, maxCount: MAX_IMAGES };
+const imageRoles = {
+  type: 'list',
+  maxItems: MAX_IMAGES,
+  items: { type: 'string', lowercase: true, enum: Object.keys(IMAGE_ROLES) }
+};
+const catalogCropType = { type: 'string', required: true, lowercase: true, enum: getCropTypes() };
+// async=true queues the analysis as a job (202 + jobId); webhookUrl receives the finished job
+const jobFields = {
+  async: { type: 'boolean' },
+  webhookUrl: { type: 'string', maxLength: 500 }
+};
+// stream=true sends the answer as Server-Sent Events while Gemini writes it
+const streamFields = {
+  stream: { type: 'boolean' }
+};
+
+const EXPERT_GOALS = ['FIX_DISEASE', 'IMPROVE_GROWTH', 'GENERAL_ADVICE'];
+
+const register = {
+  body: {
+    phone: {
+      type: 'string',
+      required: true,
+      pattern: /^\+?[0-9]{10,15}$/,
+      patternMessage: 'must be a phone number of 10-15 digits'
+    },
+    password: { type: 'string', required: true, minLength: 8, maxLength: 128 },
+    name: shortText
+  }
+};
+
+const login = {
+  body: {
+    phone: { type: 'string', required: true, maxLength: 20 },
+    password: { type: 'string', required: true, maxLength: 128 }
+  }
+};
+
+const analyzePlant = {
+  file: images,
+  body: {
+    roles: imageRoles,
+    language,
+    analysisType: { type: 'string', enum: ['plant', 'product'] },
+    location,
+    temperature,
+    cropId: shortText,
+    cropType: shortText,
+    region: shortText,
+    latitude,
+    longitude,
+    ...jobFields
+  }
+};
+
+const consultation = {
+  body: {
+    plant_name: { ...shortText, required: true },
+    symptoms: { ...longText, required: true },
+    location,
+    cropId: shortText,
+    latitude,
+    longitude,
+    language,
+    ...jobFields,
+    ...streamFields
+  }
+};
+
+const analyzeSpray = {
+  file: image,
+  body: {
+    language,
+    cropId: shortText,
+    latitude,
+    longitude,
+    ...jobFields
+  }
+};
+
+const smartSolution = {
+  body: {
+    problemDescription: { ...longText, required: true },
+    cropName: shortText,
+    plantStage: shortText,
+    plantAgeDays: { type: 'integer', min: 0, max: 1000 },
+    imageBase64,
+    location,
+    weather: temperature,
+    cropId: shortText,
+    latitude,
+    longitude,
+    language,
+    ...jobFields,
+    ...streamFields
+  }
+};
+
+const expertAdvice = {
+  body: {
+    goal: { type: 'string', required: true, enum: EXPERT_GOALS },
+    cropType: shortText,
+    plantAge: shortText,
+    details: longText,
+    imageBase64,
+    location,
+    weather: temperature,
+    cropId: shortText,
+    latitude,
+    longitude,
+    language,
+    ...jobFields,
+    ...streamFields
+  }
+};
+
+const recordScan = {
+  body: {
+    diagnosisName: { ...shortText, required: true },
+    confidence: { type: 'number', min: 0, max: 100 },
+    severityLevel: shortText,
+    severityScale: { type: 'number', min: 0, max: 10 },
+    isHealthy: { type: 'boolean' },
+    cropId: shortText,
+    cropType: shortText,
+    location,
+    region: shortText,
+    latitude,
+    longitude
+  }
+};
+
+const analytics = {
+  query: {
+    from: { type: 'date' },
+    to: { type: 'date' },
+    userId: shortText,
+    region: shortText,
+    cropType: shortText
+  }
+};
+
+const cropLocation = {
+  type: 'object',
+  properties: {
+    latitude: { ...latitude, required: true },
+    longitude: { ...longitude, required: true },
+    city: shortText,
+    state: shortText
+  }
+};
+
+const createCrop = {
+  body: {
+    cropType: catalogCropType,
+    variety: shortText,
+    plantingDate: { type: 'date', required: true },
+    plantingMethod: { type: 'string', required: true, enum: ['seed', 'transplant'] },
+    location: { ...cropLocation, required: true }
+  }
+};
+
+const updateCrop = {
+  body: {
+    variety: shortText,
+    plantingDate: { type: 'date' },
+    plantingMethod: { type: 'string', enum: ['seed', 'transplant'] },
+    location: cropLocation,
+    currentStage: { type: 'string', enum: GROWTH_STAGES },
+    expectedHarvestDate: { type: 'date' }
+  }
+};
+
+const listCrops = {
+  query: {
+    status: { type: 'string', enum: ['active', 'completed', 'abandoned'] },
+    cropType: shortText
+  }
+};
+
+const addCropPhoto = {
+  file: images,
+  body: {
+    roles: imageRoles,
+    language,
+    farmerNotes: { type: 'string', maxLength: 1000 }
+  }
+};
+
+const healthTrend = {
+  query: {
+    window: { type: 'integer', min: 2, max: 10 }
+  }
+};
+
+const analyzeTestPhoto = {
+  file: image,
+  body: {
+    cropType: catalogCropType,
+    dayNumber: { type: 'integer', min: 0, max: 1000 },
+    previousSummary: longText,
+    latitude,
+    longitude,
+    language
+  }
+};
+
+const listNotifications = {
+  query: {
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: 100 },
+    unread: { type: 'string', enum: ['true', 'false'] }
+  }
+};
+
+const createNotification = {
+  body: {
+    title: { type: 'string', required: true, maxLength: 120 },
+    message: { type: 'string', required: true, maxLength: 1000 },
+    priority: { type: 'string', enum: ['normal', 'high'] }
+  }
+};
+
+const startConversation = {
+  body: {
+    message: { ...longText, required: true },
+    plantName: shortText,
+    cropId: shortText,
+    scanId: shortText,
+    location,
+    latitude,
+    longitude,
+    language
+  }
+};
+
+const conversationMessage = {
+  body: {
+    message: { ...longText, required: true }
+  }
+};
+
+module.exports = {
+  EXPERT_GOALS,
+  register,
+  login,
+  analyzePlant,
+  consultation,
+  analyzeSpray,
+  smartSolution,
+  expertAdvice,
+  recordScan,
+  analytics,
+  createCrop,
+  updateCrop,
+  listCrops,
+  addCropPhoto,
+  healthTrend,
+  analyzeTestPhoto,
+  listNotifications,
+  createNotification,
+  startConversation,
+  conversationMessage
+};
@@ -1,397 +1,126 @@
 const express = require('express');
 const cors = require('cors');
-const multer = require('multer');
-const axios = require('axios');
-const fs = require('fs');
+const path = require('path');
+const { connectDatabase } = require('./config/database');
+const { recordScan, getScan, deleteScan, getScanAnalytics } = require('./services/scanService');
+const { runAnalysisRequest, STREAMING_REQUEST_TYPES } = require('./services/analysisRequestService');
+const { isReusedResult } = require('./services/analysisCacheService');
+const { getJobQueue } = require('./services/jobQueueService');
+const authRoutes = require('./routes/auth');
+const cropRoutes = require('./routes/crops');
+const adminRoutes = require('./routes/admin');
+const notificationRoutes = require('./routes/notifications');
+const jobRoutes = require('./routes/jobs');
+const conversationRoutes = require('./routes/conversations');
+const { keyPool } = require('./services/apiKeyPool');
+const { photoReminderScheduler } = require('./services/photoReminderScheduler');
+const { getCrop } = require('./services/cropTrackingService');
+const { getPhotoStorage, verifyFileSignature } = require('./services/photoStorageService');
+const { requireAuth } = require('./middleware/auth');
+const { ipRateLimit, userRateLimit, aiQuota } = require('./middleware/rateLimit');
+const { validate } = require('./middleware/validate');
+const { singleImage, imageUploads, getUploadedFiles, removeUploadedFiles } = require('./middleware/upload');
+const schemas = require('./schemas/requestSchemas');
+const { getQuotaStatus, refundAiCall } = require('./services/quotaService');
+const { getPlanLimits } = require('./config/rateLimits');
+const { preprocessImage, preprocessImages } = require('./services/imageService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-
-// ═══════════════════════════════════════════
-// API KEY ROTATION SYSTEM (ISOLATED & SAFE)
-// ═══════════════════════════════════════════
-
-// Load multiple API keys from environment
-const apiKeys = [
-  process.env.GEMINI_API_KEY_1,
-  process.env.GEMINI_API_KEY_2,
-  process.env.GEMINI_API_KEY_3,
-  process.env.GEMINI_API_KEY_4,
-  process.env.GEMINI_API_KEY_5
-].filter(key => key && key.trim() !== '');
-
-let rotationCounter = 0;
-const ROTATION_INTERVAL = 3; // Rotate every 3 requests
-
-function getNextApiKey() {
-  if (apiKeys && apiKeys.length > 0) {
-    // Calculate which key to use based on rotation counter
-    const keyIndex = Math.floor(rotationCounter / ROTATION_INTERVAL) % apiKeys.length;
-    const selectedKey = apiKeys[keyIndex];
-    
-    rotationCounter++;
-    
-    // Log rotation activity
-    console.log(`🔑 Using API Key #${keyIndex + 1} (Request #${rotationCounter})`);
-    if (rotationCounter % ROTATION_INTERVAL === 0) {
-      const nextIndex = Math.floor(rotationCounter / ROTATION_INTERVAL) % apiKeys.length;
-      console.log(`🔄 Next rotation will use API Key #${nextIndex + 1}`);
-    }
-    
-    return selectedKey;
-  } else {
-    // FALLBACK: If no new keys are set, use the old one
-    console.warn("⚠️  WARNING: Using legacy GEMINI_API_KEY. Please set GEMINI_API_KEY_1, etc.");
-    return process.env.GEMINI_API_KEY;
-  }
-}
 
-// ═══════════════════════════════════════════
+// Behind a reverse proxy req.ip must come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
 
 // Middleware
 app.use(cors());
-app.use(express.json());
-
-// Multer for file uploads
-const upload = multer({ 
-  dest: 'uploads/',
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
-});
-
-// Language instruction function
-function getLanguageInstruction(langCode) {
-  const instructions = {
-    'en': 'Respond in English.',
-    'hi': 'Respond ONLY in Hindi (हिंदी) language. Use Devanagari script. Write ALL text, disease names, treatments, and explanations in Hindi. Example: "आपके पौधे में लीफ माइनर का संक्रमण है।"',
-    'mr': 'Respond ONLY in Marathi (मराठी) language. Use Devanagari script. Write ALL text, disease names, treatments, and explanations in Marathi. Example: "तुमच्या वनस्पतीला लीफ माइनर संक्रमण आहे।"',
-    'hi-en': 'Respond in Hinglish (mix of Hindi and English using Roman/Latin script). Write in conversational Hindi-English mix that Indian farmers commonly use. Example: "Aapke plant mein leaf miner ka infection hai. Treatment ke liye Spinosad spray lagayein."'
-  };
-  return instructions[langCode] || instructions['en'];
-}
-
-// Plant analysis prompt
-function getPlantAnalysisPrompt(language, location, temperature) {
-  const langInstruction = getLanguageInstruction(language);
-  
-  const locationContext = location ? `You are providing diagnosis for a farmer in ${location}.` : 'You are providing diagnosis for a farmer.';
-  const weatherContext = temperature ? ` The current temperature is around ${temperature}°C.` : '';
-  const contextualAdvice = location || temperature ? ' Consider the location and weather conditions in your analysis and recommendations.' : '';
-  
-  return `${langInstruction}
-
-${locationContext}${weatherContext}${contextualAdvice}
-
-Analyze this plant image comprehensively and provide a detailed diagnosis report in the following JSON format:
-{
-  "observation": {
-    "plantName": "AI's identification of the plant species",
-    "affectedArea": "Specific area where the problem is located (leaves, stem, roots, etc.)",
-    "visualDescription": "Detailed description of what the AI observes in the image"
-  },
-  "diagnosis": {
-    "name": "Specific disease or pest name",
-    "confidence": 94
-  },
-  "severity": {
-    "level": "Mild/Moderate/Severe",
-    "scale": 6,
-    "impact": "Description of potential crop loss or damage"
-  },
-  "treatment": {
-    "immediate": ["List of immediate actions to take"],
-    "chemical": ["Chemical sprays or treatments with specific names"],
-    "organic": ["Organic and natural treatment options"]
-  },
-  "rootCause": {
-    "primary": "Main underlying cause of the problem",
-    "prevention": ["Specific prevention tips for future"]
-  },
-  "profile": {
-    "frequency": "Common/Uncommon/Rare",
-    "regionalNotes": "Notes specific to the farmer's location and climate"
-  }
-}
-
-CRITICAL REQUIREMENTS:
-- Confidence must be a number between 1-100
-- Scale must be a number between 1-10 (1=minimal, 10=critical)
-- Provide specific, actionable advice for farmers
-- Include both chemical and organic treatment options
-- Write ALL field values in the specified language (${language})
-- Be precise and practical for agricultural use
-- Consider the local climate and regional farming practices`;
-}
-
-// Disease query prompt
-function getDiseaseQueryPrompt(plantName, symptoms, location, language) {
-  const langInstruction = getLanguageInstruction(language);
-  
-  return `${langInstruction}
-
-Plant: ${plantName}
-Symptoms: ${symptoms}
-Location: ${location || 'Not specified'}
-
-Provide advice in JSON format:
-{
-  "diagnosis": "disease name",
-  "confidence": "high/medium/low",
-  "causes": ["possible causes"],
-  "treatment_plan": {
-    "immediate_actions": ["urgent steps"],
-    "ongoing_care": ["continued treatment"],
-    "timeline": "recovery time"
-  },
-  "prevention": ["prevention tips"],
-  "when_to_seek_help": "when to contact experts"
-}
-
-IMPORTANT: Write ALL field values in the specified language (${language}). Be practical for farmers.`;
-}
-
-// Smart solution prompt
-function getSmartSolutionPrompt(data) {
-  const langInstruction = getLanguageInstruction(data.language || 'hi');
-  
-  const locationContext = data.location ? `You are providing expert agricultural advice for a farmer in ${data.location}.` : 'You are providing expert agricultural advice for a farmer.';
-  const weatherContext = data.weather ? ` The current temperature is around ${data.weather}°C.` : '';
-  const cropContext = data.cropName ? ` The crop is ${data.cropName}.` : '';
-  const stageContext = data.plantStage ? ` The plant is in ${data.plantStage} stage.` : '';
-  const ageContext = data.plantAgeDays ? ` The plant is ${data.plantAgeDays} days old.` : '';
-  
-  return `${langInstruction}
-
-You are an expert agronomist with 20+ years of experience in Indian agriculture. 
-
-FARMER'S SITUATION:
-${locationContext}${weatherContext}${cropContext}${stageContext}${ageContext}
-
-FARMER'S PROBLEM/GOAL: ${data.problemDescription || 'General farming guidance needed'}
-
-INSTRUCTIONS:
-Analyze the farmer's situation and provide a comprehensive solution in JSON format:
-
-{
-  "analysisType": "SMART_SOLUTION",
-  "assessment": {
-    "cropHealth": "Current health assessment",
-    "identifiedIssues": ["List of identified problems"],
-    "riskLevel": "Low/Medium/High",
-    "urgency": "Immediate/Within week/Routine"
-  },
-  "solution": {
-    "immediate": {
-      "actions": ["Immediate steps to take"],
-      "timeline": "When to complete these actions"
-    },
-    "treatment": {
-      "chemical": ["Chemical solutions with exact dosages"],
-      "organic": ["Organic/natural solutions"],
-      "cultural": ["Farming practice changes"]
-    },
-    "prevention": {
-      "shortTerm": ["Actions for next 2 weeks"],
-      "longTerm": ["Actions for next season"],
-      "monitoring": ["What to watch for"]
-    }
-  },
-  "timeline": {
-    "day1": "Actions for day 1",
-    "week1": "Actions for week 1", 
-    "week2": "Actions for week 2",
-    "month1": "Actions for month 1"
-  },
-  "expectedOutcome": {
-    "improvements": ["Expected improvements"],
-    "timeframe": "When to see results",
-    "successIndicators": ["Signs of success"]
-  },
-  "expertTips": {
-    "dosageDetails": ["Exact application instructions"],
-    "timing": ["Best times for application"],
-    "weatherConsiderations": ["Weather-related advice"],
-    "costOptimization": ["Cost-effective alternatives"]
+app.use(ipRateLimit);
+// Large enough for the base64 images accepted by /smart-solution and /expert-advice
+app.use(express.json({ limit: '15mb' }));
+
+// Signed-in routes, and routes that spend Gemini quota
+const authenticated = [requireAuth, userRateLimit];
+const aiRoute = [requireAuth, userRateLimit, aiQuota];
+
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * Run an analysis and send its result, queue it as a job when the client sent async=true,
+ * or stream it when the client sent stream=true
+ * @param {object} req - Express request (validated body, signed-in user)
+ * @param {object} res - Express response
+ * @param {string} type - Analysis request type (see analysisRequestService)
+ * @param {Array<object>} images - Preprocessed images
+ */
+async function respondWithAnalysis(req, res, type, images = []) {
+  const request = { body: req.body, user: req.user, images };
+
+  if (req.body.async && req.body.stream) {
+    return res.status(400).json({ success: false, error: 'async and stream cannot be used together' });
   }
-}
-
-CRITICAL REQUIREMENTS:
-- Be extremely specific with dosages, timing, and methods
-- Consider the local climate and regional farming practices
-- Provide both chemical and organic solutions
-- Include cost-effective alternatives
-- Write ALL field values in Hindi language
-- Be practical and actionable for Indian farmers
-- Consider the plant's current stage and age in recommendations`;
-}
-
-// Expert advice prompt
-function getExpertAdvicePrompt(data) {
-  const langInstruction = getLanguageInstruction(data.language || 'en');
-  
-  const locationContext = data.location ? `You are providing advice for a farmer in ${data.location}.` : 'You are providing advice for a farmer.';
-  const weatherContext = data.weather ? ` The current temperature is around ${data.weather}°C.` : '';
-  const cropContext = data.cropType ? ` The crop is ${data.cropType}.` : '';
-  const ageContext = data.plantAge ? ` The plant stage is ${data.plantAge}.` : '';
-  
-  let specificPrompt = '';
-  
-  if (data.goal === 'FIX_DISEASE') {
-    specificPrompt = `Analyze this plant image for diseases and provide a Complete Diagnosis Report in JSON format:
-{
-  "analysisType": "PLANT_DISEASE",
-  "observation": {
-    "plantName": "Plant identification",
-    "affectedArea": "Where the problem is",
-    "visualDescription": "What you observe"
-  },
-  "diagnosis": {
-    "name": "Disease name",
-    "confidence": 90
-  },
-  "severity": {
-    "level": "Mild/Moderate/Severe",
-    "scale": 6,
-    "impact": "Potential damage description"
-  },
-  "treatment": {
-    "immediate": ["Immediate actions"],
-    "chemical": ["Chemical treatments"],
-    "organic": ["Organic solutions"]
-  },
-  "rootCause": {
-    "primary": "Main cause",
-    "prevention": ["Prevention tips"]
-  },
-  "profile": {
-    "frequency": "Common/Uncommon/Rare",
-    "regionalNotes": "Regional farming notes"
-  }
-}`;
-  } else if (data.goal === 'IMPROVE_GROWTH') {
-    specificPrompt = `Provide a detailed Action Plan to improve plant growth in JSON format:
-{
-  "analysisType": "ACTION_PLAN",
-  "currentStatus": {
-    "plantHealth": "Assessment of current condition",
-    "growthStage": "Current stage analysis",
-    "potentialIssues": ["Potential problems to address"]
-  },
-  "actionPlan": {
-    "fertilizer": {
-      "type": "Recommended fertilizer type",
-      "dosage": "Exact application amount",
-      "timing": "When to apply",
-      "frequency": "How often"
-    },
-    "watering": {
-      "schedule": "Watering frequency",
-      "amount": "Water quantity",
-      "method": "Best watering technique"
-    },
-    "care": {
-      "pruning": "Pruning recommendations",
-      "spacing": "Plant spacing advice",
-      "support": "Support structure needs"
-    }
-  },
-  "timeline": {
-    "week1": "Actions for week 1",
-    "week2": "Actions for week 2",
-    "week3": "Actions for week 3",
-    "week4": "Actions for week 4"
-  },
-  "expectedResults": {
-    "improvements": ["Expected improvements"],
-    "timeline": "When to see results",
-    "monitoring": ["What to monitor"]
+  if (req.body.stream && STREAMING_REQUEST_TYPES.includes(type)) {
+    return streamAnalysis(req, res, type, request);
   }
-}`;
-  } else {
-    specificPrompt = `Provide general farming advice in JSON format:
-{
-  "analysisType": "GENERAL_ADVICE",
-  "recommendations": ["General farming tips"],
-  "seasonalAdvice": ["Seasonal recommendations"],
-  "bestPractices": ["Best farming practices"]
-}`;
+  if (req.body.async) {
+    const job = await getJobQueue().submit(type, request, { webhookUrl: req.body.webhookUrl, quotaDay: req.quotaDay });
+    return res.status(202).json({ success: true, job, statusUrl: `/jobs/${job.jobId}` });
   }
-  
-  return `${langInstruction}
-
-${locationContext}${weatherContext}${cropContext}${ageContext}
 
-${data.details ? `Additional details: ${data.details}` : ''}
-
-${specificPrompt}
-
-IMPORTANT: Write ALL field values in the specified language. Be specific and practical for farmers.`;
+  const body = await runAnalysisRequest(type, request);
+  refundReusedAnalysis(req, body);
+  res.json(body);
 }
 
-// Product analysis prompt
-function getProductAnalysisPrompt(language) {
-  const langInstruction = getLanguageInstruction(language);
-  
-  return `${langInstruction}
-
-Analyze this agricultural product image. Provide information in JSON format:
-{
-  "product_type": "fertilizer/pesticide/herbicide/fungicide",
-  "product_name": "name if visible",
-  "active_ingredients": ["ingredients"],
-  "usage": {
-    "target_crops": ["crops"],
-    "application_method": "method",
-    "dosage_guidance": "dosage",
-    "timing": "when to apply"
-  },
-  "safety": {
-    "precautions": ["safety measures"],
-    "protective_equipment": ["required PPE"],
-    "storage": "storage requirements"
-  },
-  "effectiveness": "assessment",
-  "recommendations": ["recommendations"]
+// Cached and shared answers made no Gemini call for this request, so they do not use up its quota
+function refundReusedAnalysis(req, body) {
+  if (!isReusedResult(body)) return;
+  refundAiCall(req.user, req.quotaDay).catch(error => console.error('Quota refund failed:', error.message));
 }
 
-IMPORTANT: Write ALL field values in the specified language (${language}). Focus on farming advice.`;
-}
+/**
+ * Send an analysis as Server-Sent Events: "delta" events with the answer text as Gemini writes it,
+ * then one "result" event with the same body the non-streaming route returns (the parsed, validated object),
+ * or an "error" event; an answer from the analysis cache comes as the "result" event alone.
+ * The HTTP status is 200 once the stream has started, so failures are refunded here.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} type - Analysis request type (one of STREAMING_REQUEST_TYPES)
+ * @param {object} request - { body, user, images }
+ */
+async function streamAnalysis(req, res, type, request) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop reverse proxies from holding events back
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
 
-// Gemini API function
-async function callGeminiAPI(prompt, imageBase64 = null) {
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${getNextApiKey()}`;
-  
-  let payload = {
-    contents: [{
-      parts: [{ text: prompt }]
-    }],
-    generationConfig: {
-      temperature: 0.4,
-      topK: 32,
-      topP: 1,
-      maxOutputTokens: 4096,
-    }
-  };
-
-  if (imageBase64) {
-    payload.contents[0].parts.push({
-      inlineData: {
-        mimeType: "image/jpeg",
-        data: imageBase64
-      }
-    });
-  }
+  const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // Stop the Gemini request when the client goes away
+  const abort = new AbortController();
+  res.on('close', () => abort.abort());
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
 
   try {
-    const response = await axios.post(url, payload, {
-      headers: { 'Content-Type': 'application/json' },
-      timeout: 30000
+    const body = await runAnalysisRequest(type, {
+      ...request,
+      stream: { onText: text => sendEvent('delta', { text }), signal: abort.signal }
     });
-
-    return response.data.candidates[0].content.parts[0].text;
+    refundReusedAnalysis(req, body);
+    sendEvent('result', body);
   } catch (error) {
-    console.error('Gemini API Error:', error.response?.data || error.message);
-    throw new Error('AI analysis failed');
+    console.error(`Streaming ${type} error:`, error.message);
+    refundAiCall(req.user, req.quotaDay).catch(refundError => console.error('Quota refund failed:', refundError.message));
+    if (!abort.signal.aborted) {
+      sendEvent('error', { error: error.message, errorType: error.name, statusCode: error.statusCode || 500 });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
   }
 }
 
@@ -400,7 +129,7 @@ app.get('/', (req, res) => {
   res.json({
     status: 'Farm Expert AI Server',
     version: '1.0.0',
-    endpoints: ['/analyze-plant', '/consultation', '/analyze-spray', '/analytics', '/record-scan', '/notifications', '/health']
+    endpoints: ['/analyze-plant', '/consultation', '/analyze-spray', '/analytics', '/record-scan', '/notifications', '/jobs', '/conversations', '/health', '/api/auth', '/api/quota', '/api/crops']
   });
 });
 
@@ -408,183 +137,105 @@ app.get('/health', (req, res) => {
   res.json({ status: 'healthy', service: 'Farm Expert AI' });
 });
 
-// Plant Disease Analysis
-app.post('/analyze-plant', upload.single('image'), async (req, res) => {
+// Plant Disease Analysis (several photos of one plant in "images", or one in "image"; optional "roles" by position)
+app.post('/analyze-plant', aiRoute, imageUploads, validate(schemas.analyzePlant), async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No image uploaded' });
-    }
-
-    const language = req.body.language || 'en';
-    const analysisType = req.body.analysisType;
-    const location = req.body.location;
-    const temperature = req.body.temperature;
-    
-    const imageBuffer = fs.readFileSync(req.file.path);
-    const imageBase64 = imageBuffer.toString('base64');
-
-    // Choose prompt based on analysis type
-    const prompt = analysisType === 'product' 
-      ? getProductAnalysisPrompt(language)
-      : getPlantAnalysisPrompt(language, location, temperature);
-    
-    const result = await callGeminiAPI(prompt, imageBase64);
-    
-    // Clean up uploaded file
-    fs.unlinkSync(req.file.path);
-
-    res.json({
-      success: true,
-      analysis: result,
-      timestamp: new Date().toISOString()
-    });
+    const images = await preprocessImages(getUploadedFiles(req), req.body.roles);
+    // The preprocessed copies are all that is needed from here on
+    removeUploadedFiles(req);
 
+    await respondWithAnalysis(req, res, 'plant', images);
   } catch (error) {
     console.error('Plant analysis error:', error);
-    if (req.file) fs.unlinkSync(req.file.path);
-    res.status(500).json({ error: error.message });
+    removeUploadedFiles(req);
+    res.status(error.statusCode || 500).json({ error: error.message, errorType: error.name });
   }
 });
 
 // Disease Query
-app.post('/consultation', async (req, res) => {
+app.post('/consultation', aiRoute, validate(schemas.consultation), async (req, res) => {
   try {
-    const { plant_name, symptoms, location, language } = req.body;
-    const lang = language || 'en';
-
-    if (!plant_name || !symptoms) {
-      return res.status(400).json({ error: 'Plant name and symptoms are required' });
-    }
-
-    const prompt = getDiseaseQueryPrompt(plant_name, symptoms, location, lang);
-    const result = await callGeminiAPI(prompt);
-
-    res.json({
-      success: true,
-      advice: result,
-      timestamp: new Date().toISOString()
-    });
-
+    await respondWithAnalysis(req, res, 'consultation');
   } catch (error) {
     console.error('Disease query error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message, errorType: error.name });
   }
 });
 
 // Product Analysis
-app.post('/analyze-spray', upload.single('image'), async (req, res) => {
+app.post('/analyze-spray', aiRoute, singleImage, validate(schemas.analyzeSpray), async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No image uploaded' });
-    }
-
-    const language = req.body.language || 'en';
-    
-    const imageBuffer = fs.readFileSync(req.file.path);
-    const imageBase64 = imageBuffer.toString('base64');
-
-    const prompt = getProductAnalysisPrompt(language);
-    const result = await callGeminiAPI(prompt, imageBase64);
-    
-    // Clean up uploaded file
-    fs.unlinkSync(req.file.path);
-
-    res.json({
-      success: true,
-      analysis: result,
-      timestamp: new Date().toISOString()
-    });
+    const images = [await preprocessImage(req.file)];
+    removeUploadedFiles(req);
 
+    await respondWithAnalysis(req, res, 'product', images);
   } catch (error) {
     console.error('Product analysis error:', error);
-    if (req.file) fs.unlinkSync(req.file.path);
-    res.status(500).json({ error: error.message });
+    removeUploadedFiles(req);
+    res.status(error.statusCode || 500).json({ error: error.message, errorType: error.name });
   }
 });
 
 // Smart Solution Finder Endpoint
-app.post('/smart-solution', async (req, res) => {
+app.post('/smart-solution', aiRoute, validate(schemas.smartSolution), async (req, res) => {
   try {
-    const { cropName, plantStage, plantAgeDays, problemDescription, imageBase64, location, weather, language } = req.body;
-    
-    if (!problemDescription) {
-      return res.status(400).json({ error: 'Problem description is required' });
-    }
-    
-    const solutionData = {
-      cropName,
-      plantStage,
-      plantAgeDays,
-      problemDescription,
-      location,
-      weather,
-      language: language || 'hi'
-    };
-    
-    const prompt = getSmartSolutionPrompt(solutionData);
-    const result = await callGeminiAPI(prompt, imageBase64);
-    
-    res.json({
-      success: true,
-      solution: result,
-      timestamp: new Date().toISOString()
-    });
-    
+    const images = req.body.imageBase64 ? [await preprocessImage(req.body.imageBase64)] : [];
+    await respondWithAnalysis(req, res, 'smartSolution', images);
   } catch (error) {
     console.error('Smart solution error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message, errorType: error.name });
   }
 });
 
 // Expert Advice Endpoint
-app.post('/expert-advice', async (req, res) => {
+app.post('/expert-advice', aiRoute, validate(schemas.expertAdvice), async (req, res) => {
   try {
-    const { goal, cropType, plantAge, details, imageBase64, location, weather, language } = req.body;
-    
-    if (!goal) {
-      return res.status(400).json({ error: 'Goal is required' });
-    }
-    
-    const adviceData = {
-      goal,
-      cropType,
-      plantAge,
-      details,
-      location,
-      weather,
-      language: language || 'en'
-    };
-    
-    const prompt = getExpertAdvicePrompt(adviceData);
-    const result = await callGeminiAPI(prompt, imageBase64);
-    
-    res.json({
-      success: true,
-      advice: result,
-      timestamp: new Date().toISOString()
-    });
-    
+    const images = req.body.imageBase64 ? [await preprocessImage(req.body.imageBase64)] : [];
+    await respondWithAnalysis(req, res, 'expertAdvice', images);
   } catch (error) {
     console.error('Expert advice error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message, errorType: error.name });
   }
 });
 
-// Simple record scan endpoint (placeholder)
-app.post('/record-scan', (req, res) => {
-  res.json({ success: true, message: 'Scan recorded (placeholder)' });
+// Record a scan made outside /analyze-plant (e.g. offline on the device)
+app.post('/record-scan', authenticated, validate(schemas.recordScan), async (req, res) => {
+  try {
+    // Stored photos only come from /analyze-plant
+    const scan = await recordScan({ ...req.body, images: undefined, userId: req.user.userId, source: 'manual' });
+    res.status(201).json({ success: true, scan });
+  } catch (error) {
+    console.error('Record scan error:', error);
+    const status = error.name === 'ValidationError' ? 400 : (error.statusCode || 500);
+    res.status(status).json({ error: error.message });
+  }
 });
 
-// Simple notifications endpoints (placeholder)
-app.get('/notifications', (req, res) => {
-  res.json([]);
-});
+// Delete one of the signed-in user's scans together with its stored photos
+app.delete('/scans/:scanId', authenticated, async (req, res) => {
+  try {
+    const scan = await getScan(req.params.scanId);
+    if (!scan || scan.userId !== req.user.userId) {
+      return res.status(404).json({ success: false, error: 'Scan not found' });
+    }
 
-app.post('/notifications', (req, res) => {
-  const { title, message } = req.body;
-  res.json({ id: 'placeholder', title, message, createdAt: new Date() });
+    const deletedFiles = await deleteScan(scan);
+    res.json({ success: true, deletedFiles });
+  } catch (error) {
+    console.error('Delete scan error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
 });
 
+// Notifications
+app.use('/notifications', notificationRoutes);
+
+// Status of analyses submitted with async=true
+app.use('/jobs', jobRoutes);
+
+// Multi-turn consultations with follow-up questions
+app.use('/conversations', conversationRoutes);
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Server error:', error);
@@ -592,20 +243,92 @@ app.use((error, req, res, next) => {
 });
 
 // Analytics endpoint
-app.get('/analytics', (req, res) => {
-  res.json({
-    total_scans: 150,
-    diseases_detected: 45,
-    healthy_plants: 105,
-    top_diseases: [
-      { name: "Leaf Blight", count: 12 },
-      { name: "Powdery Mildew", count: 8 },
-      { name: "Rust", count: 6 }
-    ],
-    timestamp: new Date().toISOString()
-  });
+// GET /analytics?from=&to=&region=&cropType= (admins may also filter by userId or see everyone)
+app.get('/analytics', authenticated, validate(schemas.analytics), async (req, res) => {
+  try {
+    const { from, to, region, cropType } = req.query;
+    const userId = req.user.role === 'admin' ? req.query.userId : req.user.userId;
+    const filters = { from, to, userId, region, cropType };
+
+    const analytics = await getScanAnalytics(filters);
+
+    res.json({
+      ...analytics,
+      filters,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Analytics error:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
+// Accounts
+app.use('/api/auth', authRoutes);
+
+// Remaining AI quota for the signed-in user
+app.get('/api/quota', authenticated, async (req, res) => {
+  try {
+    const dailyAiCalls = await getQuotaStatus(req.user);
+    res.json({
+      success: true,
+      plan: req.user.plan || 'free',
+      dailyAiCalls,
+      requestsPerMinute: getPlanLimits(req.user).requestsPerMinute
+    });
+  } catch (error) {
+    console.error('Quota status error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Crop lifecycle API
+app.use('/api/crops', cropRoutes);
+
+// Crop photos and thumbnails, only for the crop's owner
+app.get('/uploads/crops/:cropId/:fileName', authenticated, async (req, res) => {
+  try {
+    const crop = await getCrop(req.params.cropId);
+    if (!crop) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    if (crop.userId !== req.user.userId) {
+      return res.status(403).json({ error: 'Not allowed' });
+    }
+
+    const data = await getPhotoStorage().get(`crops/${crop.cropId}/${path.basename(req.params.fileName)}`);
+    if (!data) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    res.set('Cache-Control', 'private, max-age=86400').type('jpeg').send(data);
+  } catch (error) {
+    console.error('Crop image error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Signed image links from the local storage backend (S3 links point at the bucket instead)
+app.get('/files/*', async (req, res) => {
+  try {
+    const key = req.params[0];
+    if (!verifyFileSignature(key, req.query.expires, req.query.signature)) {
+      return res.status(403).json({ error: 'Invalid or expired image link' });
+    }
+
+    const data = await getPhotoStorage().get(key);
+    if (!data) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    res.set('Cache-Control', 'private, max-age=3600').type('jpeg').send(data);
+  } catch (error) {
+    console.error('Signed image error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin (key pool status)
+app.use('/admin', adminRoutes);
+
 // ============ CROP TRACKING TEST (New Feature) ============
 const CROP_TEST_ENABLED = process.env.CROP_TEST_ENABLED === 'true';
 
@@ -619,7 +342,27 @@ if (CROP_TEST_ENABLED) {
 // ============================================================
 
 // Start server
+const jobWorkerEnabled = process.env.JOB_WORKER_ENABLED !== 'false';
+
+// An in-memory job queue does not need the database
+if (jobWorkerEnabled && process.env.JOB_STORE === 'memory') {
+  getJobQueue().start();
+}
+
+connectDatabase()
+  .then(() => {
+    if (process.env.PHOTO_REMINDERS_ENABLED !== 'false') {
+      photoReminderScheduler.start();
+    }
+    if (jobWorkerEnabled && process.env.JOB_STORE !== 'memory') {
+      getJobQueue().start();
+    }
+  })
+  .catch(error => {
+    console.error('MongoDB connection failed:', error.message);
+  });
+
 app.listen(PORT, () => {
   console.log(`Farm Expert Backend running on port ${PORT}`);
-  console.log(`Gemini API Key configured: ${GEMINI_API_KEY ? 'Yes' : 'No'}`);
+  console.log(`Gemini API keys configured: ${keyPool.size}`);
 });
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { MemoryAnalysisCacheStore, MongoAnalysisCacheStore } = require('./analysisCacheStore');
+
+/**
+ * Analysis Cache
+ * Reuses analysis results for repeated requests: the same photo uploaded again, or the same symptoms resent.
+ * The key is a hash of the analysis type, the Gemini model, the normalized prompt inputs (language, location, crop,
+ * symptoms, ...) and the bytes of each image, so any change in what Gemini would see is a different entry.
+ * Weather goes in by location and the hour it was fetched, so an answer never outlives the weather it was given.
+ * Identical requests that arrive while the first is still running wait for it instead of calling Gemini again
+ * (within one server process). Streamed requests never join or lead a shared call, since the call writes to
+ * one client and stops when that client disconnects. Only answers that passed schema validation are kept.
+ * Hits and shared results make no Gemini call of their own; routes refund their quota unit (see isReusedResult).
+ * ANALYSIS_CACHE_STORE=mongo (default), memory or none; ANALYSIS_CACHE_TTL_MINUTES (default 360).
+ */
+
+const TTL_MS = (parseInt(process.env.ANALYSIS_CACHE_TTL_MINUTES, 10) || 6 * 60) * 60 * 1000;
+// Bump when prompts or schemas change so old answers are not reused
+const CACHE_VERSION = 2;
+// Filled in separately: images by their bytes, weather by its location and fetch hour
+const KEY_EXCLUDED_INPUTS = ['images', 'weatherReport'];
+
+/**
+ * Normalize a prompt input so trivial differences (case, spacing, key order, empty fields) share an entry
+ * @param {*} value - Input value
+ * @returns {*} Normalized value
+ */
+function normalizeInput(value) {
+  if (typeof value === 'string') {
+    return value.trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeInput);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((normalized, key) => {
+      const entry = value[key];
+      if (entry !== undefined && entry !== null && entry !== '') {
+        normalized[key] = normalizeInput(entry);
+      }
+      return normalized;
+    }, {});
+  }
+  return value;
+}
+
+/**
+ * SHA-256 of an image's bytes
+ * @param {object|string} image - Preprocessed image { buffer?, data } or a base64 string
+ * @returns {string} Hex digest
+ */
+function hashImage(image) {
+  const bytes = typeof image === 'string'
+    ? Buffer.from(image, 'base64')
+    : image.buffer || Buffer.from(image.data, 'base64');
+  return crypto.createHash('sha256').update(bytes).digest('hex');
+}
+
+/**
+ * Cache key for an analysis
+ * @param {string} type - Analysis type
+ * @param {string} model - Gemini model the analysis runs on
+ * @param {object} input - Prompt inputs
+ * @param {object|Array} image - Image(s) sent with the prompt (optional)
+ * @returns {string} Hex digest
+ */
+function buildCacheKey(type, model, input, image) {
+  const prompt = { ...input };
+  KEY_EXCLUDED_INPUTS.forEach(field => delete prompt[field]);
+
+  // Weather is fetched per location and refreshed every few minutes; the location and the hour it was
+  // fetched identify it closely enough without making every refresh a new entry
+  const weather = input.weatherReport;
+  const images = (Array.isArray(image) ? image : [image].filter(Boolean))
+    .map(entry => ({ sha256: hashImage(entry), role: entry.role || null }));
+
+  const material = JSON.stringify({
+    version: CACHE_VERSION,
+    type,
+    model,
+    input: normalizeInput(prompt),
+    weatherLocation: weather ? `${Number(weather.latitude).toFixed(2)},${Number(weather.longitude).toFixed(2)}` : null,
+    weatherHour: weather && weather.fetchedAt ? new Date(weather.fetchedAt).toISOString().slice(0, 13) : null,
+    images
+  });
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+/**
+ * Whether a result was answered without a Gemini call of its own (a cache hit, or a share of a running call)
+ * @param {object} result - getOrRun() result, or a response body built from one
+ * @returns {boolean}
+ */
+function isReusedResult(result) {
+  return Boolean(result && result.cache && ['hit', 'shared'].includes(result.cache.status));
+}
+
+class AnalysisCache {
+  /**
+   * @param {object|null} store - MemoryAnalysisCacheStore, MongoAnalysisCacheStore, or null to disable caching
+   * @param {object} options - now (clock function returning ms), ttlMs
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.now = options.now || (() => Date.now());
+    this.ttlMs = options.ttlMs || TTL_MS;
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Cached result for an analysis, or the result of running it
+   * The result carries cache: { status } - 'hit' (with cachedAt and expiresAt), 'shared' (joined an identical
+   * request that was already running), 'miss' or 'disabled'.
+   * @param {object} key - { type, model, input, image } (see buildCacheKey)
+   * @param {Function} run - async () => runAnalysis() result
+   * @param {object} options - share (default true; false runs on its own, e.g. when run streams to one client)
+   * @returns {Promise<object>} Result with cache status
+   */
+  async getOrRun({ type, model, input, image }, run, options = {}) {
+    const { share = true } = options;
+    if (!this.store) {
+      return { ...(await run()), cache: { status: 'disabled' } };
+    }
+
+    const key = buildCacheKey(type, model, input, image);
+
+    const cached = await this.read(key);
+    if (cached) {
+      return {
+        ...cached.result,
+        cache: { status: 'hit', cachedAt: cached.cachedAt, expiresAt: cached.expiresAt }
+      };
+    }
+
+    if (share && this.inFlight.has(key)) {
+      return { ...(await this.inFlight.get(key)), cache: { status: 'shared' } };
+    }
+
+    const request = run().then(async result => {
+      // Answers that never matched the schema are worth another try next time
+      if (result.parseStatus !== 'invalid') {
+        await this.write(key, type, result);
+      }
+      return result;
+    });
+    if (!share) {
+      return { ...(await request), cache: { status: 'miss' } };
+    }
+
+    const shared = request.finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, shared);
+    return { ...(await shared), cache: { status: 'miss' } };
+  }
+
+  // A store failure only costs a Gemini call, so it never fails the analysis
+  async read(key) {
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      console.error('Analysis cache read failed:', error.message);
+      return null;
+    }
+  }
+
+  async write(key, type, result) {
+    try {
+      await this.store.set(key, type, result, new Date(this.now() + this.ttlMs));
+    } catch (error) {
+      console.error('Analysis cache write failed:', error.message);
+    }
+  }
+}
+
+/**
+ * Build the store selected by ANALYSIS_CACHE_STORE
+ * @param {string} name - 'mongo' (default), 'memory' or 'none'
+ * @returns {object|null} Store, or null when caching is off
+ */
+function createAnalysisCacheStore(name = process.env.ANALYSIS_CACHE_STORE || 'mongo') {
+  if (name === 'none') return null;
+  if (name === 'memory') return new MemoryAnalysisCacheStore();
+  if (name === 'mongo') return new MongoAnalysisCacheStore();
+  throw new Error(`Unknown ANALYSIS_CACHE_STORE: ${name}`);
+}
+
+let analysisCache = new AnalysisCache(createAnalysisCacheStore());
+
+function getAnalysisCache() {
+  return analysisCache;
+}
+
+/**
+ * Swap the active cache (e.g. one with a MemoryAnalysisCacheStore and a fake clock in tests)
+ * @param {AnalysisCache} cache - Cache to use
+ */
+function setAnalysisCache(cache) {
+  analysisCache = cache;
+}
+
+module.exports = {
+  AnalysisCache,
+  buildCacheKey,
+  isReusedResult,
+  getAnalysisCache,
+  setAnalysisCache
+};
@@ -0,0 +1,62 @@
+const AnalysisCacheEntry = require('../models/AnalysisCacheEntry');
+
+/**
+ * Analysis Cache Stores
+ * Keep analysis results by cache key until they expire. Both stores return { result, cachedAt, expiresAt } or null.
+ * MongoAnalysisCacheStore (default) is shared by every server instance and survives restarts;
+ * MemoryAnalysisCacheStore (ANALYSIS_CACHE_STORE=memory) is per process and keeps at most maxEntries results.
+ */
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+class MemoryAnalysisCacheStore {
+  /**
+   * @param {object} options - now (clock function returning ms), maxEntries
+   */
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt.getTime() <= this.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return { result: entry.result, cachedAt: entry.cachedAt, expiresAt: entry.expiresAt };
+  }
+
+  async set(key, type, result, expiresAt) {
+    // Map keeps insertion order, so the first key is the oldest entry
+    this.entries.delete(key);
+    while (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, { type, result, cachedAt: new Date(this.now()), expiresAt });
+  }
+}
+
+class MongoAnalysisCacheStore {
+  async get(key) {
+    // The TTL monitor runs about once a minute, so expired entries can still be there
+    const entry = await AnalysisCacheEntry.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    return entry ? { result: entry.result, cachedAt: entry.updatedAt, expiresAt: entry.expiresAt } : null;
+  }
+
+  async set(key, type, result, expiresAt) {
+    await AnalysisCacheEntry.findOneAndUpdate(
+      { key },
+      { $set: { type, result, expiresAt } },
+      { upsert: true, timestamps: true }
+    );
+  }
+}
+
+module.exports = {
+  MemoryAnalysisCacheStore,
+  MongoAnalysisCacheStore
+};
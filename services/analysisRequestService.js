@@ -0,0 +1,232 @@
+const { runAnalysis } = require('./analysisService');
+const { recordDiagnosisScan } = require('./scanService');
+const { getCrop } = require('./cropTrackingService');
+const { storePhotos, getSignedPhotoUrls } = require('./photoStorageService');
+const { getWeatherService } = require('./weatherService');
+const { getRegionContext } = require('./regionService');
+
+/**
+ * Analysis Requests
+ * What each analysis route does once its input is validated and its images are preprocessed:
+ * add weather and region context, run the analysis, record side effects (scan history) and build the
+ * response body. Routes call these directly; the job queue calls the same functions for async=true requests.
+ * Every handler takes { body (validated request fields), user ({ userId }), images (preprocessImages() output) };
+ * the text advice handlers (STREAMING_REQUEST_TYPES) also take stream ({ onText, signal }) to stream the answer.
+ */
+
+/**
+ * Coordinates for an analysis request: latitude/longitude in the body, or the location of the user's crop (cropId)
+ * @param {object} body - Validated request body
+ * @param {object} user - { userId }
+ * @returns {Promise<object|null>} { latitude, longitude } or null
+ */
+async function getRequestCoordinates(body, user) {
+  const { latitude, longitude, cropId } = body;
+  if (latitude !== undefined && longitude !== undefined) {
+    return { latitude, longitude };
+  }
+
+  if (cropId) {
+    try {
+      const crop = await getCrop(cropId);
+      if (crop && crop.userId === user.userId) {
+        return { latitude: crop.location.latitude, longitude: crop.location.longitude };
+      }
+    } catch (error) {
+      console.error('Crop lookup for location failed:', error.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * Weather, region and season for an analysis request
+ * @param {object} body - Validated request body
+ * @param {object} user - { userId }
+ * @returns {Promise<object>} { weatherReport (null when unavailable), regionContext: { region, season } }
+ */
+async function getRequestContext(body, user) {
+  const coordinates = await getRequestCoordinates(body, user);
+  return {
+    weatherReport: await getWeatherService().getWeatherContext(coordinates),
+    regionContext: getRegionContext(coordinates)
+  };
+}
+
+// Only a point inside a surveyed district boundary names a scan's region; approximate matches are guesses
+function getBoundaryState(region) {
+  return region && !region.approximate ? region.state : undefined;
+}
+
+/**
+ * Response body for a structured analysis result
+ * @param {string} key - Response field ('analysis', 'advice', 'solution')
+ * @param {object} result - runAnalysis() result
+ * @param {object} extra - Additional response fields
+ * @returns {object} Response body
+ */
+function buildAnalysisResponse(key, result, extra = {}) {
+  return {
+    success: true,
+    [key]: result.data,
+    ...extra,
+    parseStatus: result.parseStatus,
+    ...(result.cache && { cache: result.cache }),
+    ...(result.validationErrors && { validationErrors: result.validationErrors }),
+    ...(result.rawText && { rawText: result.rawText }),
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Plant disease diagnosis from one or more photos (/analyze-plant); analysisType=product reads a label instead
+async function runPlantRequest({ body, user, images }) {
+  const language = body.language || 'en';
+  const { analysisType, location, temperature } = body;
+
+  const { weatherReport, regionContext } = await getRequestContext(body, user);
+
+  // Choose analysis based on analysis type; all images go in one Gemini request
+  const result = await runAnalysis(
+    analysisType === 'product' ? 'product' : 'plant',
+    { language, location, temperature, weatherReport, regionContext, images },
+    images
+  );
+
+  // Keep the diagnosis and its photos in scan history (never fails the analysis itself)
+  let scanId = null;
+  let storedImages = [];
+  if (analysisType !== 'product' && result.data) {
+    try {
+      storedImages = await storePhotos(`scans/${user.userId}`, images);
+      const scan = await recordDiagnosisScan(result.data, {
+        userId: user.userId,
+        cropId: body.cropId,
+        cropType: body.cropType,
+        location,
+        region: body.region || getBoundaryState(regionContext.region),
+        latitude: body.latitude,
+        longitude: body.longitude,
+        images: storedImages
+      });
+      scanId = scan ? scan.scanId : null;
+    } catch (scanError) {
+      console.error('Scan recording error:', scanError.message);
+    }
+  }
+
+  return buildAnalysisResponse('analysis', result, {
+    scanId,
+    images: images.map(({ index, role, width, height }, i) => ({
+      index,
+      role,
+      width,
+      height,
+      ...(storedImages[i] && { signedUrls: getSignedPhotoUrls(storedImages[i]) })
+    })),
+    weather: weatherReport,
+    ...regionContext
+  });
+}
+
+// Agricultural product label (/analyze-spray)
+async function runProductRequest({ body, user, images }) {
+  const language = body.language || 'en';
+  const { weatherReport, regionContext } = await getRequestContext(body, user);
+
+  const result = await runAnalysis('product', { language, weatherReport }, images[0]);
+
+  return buildAnalysisResponse('analysis', result, { weather: weatherReport, ...regionContext });
+}
+
+// Symptom consultation (/consultation)
+async function runConsultationRequest({ body, user, stream }) {
+  const { plant_name, symptoms, location, language } = body;
+  const { weatherReport, regionContext } = await getRequestContext(body, user);
+
+  const result = await runAnalysis('consultation', {
+    plantName: plant_name,
+    symptoms,
+    location,
+    language: language || 'en',
+    weatherReport
+  }, null, stream);
+
+  return buildAnalysisResponse('advice', result, { weather: weatherReport, ...regionContext });
+}
+
+// Smart solution finder (/smart-solution)
+async function runSmartSolutionRequest({ body, user, images, stream }) {
+  const { cropName, plantStage, plantAgeDays, problemDescription, location, weather, language } = body;
+  const { weatherReport, regionContext } = await getRequestContext(body, user);
+
+  const solutionData = {
+    cropName,
+    plantStage,
+    plantAgeDays,
+    problemDescription,
+    location,
+    weather,
+    weatherReport,
+    regionContext,
+    language: language || 'hi'
+  };
+
+  const result = await runAnalysis('smartSolution', solutionData, images[0] || null, stream);
+
+  return buildAnalysisResponse('solution', result, { weather: weatherReport, ...regionContext });
+}
+
+// Goal-based expert advice (/expert-advice)
+async function runExpertAdviceRequest({ body, user, images, stream }) {
+  const { goal, cropType, plantAge, details, location, weather, language } = body;
+  const { weatherReport, regionContext } = await getRequestContext(body, user);
+
+  const adviceData = {
+    goal,
+    cropType,
+    plantAge,
+    details,
+    location,
+    weather,
+    weatherReport,
+    regionContext,
+    language: language || 'en'
+  };
+
+  const result = await runAnalysis('expertAdvice', adviceData, images[0] || null, stream);
+
+  return buildAnalysisResponse('advice', result, { weather: weatherReport, ...regionContext });
+}
+
+const ANALYSIS_REQUESTS = {
+  plant: runPlantRequest,
+  product: runProductRequest,
+  consultation: runConsultationRequest,
+  smartSolution: runSmartSolutionRequest,
+  expertAdvice: runExpertAdviceRequest
+};
+
+// Request types that can stream their answer text
+const STREAMING_REQUEST_TYPES = ['consultation', 'smartSolution', 'expertAdvice'];
+
+/**
+ * Run one of the analysis request types
+ * @param {string} type - Key of ANALYSIS_REQUESTS
+ * @param {object} request - { body, user, images, stream? }
+ * @returns {Promise<object>} Response body
+ */
+async function runAnalysisRequest(type, request) {
+  const handler = ANALYSIS_REQUESTS[type];
+  if (!handler) {
+    throw new Error(`Unknown analysis request type: ${type}`);
+  }
+  return handler({ images: [], ...request });
+}
+
+module.exports = {
+  ANALYSIS_REQUEST_TYPES: Object.keys(ANALYSIS_REQUESTS),
+  STREAMING_REQUEST_TYPES,
+  getRequestContext,
+  buildAnalysisResponse,
+  runAnalysisRequest
+};
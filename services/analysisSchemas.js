@@ -0,0 +1,220 @@
+const { GROWTH_STAGES } = require('../config/cropCatalog');
+
+/**
+ * Analysis Response Schemas
+ * Expected JSON shape for each analysis prompt, written in the OpenAPI subset Gemini understands
+ * (type, properties, required, items, enum, minimum, maximum). The same objects are sent to Gemini
+ * as responseSchema and used by schemaValidator to check the answer
+ */
+
+const str = () => ({ type: 'STRING' });
+const strList = () => ({ type: 'ARRAY', items: { type: 'STRING' } });
+const int = (minimum, maximum) => ({ type: 'INTEGER', minimum, maximum });
+// propertyOrdering keeps Gemini's output in the same order as the prompt examples
+const obj = (properties, required = Object.keys(properties)) => ({
+  type: 'OBJECT',
+  properties,
+  required,
+  propertyOrdering: Object.keys(properties)
+});
+
+// Which uploaded image an answer relies on (1-based, in upload order)
+const imageEvidence = () => obj({
+  primaryImage: int(1),
+  reason: str()
+});
+
+// Plant disease diagnosis fields (/analyze-plant and expert advice FIX_DISEASE)
+const diagnosisFields = {
+  observation: obj({
+    plantName: str(),
+    affectedArea: str(),
+    visualDescription: str()
+  }),
+  diagnosis: obj({
+    name: str(),
+    // Explicit flag for scan history and analytics, so a name like "Not healthy" is never read as healthy
+    isHealthy: { type: 'BOOLEAN' },
+    confidence: int(1, 100)
+  }),
+  severity: obj({
+    level: str(),
+    scale: int(1, 10),
+    impact: str()
+  }),
+  treatment: obj({
+    immediate: strList(),
+    chemical: strList(),
+    organic: strList()
+  }),
+  rootCause: obj({
+    primary: str(),
+    prevention: strList()
+  }),
+  profile: obj({
+    frequency: str(),
+    regionalNotes: str()
+  })
+};
+
+// /analyze-plant can send several photos, so the diagnosis says which one it relied on
+const plantDiagnosisSchema = obj({
+  ...diagnosisFields,
+  imageEvidence: imageEvidence()
+});
+
+// Expert advice FIX_DISEASE adds an analysisType tag to the diagnosis
+const expertDiagnosisSchema = obj({
+  analysisType: { type: 'STRING', enum: ['PLANT_DISEASE'] },
+  ...diagnosisFields
+});
+
+// Agricultural product label (/analyze-spray and /analyze-plant with analysisType=product)
+const productSchema = obj({
+  product_type: str(),
+  product_name: str(),
+  active_ingredients: strList(),
+  usage: obj({
+    target_crops: strList(),
+    application_method: str(),
+    dosage_guidance: str(),
+    timing: str()
+  }),
+  safety: obj({
+    precautions: strList(),
+    protective_equipment: strList(),
+    storage: str()
+  }),
+  effectiveness: str(),
+  recommendations: strList()
+}, ['product_type', 'active_ingredients', 'usage', 'safety', 'recommendations']);
+
+// Symptom consultation (/consultation)
+const consultationSchema = obj({
+  diagnosis: str(),
+  confidence: str(),
+  causes: strList(),
+  treatment_plan: obj({
+    immediate_actions: strList(),
+    ongoing_care: strList(),
+    timeline: str()
+  }),
+  prevention: strList(),
+  when_to_seek_help: str()
+});
+
+// Smart solution finder (/smart-solution)
+const smartSolutionSchema = obj({
+  analysisType: { type: 'STRING', enum: ['SMART_SOLUTION'] },
+  assessment: obj({
+    cropHealth: str(),
+    identifiedIssues: strList(),
+    riskLevel: str(),
+    urgency: str()
+  }),
+  solution: obj({
+    immediate: obj({
+      actions: strList(),
+      timeline: str()
+    }),
+    treatment: obj({
+      chemical: strList(),
+      organic: strList(),
+      cultural: strList()
+    }),
+    prevention: obj({
+      shortTerm: strList(),
+      longTerm: strList(),
+      monitoring: strList()
+    })
+  }),
+  timeline: obj({
+    day1: str(),
+    week1: str(),
+    week2: str(),
+    month1: str()
+  }),
+  expectedOutcome: obj({
+    improvements: strList(),
+    timeframe: str(),
+    successIndicators: strList()
+  }),
+  expertTips: obj({
+    dosageDetails: strList(),
+    timing: strList(),
+    weatherConsiderations: strList(),
+    costOptimization: strList()
+  })
+});
+
+// Expert advice IMPROVE_GROWTH (/expert-advice)
+const actionPlanSchema = obj({
+  analysisType: { type: 'STRING', enum: ['ACTION_PLAN'] },
+  currentStatus: obj({
+    plantHealth: str(),
+    growthStage: str(),
+    potentialIssues: strList()
+  }),
+  actionPlan: obj({
+    fertilizer: obj({
+      type: str(),
+      dosage: str(),
+      timing: str(),
+      frequency: str()
+    }),
+    watering: obj({
+      schedule: str(),
+      amount: str(),
+      method: str()
+    }),
+    care: obj({
+      pruning: str(),
+      spacing: str(),
+      support: str()
+    })
+  }),
+  timeline: obj({
+    week1: str(),
+    week2: str(),
+    week3: str(),
+    week4: str()
+  }),
+  expectedResults: obj({
+    improvements: strList(),
+    timeline: str(),
+    monitoring: strList()
+  })
+});
+
+// Expert advice for any other goal (/expert-advice)
+const generalAdviceSchema = obj({
+  analysisType: { type: 'STRING', enum: ['GENERAL_ADVICE'] },
+  recommendations: strList(),
+  seasonalAdvice: strList(),
+  bestPractices: strList()
+});
+
+// Crop growth photo (buildGrowthAnalysisPrompt)
+const growthAnalysisSchema = obj({
+  growthStage: { type: 'STRING', enum: GROWTH_STAGES },
+  healthScore: int(0, 100),
+  issues: strList(),
+  // One English snake_case code per issue, in the same order, so the same problem can be followed across photos
+  issueCodes: strList(),
+  observations: str(),
+  recommendations: strList(),
+  nextPhotoDays: int(1, 7),
+  urgency: { type: 'STRING', enum: ['routine', 'important', 'critical', 'urgent'] },
+  imageEvidence: imageEvidence()
+});
+
+module.exports = {
+  plantDiagnosisSchema,
+  expertDiagnosisSchema,
+  productSchema,
+  consultationSchema,
+  smartSolutionSchema,
+  actionPlanSchema,
+  generalAdviceSchema,
+  growthAnalysisSchema
+};
@@ -0,0 +1,186 @@
+const { analyzeWithGemini, streamWithGemini, parseGeminiResponse } = require('./geminiService');
+const { validateAgainstSchema } = require('./schemaValidator');
+const { getAnalysisCache } = require('./analysisCacheService');
+const { getCallSiteConfig } = require('../config/gemini');
+const {
+  getPlantAnalysisPrompt,
+  getDiseaseQueryPrompt,
+  getSmartSolutionPrompt,
+  getExpertAdvicePrompt,
+  getProductAnalysisPrompt
+} = require('./promptService');
+const {
+  plantDiagnosisSchema,
+  expertDiagnosisSchema,
+  productSchema,
+  consultationSchema,
+  smartSolutionSchema,
+  actionPlanSchema,
+  generalAdviceSchema
+} = require('./analysisSchemas');
+
+/**
+ * Structured Analysis Service
+ * Runs an analysis prompt, parses the JSON answer and checks it against the schema for that prompt
+ */
+
+/**
+ * Pick the expert advice schema for a goal
+ * @param {string} goal - FIX_DISEASE, IMPROVE_GROWTH or anything else
+ * @returns {object} Schema
+ */
+function getExpertAdviceSchema(goal) {
+  if (goal === 'FIX_DISEASE') return expertDiagnosisSchema;
+  if (goal === 'IMPROVE_GROWTH') return actionPlanSchema;
+  return generalAdviceSchema;
+}
+
+// Analysis types: prompt builder, schema and Gemini call site
+const ANALYSIS_TYPES = {
+  plant: {
+    callSite: 'plantAnalysis',
+    buildPrompt: input => getPlantAnalysisPrompt(
+      input.language, input.location, input.temperature, input.weatherReport, input.regionContext, input.images
+    ),
+    getSchema: () => plantDiagnosisSchema
+  },
+  product: {
+    callSite: 'productAnalysis',
+    buildPrompt: input => getProductAnalysisPrompt(input.language, input.weatherReport),
+    getSchema: () => productSchema
+  },
+  consultation: {
+    callSite: 'consultation',
+    buildPrompt: input => getDiseaseQueryPrompt(input.plantName, input.symptoms, input.location, input.language, input.weatherReport),
+    getSchema: () => consultationSchema
+  },
+  smartSolution: {
+    callSite: 'smartSolution',
+    buildPrompt: input => getSmartSolutionPrompt(input),
+    getSchema: () => smartSolutionSchema
+  },
+  expertAdvice: {
+    callSite: 'expertAdvice',
+    buildPrompt: input => getExpertAdvicePrompt(input),
+    getSchema: input => getExpertAdviceSchema(input.goal)
+  }
+};
+
+/**
+ * Run one of the registered analysis types
+ * Repeated requests are answered from the analysis cache (result.cache shows how); a cached answer is not streamed.
+ * @param {string} type - Key of ANALYSIS_TYPES
+ * @param {object} input - Prompt inputs (language, location, weatherReport, regionContext, ...)
+ * @param {object|Array} image - Preprocessed image { data, mimeType } or images from preprocessImages() (optional)
+ * @param {object} streamOptions - onText (stream the answer text as it arrives), signal (AbortSignal)
+ * @returns {Promise<object>} { data, parseStatus, validationErrors?, cache: { status, cachedAt?, expiresAt? } }
+ */
+async function runAnalysis(type, input, image = null, streamOptions = {}) {
+  const definition = ANALYSIS_TYPES[type];
+  if (!definition) {
+    throw new Error(`Unknown analysis type: ${type}`);
+  }
+
+  const prompt = definition.buildPrompt(input);
+  const schema = definition.getSchema(input);
+
+  return getAnalysisCache().getOrRun(
+    { type, model: getCallSiteConfig(definition.callSite).model, input, image },
+    () => runStructuredAnalysis(prompt, image, schema, { callSite: definition.callSite, ...streamOptions }),
+    // A streamed call belongs to its client: others must not wait on its output or be cut off by its disconnect
+    { share: !streamOptions.onText && !streamOptions.signal }
+  );
+}
+
+/**
+ * Call Gemini and validate the JSON answer, with one repair/retry when it does not match
+ * parseStatus is 'valid' (first answer matched), 'repaired' (second answer matched) or 'invalid'
+ * With callOptions.onText the first answer is streamed; a repair/retry is a normal call whose text is not streamed.
+ * @param {string} prompt - Analysis prompt
+ * @param {object|Array} image - Preprocessed image { data, mimeType } or images from preprocessImages() (optional)
+ * @param {object} schema - Expected response schema
+ * @param {object} callOptions - Gemini client options (callSite, ..., onText, signal); responseSchema is set from schema
+ * @returns {Promise<object>} { data, parseStatus, validationErrors? }
+ */
+async function runStructuredAnalysis(prompt, image, schema, callOptions = {}) {
+  const { onText, signal, ...clientOptions } = callOptions;
+  const options = { ...clientOptions, responseSchema: schema };
+  const rawText = onText
+    ? await streamWithGemini(prompt, image, { ...options, signal }, onText)
+    : await analyzeWithGemini(prompt, image, options);
+  const first = checkResponse(rawText, schema);
+
+  if (first.errors.length === 0) {
+    return { data: first.data, parseStatus: 'valid' };
+  }
+
+  console.warn(`Analysis response failed validation [${options.callSite}]:`, first.errors.slice(0, 5));
+
+  // Unparseable text is retried from scratch; JSON with field problems is sent back for repair
+  let second = null;
+  try {
+    const secondText = first.data
+      ? await analyzeWithGemini(buildRepairPrompt(rawText, first.errors, schema), null, { ...options, temperature: 0 })
+      : await analyzeWithGemini(prompt, image, options);
+    second = checkResponse(secondText, schema);
+  } catch (error) {
+    console.error('Analysis repair attempt failed:', error.message);
+  }
+
+  if (second && second.errors.length === 0) {
+    return { data: second.data, parseStatus: 'repaired' };
+  }
+
+  const best = second && second.data ? second : first;
+  return {
+    data: best.data,
+    parseStatus: 'invalid',
+    validationErrors: best.errors,
+    rawText: best.data ? undefined : rawText
+  };
+}
+
+/**
+ * Parse and validate a raw Gemini answer
+ * @param {string} rawText - Gemini response text
+ * @param {object} schema - Expected response schema
+ * @returns {object} { data (null when not JSON), errors }
+ */
+function checkResponse(rawText, schema) {
+  const parsed = parseGeminiResponse(rawText);
+  if (parsed.parsed === false) {
+    return { data: null, errors: [{ field: '(root)', message: 'response is not valid JSON' }] };
+  }
+  return { data: parsed, errors: validateAgainstSchema(parsed, schema) };
+}
+
+/**
+ * Prompt asking Gemini to fix its own JSON
+ * @param {string} rawText - Invalid response
+ * @param {Array<object>} errors - Validation problems
+ * @param {object} schema - Expected response schema
+ * @returns {string} Repair prompt
+ */
+function buildRepairPrompt(rawText, errors, schema) {
+  const problems = errors.map(error => `- ${error.field}: ${error.message}`).join('\n');
+
+  return `The JSON below does not match the required schema.
+
+PROBLEMS:
+${problems}
+
+REQUIRED SCHEMA:
+${JSON.stringify(schema, null, 2)}
+
+JSON TO FIX:
+${rawText}
+
+Return ONLY the corrected JSON object. Keep the same content and the same language; only fix the listed problems.`;
+}
+
+module.exports = {
+  ANALYSIS_TYPES,
+  runAnalysis,
+  runStructuredAnalysis,
+  getExpertAdviceSchema
+};
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const { GeminiQuotaError, GeminiAuthError } = require('./geminiErrors');
+
+/**
+ * Health-aware Gemini API key pool
+ * Rotates through keys, records success/failure per key and rests keys that hit quota or auth errors
+ */
+
+const QUOTA_COOLDOWN_MS = parseInt(process.env.GEMINI_KEY_QUOTA_COOLDOWN_MS, 10) || 60 * 1000;
+const AUTH_COOLDOWN_MS = parseInt(process.env.GEMINI_KEY_AUTH_COOLDOWN_MS, 10) || 30 * 60 * 1000;
+const MAX_COOLDOWN_MS = 60 * 60 * 1000;
+
+/**
+ * Read keys from the environment
+ * Accepts GEMINI_API_KEY_1..N (any N), a comma-separated GEMINI_API_KEYS, and falls back to GEMINI_API_KEY
+ * @param {object} env - Environment variables
+ * @returns {Array<string>} Unique, non-empty keys
+ */
+function loadApiKeysFromEnv(env = process.env) {
+  const numbered = Object.keys(env)
+    .map(name => name.match(/^GEMINI_API_KEY_(\d+)$/))
+    .filter(Boolean)
+    .sort((a, b) => Number(a[1]) - Number(b[1]))
+    .map(match => env[match[0]]);
+
+  const listed = (env.GEMINI_API_KEYS || '').split(',');
+
+  const keys = [...numbered, ...listed]
+    .map(key => (key || '').trim())
+    .filter(key => key !== '');
+
+  if (keys.length === 0 && env.GEMINI_API_KEY) {
+    console.warn("⚠️  WARNING: Using legacy GEMINI_API_KEY. Please set GEMINI_API_KEY_1, etc.");
+    keys.push(env.GEMINI_API_KEY.trim());
+  }
+
+  return [...new Set(keys)];
+}
+
+class ApiKeyPool {
+  /**
+   * @param {Array<string>} keys - API keys
+   * @param {object} options - now (clock function), quotaCooldownMs, authCooldownMs
+   */
+  constructor(keys = [], options = {}) {
+    this.now = options.now || (() => Date.now());
+    this.quotaCooldownMs = options.quotaCooldownMs || QUOTA_COOLDOWN_MS;
+    this.authCooldownMs = options.authCooldownMs || AUTH_COOLDOWN_MS;
+    this.cursor = 0;
+
+    this.entries = keys.map((key, index) => ({
+      id: `key-${index + 1}`,
+      key,
+      fingerprint: crypto.createHash('sha256').update(key).digest('hex').slice(0, 8),
+      requests: 0,
+      successes: 0,
+      failures: 0,
+      quotaErrors: 0,
+      authErrors: 0,
+      consecutiveFailures: 0,
+      cooldownUntil: 0,
+      lastUsedAt: null,
+      lastSuccessAt: null,
+      lastError: null
+    }));
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  isAvailable(entry) {
+    return entry.cooldownUntil <= this.now();
+  }
+
+  availableCount() {
+    return this.entries.filter(entry => this.isAvailable(entry)).length;
+  }
+
+  /**
+   * Pick the next healthy key in round-robin order
+   * @returns {object} Pool entry ({ id, key, ... })
+   * @throws {GeminiAuthError} When no keys are configured
+   * @throws {GeminiQuotaError} When every key is cooling down
+   */
+  acquire() {
+    if (this.entries.length === 0) {
+      throw new GeminiAuthError('No Gemini API keys configured');
+    }
+
+    for (let offset = 0; offset < this.entries.length; offset++) {
+      const index = (this.cursor + offset) % this.entries.length;
+      const entry = this.entries[index];
+
+      if (this.isAvailable(entry)) {
+        this.cursor = (index + 1) % this.entries.length;
+        entry.requests++;
+        entry.lastUsedAt = new Date(this.now());
+        console.log(`🔑 Using API ${entry.id} (${entry.requests} requests)`);
+        return entry;
+      }
+    }
+
+    const soonest = Math.min(...this.entries.map(entry => entry.cooldownUntil));
+    throw new GeminiQuotaError('All Gemini API keys are cooling down', {
+      retryAfterMs: Math.max(0, soonest - this.now())
+    });
+  }
+
+  /**
+   * Record a successful call
+   * @param {object} entry - Entry returned by acquire()
+   */
+  reportSuccess(entry) {
+    entry.successes++;
+    entry.consecutiveFailures = 0;
+    entry.lastSuccessAt = new Date(this.now());
+  }
+
+  /**
+   * Record a failed call; quota and auth errors put the key on cooldown
+   * @param {object} entry - Entry returned by acquire()
+   * @param {Error} error - Typed Gemini error
+   */
+  reportFailure(entry, error) {
+    entry.failures++;
+    entry.consecutiveFailures++;
+    entry.lastError = { type: error.name, message: error.message, at: new Date(this.now()) };
+
+    let cooldownMs = 0;
+    if (error instanceof GeminiQuotaError) {
+      entry.quotaErrors++;
+      // Back off harder on keys that keep hitting their quota
+      const escalated = this.quotaCooldownMs * Math.pow(2, Math.min(entry.consecutiveFailures - 1, 6));
+      cooldownMs = Math.min(MAX_COOLDOWN_MS, Math.max(escalated, error.retryAfterMs || 0));
+    } else if (error instanceof GeminiAuthError) {
+      entry.authErrors++;
+      cooldownMs = this.authCooldownMs;
+    }
+
+    if (cooldownMs > 0) {
+      entry.cooldownUntil = this.now() + cooldownMs;
+      console.warn(`🧊 API ${entry.id} cooling down for ${Math.round(cooldownMs / 1000)}s after ${error.name}`);
+    }
+  }
+
+  /**
+   * Per-key status safe to expose (no key material)
+   * @returns {Array<object>} Status per key
+   */
+  getStatus() {
+    const now = this.now();
+    return this.entries.map(entry => ({
+      id: entry.id,
+      fingerprint: entry.fingerprint,
+      status: this.isAvailable(entry) ? 'healthy' : 'cooldown',
+      cooldownRemainingMs: Math.max(0, entry.cooldownUntil - now),
+      requests: entry.requests,
+      successes: entry.successes,
+      failures: entry.failures,
+      quotaErrors: entry.quotaErrors,
+      authErrors: entry.authErrors,
+      lastUsedAt: entry.lastUsedAt,
+      lastSuccessAt: entry.lastSuccessAt,
+      lastError: entry.lastError
+    }));
+  }
+}
+
+// Shared pool for the process
+const keyPool = new ApiKeyPool(loadApiKeysFromEnv());
+
+module.exports = {
+  ApiKeyPool,
+  loadApiKeysFromEnv,
+  keyPool
+};
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const { getUserStore } = require('./userStore');
+
+/**
+ * Authentication Service
+ * Registration and login with scrypt-hashed passwords and HMAC-signed bearer tokens (JWT, HS256)
+ */
+
+const TOKEN_TTL_SECONDS = (parseInt(process.env.AUTH_TOKEN_TTL_HOURS, 10) || 24 * 7) * 60 * 60;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+
+// Phone numbers that get the admin role when they register
+const ADMIN_PHONES = (process.env.ADMIN_PHONES || '').split(',').map(phone => phone.trim()).filter(Boolean);
+
+let tokenSecret = process.env.AUTH_TOKEN_SECRET;
+if (!tokenSecret) {
+  console.warn('⚠️  WARNING: AUTH_TOKEN_SECRET not set. Using a random secret; tokens will not survive a restart.');
+  tokenSecret = crypto.randomBytes(32).toString('hex');
+}
+
+function authError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} "scrypt$<salt>$<hash>"
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain text password
+ * @param {string} storedHash - Value from hashPassword()
+ * @returns {Promise<boolean>} True when the password matches
+ */
+async function verifyPassword(password, storedHash) {
+  const [scheme, salt, expectedHex] = (storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expectedHex) return false;
+
+  const expected = Buffer.from(expectedHex, 'hex');
+  const actual = await scrypt(password, salt);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, derivedKey) => {
+      if (error) reject(error);
+      else resolve(derivedKey);
+    });
+  });
+}
+
+/**
+ * Sign a bearer token for a user
+ * @param {object} user - User ({ userId, role })
+ * @returns {object} { token, expiresAt }
+ */
+function issueToken(user) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const payload = { sub: user.userId, role: user.role, iat: issuedAt, exp: issuedAt + TOKEN_TTL_SECONDS };
+
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = sign(`${header}.${body}`);
+
+  return { token: `${header}.${body}.${signature}`, expiresAt: new Date(payload.exp * 1000) };
+}
+
+/**
+ * Verify a bearer token
+ * @param {string} token - Token from issueToken()
+ * @returns {object} Token payload ({ sub, role, iat, exp })
+ * @throws {Error} 401 when the token is malformed, tampered with or expired
+ */
+function verifyToken(token) {
+  const [header, body, signature] = (token || '').split('.');
+  if (!header || !body || !signature) {
+    throw authError('Malformed token', 401);
+  }
+
+  const expected = Buffer.from(sign(`${header}.${body}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw authError('Invalid token', 401);
+  }
+
+  const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  if (!payload.exp || payload.exp * 1000 < Date.now()) {
+    throw authError('Token expired', 401);
+  }
+  return payload;
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', tokenSecret).update(data).digest('base64url');
+}
+
+function base64url(text) {
+  return Buffer.from(text).toString('base64url');
+}
+
+/**
+ * Register a new farmer account
+ * @param {object} data - phone, password, name
+ * @returns {Promise<object>} { user, token, expiresAt }
+ */
+async function registerUser({ phone, password, name } = {}) {
+  if (!phone || !password) {
+    throw authError('phone and password are required', 400);
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw authError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+
+  const store = getUserStore();
+  const normalizedPhone = phone.trim();
+  if (await store.findByPhone(normalizedPhone)) {
+    throw authError('Phone number is already registered', 409);
+  }
+
+  let user;
+  try {
+    user = await store.create({
+      phone: normalizedPhone,
+      name,
+      passwordHash: await hashPassword(password),
+      role: ADMIN_PHONES.includes(normalizedPhone) ? 'admin' : 'farmer'
+    });
+  } catch (error) {
+    // Lost a race with a concurrent registration
+    if (error.code === 11000) throw authError('Phone number is already registered', 409);
+    throw error;
+  }
+
+  return { user: toPublicUser(user), ...issueToken(user) };
+}
+
+/**
+ * Log in with phone and password
+ * @param {object} credentials - phone, password
+ * @returns {Promise<object>} { user, token, expiresAt }
+ */
+async function loginUser({ phone, password } = {}) {
+  if (!phone || !password) {
+    throw authError('phone and password are required', 400);
+  }
+
+  const store = getUserStore();
+  const user = await store.findByPhone(phone.trim());
+
+  // Same error for unknown phone and wrong password
+  if (!user || !(await verifyPassword(password, user.passwordHash))) {
+    throw authError('Invalid phone or password', 401);
+  }
+
+  await store.update(user.userId, { lastLoginAt: new Date() });
+  return { user: toPublicUser(user), ...issueToken(user) };
+}
+
+/**
+ * User fields safe to return to clients
+ * @param {object} user - Stored user
+ * @returns {object} Public user
+ */
+function toPublicUser(user) {
+  const { passwordHash, _id, __v, ...publicUser } = user;
+  return publicUser;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  issueToken,
+  verifyToken,
+  registerUser,
+  loginUser,
+  toPublicUser
+};
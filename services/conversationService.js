@@ -0,0 +1,247 @@
+const { chatWithGemini } = require('./geminiService');
+const { getConversationInstruction, getConversationSummaryPrompt } = require('./promptService');
+const { getConversationStore } = require('./conversationStore');
+const { getRequestContext } = require('./analysisRequestService');
+const { getCrop } = require('./cropTrackingService');
+const { getScan } = require('./scanService');
+const { consumeAiCall, refundAiCall } = require('./quotaService');
+
+/**
+ * Consultation Conversations
+ * Multi-turn chats about a plant problem. Every turn is sent to Gemini as multi-turn contents with a system
+ * instruction carrying the farm context (linked crop or scan, weather, region). Only recent turns are sent
+ * word for word: once more than HISTORY_TURNS turns are not covered by the stored summary, the older ones are
+ * folded into it, and if that fails the request falls back to just the recent turns. The summary is one more
+ * Gemini call, so it counts against the user's AI quota; without quota left the recent turns are sent as they are.
+ * A summary is stored as soon as it is made, so the call it cost is kept even when the answer then fails.
+ * Two messages sent to the same conversation at once cannot both be stored: the second gets a 409.
+ */
+
+// Turns (a farmer message and its answer) sent word for word before older ones are summarized
+const HISTORY_TURNS = parseInt(process.env.CONVERSATION_HISTORY_TURNS, 10) || 8;
+// Turns kept word for word after summarizing
+const RECENT_TURNS = Math.max(1, Math.ceil(HISTORY_TURNS / 2));
+// Messages per conversation (both sides); start a new conversation after that
+const MAX_MESSAGES = parseInt(process.env.CONVERSATION_MAX_MESSAGES, 10) || 200;
+const LIST_LIMIT = 50;
+const TITLE_LENGTH = 80;
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Start a conversation and answer its first message
+ * @param {object} user - { userId }
+ * @param {object} fields - message, plantName, cropId, scanId, language, location, latitude, longitude
+ * @returns {Promise<object>} { conversation, reply }
+ * @throws {Error} 404 when the linked crop or scan is missing or belongs to someone else
+ */
+async function startConversation(user, fields) {
+  const { message, cropId, scanId, language, location, latitude, longitude } = fields;
+
+  const crop = cropId ? await getCrop(cropId) : null;
+  if (cropId && (!crop || crop.userId !== user.userId)) {
+    throw httpError('Crop not found', 404);
+  }
+  const scan = scanId ? await getScan(scanId) : null;
+  if (scanId && (!scan || scan.userId !== user.userId)) {
+    throw httpError('Scan not found', 404);
+  }
+
+  const conversation = await getConversationStore().create({
+    userId: user.userId,
+    title: message.length > TITLE_LENGTH ? `${message.slice(0, TITLE_LENGTH - 1)}…` : message,
+    cropId,
+    scanId,
+    plantName: fields.plantName || (crop && crop.cropType) || (scan && scan.cropType) || undefined,
+    language: language || 'en',
+    location,
+    latitude,
+    longitude
+  });
+
+  try {
+    return await sendMessage(conversation, message, user);
+  } catch (error) {
+    // A conversation whose first message got no answer is of no use
+    await getConversationStore().delete(conversation.conversationId);
+    throw error;
+  }
+}
+
+/**
+ * Answer a farmer message in a conversation and store both messages
+ * @param {object} conversation - Stored conversation
+ * @param {string} text - Farmer message
+ * @param {object} user - { userId, role, plan } of the owner (the summary call counts against their quota)
+ * @returns {Promise<object>} { conversation (updated), reply }
+ * @throws {Error} 409 when the conversation is full or another message was stored meanwhile;
+ *   GeminiError when no answer could be generated
+ */
+async function sendMessage(conversation, text, user) {
+  if (conversation.messages.length + 2 > MAX_MESSAGES) {
+    throw httpError(`This conversation has reached ${MAX_MESSAGES} messages. Please start a new one.`, 409);
+  }
+
+  const [summaryChanges, farmContext] = await Promise.all([
+    summarizeOlderTurns(conversation, user),
+    getFarmContext(conversation, user)
+  ]);
+  const history = { ...conversation, ...summaryChanges };
+
+  const userMessage = { role: 'user', text, createdAt: new Date() };
+  const contents = [...getRecentMessages(history), userMessage];
+
+  const answer = await chatWithGemini(contents, {
+    callSite: 'conversation',
+    systemInstruction: getConversationInstruction({ ...farmContext, summary: history.summary })
+  });
+
+  const reply = { role: 'model', text: answer.trim(), createdAt: new Date() };
+  // Only stored if no other message was added since the conversation was read
+  const updated = await getConversationStore().appendMessages(
+    conversation.conversationId,
+    [userMessage, reply],
+    {},
+    conversation.messages.length
+  );
+  if (!updated) {
+    throw httpError('This conversation was updated by another request; please retry', 409);
+  }
+
+  return { conversation: updated, reply };
+}
+
+/**
+ * Messages to send word for word: everything after the summary, or only the recent turns when
+ * summarizing failed and too many are left
+ * @param {object} conversation - Conversation (messages, summarizedCount)
+ * @returns {Array<object>} Messages, always starting with a farmer message
+ */
+function getRecentMessages(conversation) {
+  const { messages, summarizedCount = 0 } = conversation;
+  const unsummarized = messages.length - summarizedCount;
+  const start = unsummarized > HISTORY_TURNS * 2
+    ? messages.length - RECENT_TURNS * 2
+    : summarizedCount;
+  return messages.slice(start);
+}
+
+/**
+ * Fold the turns before the recent ones into the summary when too many are unsummarized, and store it
+ * Stored messages are never changed, so the summary stays valid whatever happens to this request's answer
+ * @param {object} conversation - Conversation
+ * @param {object} user - { userId, role, plan } whose quota pays for the summary call
+ * @returns {Promise<object>} Stored changes ({ summary, summarizedCount }), empty when nothing changed
+ */
+async function summarizeOlderTurns(conversation, user) {
+  const { messages, summarizedCount = 0 } = conversation;
+  if (messages.length - summarizedCount <= HISTORY_TURNS * 2) {
+    return {};
+  }
+
+  const quota = await consumeAiCall(user);
+  if (!quota.allowed) {
+    return {};
+  }
+
+  const foldUntil = messages.length - RECENT_TURNS * 2;
+  try {
+    const summary = await chatWithGemini(
+      [{ role: 'user', text: getConversationSummaryPrompt(conversation.summary, messages.slice(summarizedCount, foldUntil)) }],
+      { callSite: 'conversationSummary' }
+    );
+    const changes = { summary: summary.trim(), summarizedCount: foldUntil };
+    await getConversationStore().update(conversation.conversationId, changes);
+    return changes;
+  } catch (error) {
+    // Trimmed history still answers the question; the next turn tries to summarize again
+    console.error(`Conversation summary for ${conversation.conversationId} failed:`, error.message);
+    await refundAiCall(user, quota.dayKey)
+      .catch(refundError => console.error('Quota refund failed:', refundError.message));
+    return {};
+  }
+}
+
+/**
+ * Context for the system instruction: the linked crop and scan, weather and region
+ * Lookups that fail are left out so the conversation still goes on
+ * @param {object} conversation - Conversation
+ * @param {object} user - { userId }
+ * @returns {Promise<object>} { language, plantName, location, crop, scan, weatherReport, regionContext }
+ */
+async function getFarmContext(conversation, user) {
+  const { cropId, scanId } = conversation;
+
+  const [crop, scan, requestContext] = await Promise.all([
+    cropId ? getCrop(cropId).catch(logLookupError('Crop')) : null,
+    scanId ? getScan(scanId).catch(logLookupError('Scan')) : null,
+    getRequestContext(conversation, user)
+  ]);
+
+  return {
+    language: conversation.language,
+    plantName: conversation.plantName,
+    location: conversation.location,
+    crop: crop && crop.userId === user.userId ? crop : null,
+    scan: scan && scan.userId === user.userId ? scan : null,
+    ...requestContext
+  };
+}
+
+function logLookupError(label) {
+  return error => {
+    console.error(`${label} lookup for conversation failed:`, error.message);
+    return null;
+  };
+}
+
+/**
+ * A conversation for its owner
+ * @param {string} conversationId - Conversation identifier
+ * @param {string} userId - Owner
+ * @returns {Promise<object|null>} Conversation, or null when missing or owned by someone else
+ */
+async function getConversation(conversationId, userId) {
+  const conversation = await getConversationStore().findById(conversationId);
+  return conversation && conversation.userId === userId ? conversation : null;
+}
+
+/**
+ * A user's conversations, most recently active first, without their messages
+ * @param {string} userId - Owner
+ * @returns {Promise<Array<object>>} Conversations with messageCount
+ */
+async function listConversations(userId) {
+  return getConversationStore().listForUser(userId, LIST_LIMIT);
+}
+
+/**
+ * Delete a conversation
+ * @param {string} conversationId - Conversation identifier
+ */
+async function deleteConversation(conversationId) {
+  await getConversationStore().delete(conversationId);
+}
+
+/**
+ * Conversation as shown to its owner
+ * @param {object} conversation - Stored conversation
+ * @returns {object} Public fields
+ */
+function toPublicConversation(conversation) {
+  const { _id, __v, userId, summarizedCount, ...fields } = conversation;
+  return fields;
+}
+
+module.exports = {
+  startConversation,
+  sendMessage,
+  getConversation,
+  listConversations,
+  deleteConversation,
+  toPublicConversation
+};
@@ -0,0 +1,130 @@
+const Conversation = require('../models/Conversation');
+
+/**
+ * Conversation Stores
+ * Persistence for consultation conversations. Both stores return plain conversation objects.
+ * MongoConversationStore is the default; MemoryConversationStore (CONVERSATION_STORE=memory) is for
+ * development and tests and loses conversations on restart.
+ * appendMessages only writes when the conversation still has expectedCount messages, so concurrent
+ * requests cannot interleave their turns; it returns null otherwise.
+ */
+
+class MemoryConversationStore {
+  /**
+   * @param {object} options - now (clock function returning ms)
+   */
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+    this.conversations = new Map();
+  }
+
+  async create(conversation) {
+    const createdAt = new Date(this.now());
+    const stored = {
+      conversationId: `conv_${this.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      messages: [],
+      summarizedCount: 0,
+      createdAt,
+      updatedAt: createdAt,
+      ...conversation
+    };
+    this.conversations.set(stored.conversationId, stored);
+    return copy(stored);
+  }
+
+  async findById(conversationId) {
+    const conversation = this.conversations.get(conversationId);
+    return conversation ? copy(conversation) : null;
+  }
+
+  async listForUser(userId, limit) {
+    return Array.from(this.conversations.values())
+      .filter(conversation => conversation.userId === userId)
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .slice(0, limit)
+      .map(({ messages, ...conversation }) => ({ ...conversation, messageCount: messages.length }));
+  }
+
+  async appendMessages(conversationId, messages, changes = {}, expectedCount) {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation) return null;
+    if (expectedCount !== undefined && conversation.messages.length !== expectedCount) return null;
+
+    conversation.messages.push(...messages);
+    Object.assign(conversation, changes, { updatedAt: new Date(this.now()) });
+    return copy(conversation);
+  }
+
+  async update(conversationId, changes) {
+    const conversation = this.conversations.get(conversationId);
+    if (conversation) Object.assign(conversation, changes, { updatedAt: new Date(this.now()) });
+  }
+
+  async delete(conversationId) {
+    this.conversations.delete(conversationId);
+  }
+}
+
+function copy(conversation) {
+  return { ...conversation, messages: conversation.messages.map(message => ({ ...message })) };
+}
+
+class MongoConversationStore {
+  async create(conversation) {
+    const created = await Conversation.create(conversation);
+    return created.toObject();
+  }
+
+  async findById(conversationId) {
+    return Conversation.findOne({ conversationId }).lean();
+  }
+
+  async listForUser(userId, limit) {
+    return Conversation.aggregate([
+      { $match: { userId } },
+      { $sort: { updatedAt: -1 } },
+      { $limit: limit },
+      { $addFields: { messageCount: { $size: '$messages' } } },
+      { $project: { messages: 0 } }
+    ]);
+  }
+
+  async appendMessages(conversationId, messages, changes = {}, expectedCount) {
+    return Conversation.findOneAndUpdate(
+      { conversationId, ...(expectedCount !== undefined && { messages: { $size: expectedCount } }) },
+      { $push: { messages: { $each: messages } }, ...(Object.keys(changes).length > 0 && { $set: changes }) },
+      { new: true }
+    ).lean();
+  }
+
+  async update(conversationId, changes) {
+    await Conversation.updateOne({ conversationId }, { $set: changes });
+  }
+
+  async delete(conversationId) {
+    await Conversation.deleteOne({ conversationId });
+  }
+}
+
+let conversationStore = process.env.CONVERSATION_STORE === 'memory'
+  ? new MemoryConversationStore()
+  : new MongoConversationStore();
+
+function getConversationStore() {
+  return conversationStore;
+}
+
+/**
+ * Swap the active store (e.g. a MemoryConversationStore in tests)
+ * @param {object} store - Store implementing create, findById, listForUser, appendMessages, update, delete
+ */
+function setConversationStore(store) {
+  conversationStore = store;
+}
+
+module.exports = {
+  MemoryConversationStore,
+  MongoConversationStore,
+  getConversationStore,
+  setConversationStore
+};
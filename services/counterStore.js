@@ -0,0 +1,72 @@
+const UsageCounter = require('../models/UsageCounter');
+
+/**
+ * Counter Stores
+ * Fixed-window counters for rate limits and quotas. Keys include the window start,
+ * so each window starts from zero; expiresAt lets old windows be dropped.
+ */
+
+class MemoryCounterStore {
+  /**
+   * @param {object} options - now (clock function returning ms)
+   */
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+    this.counters = new Map();
+    this.lastSweep = this.now();
+  }
+
+  async increment(key, expiresAt) {
+    this.sweep();
+    const counter = this.counters.get(key) || { count: 0, expiresAt: expiresAt.getTime() };
+    counter.count++;
+    this.counters.set(key, counter);
+    return counter.count;
+  }
+
+  async decrement(key) {
+    const counter = this.counters.get(key);
+    if (counter && counter.count > 0) counter.count--;
+  }
+
+  async get(key) {
+    const counter = this.counters.get(key);
+    return counter && counter.expiresAt > this.now() ? counter.count : 0;
+  }
+
+  // Drop expired windows at most once a minute
+  sweep() {
+    const now = this.now();
+    if (now - this.lastSweep < 60 * 1000) return;
+
+    this.lastSweep = now;
+    for (const [key, counter] of this.counters) {
+      if (counter.expiresAt <= now) this.counters.delete(key);
+    }
+  }
+}
+
+class MongoCounterStore {
+  async increment(key, expiresAt) {
+    const counter = await UsageCounter.findOneAndUpdate(
+      { key },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+      { upsert: true, new: true }
+    );
+    return counter.count;
+  }
+
+  async decrement(key) {
+    await UsageCounter.updateOne({ key, count: { $gt: 0 } }, { $inc: { count: -1 } });
+  }
+
+  async get(key) {
+    const counter = await UsageCounter.findOne({ key });
+    return counter ? counter.count : 0;
+  }
+}
+
+module.exports = {
+  MemoryCounterStore,
+  MongoCounterStore
+};
@@ -1,4 +1,34 @@
 const { analyzeWithGemini, parseGeminiResponse } = require('./geminiService');
+const { GeminiResponseError } = require('./geminiErrors');
+const { growthAnalysisSchema } = require('./analysisSchemas');
+const {
+  GROWTH_STAGES,
+  getCropProfile,
+  getCropTypes,
+  getPlantingMethods,
+  normalizeVariety,
+  getDaysToHarvest,
+  getPhotoCadence
+} = require('../config/cropCatalog');
+const Crop = require('../models/Crop');
+const CropPhoto = require('../models/CropPhoto');
+const { storePhotos, deleteStoredObjects, getUploadPath, getPhotoKeys } = require('./photoStorageService');
+const { notifyUrgentAnalysis } = require('./notificationService');
+const { normalizeIssueCode } = require('./healthTrendService');
+const {
+  applyPhotoStage,
+  refreshStageProgress,
+  getInitialStage,
+  getCropSchedule,
+  evaluateTransition
+} = require('./growthStageService');
+const { getWeatherService } = require('./weatherService');
+const { getRegionLocator } = require('./regionService');
+const { preprocessImages } = require('./imageService');
+const { formatWeatherForPrompt, formatImagesForPrompt } = require('./promptService');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const PREVIOUS_PHOTO_CONTEXT = 3; // Most recent photos included in the prompt
 
 /**
  * Crop Tracking Business Logic
@@ -6,87 +36,437 @@ const { analyzeWithGemini, parseGeminiResponse } = require('./geminiService');
  */
 
 /**
- * Create a new crop object (in memory, not saved to DB)
+ * Create and persist a new crop
  * @param {object} cropData - Crop creation data
- * @returns {object} Crop object
+ * @returns {Promise<object>} Saved Crop document
  */
-function createCrop(cropData) {
+async function createCrop(cropData) {
   const { userId, cropType, variety, plantingDate, plantingMethod, location } = cropData;
   
   // Validate required fields
   if (!userId || !cropType || !plantingDate || !plantingMethod || !location) {
-    throw new Error('Missing required fields: userId, cropType, plantingDate, plantingMethod, location');
+    const error = new Error('Missing required fields: userId, cropType, plantingDate, plantingMethod, location');
+    error.statusCode = 400;
+    throw error;
   }
 
-  // Estimate harvest date based on crop type (rough estimates in days)
-  const harvestDays = {
-    tomato: 75, chili: 90, onion: 120, potato: 90, 
-    wheat: 120, rice: 120, corn: 100, lettuce: 45
-  };
-  
-  const daysToHarvest = harvestDays[cropType.toLowerCase()] || 90;
-  const expectedHarvestDate = new Date(plantingDate);
-  expectedHarvestDate.setDate(expectedHarvestDate.getDate() + daysToHarvest);
+  const normalizedVariety = checkCropSelection(cropType, variety, plantingMethod);
+  const expectedHarvestDate = estimateHarvestDate(cropType, normalizedVariety, plantingMethod, plantingDate);
 
-  return {
-    cropId: `crop_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+  const crop = new Crop({
     userId,
     cropType: cropType.toLowerCase(),
-    variety: variety || null,
+    variety: normalizedVariety,
     plantingDate: new Date(plantingDate),
     plantingMethod,
-    location,
-    currentStage: 'germination',
-    status: 'active',
-    expectedHarvestDate,
-    createdAt: new Date(),
-    updatedAt: new Date()
+    location: withRegionDetails(location),
+    expectedHarvestDate
+  });
+  crop.recordStage(getInitialStage(crop), { dayNumber: 0, enteredAt: crop.plantingDate, source: 'planting' });
+
+  return crop.save();
+}
+
+/**
+ * Check a crop type, variety and planting method against the crop catalog
+ * @param {string} cropType - Crop name
+ * @param {string} variety - Variety as entered (optional)
+ * @param {string} plantingMethod - 'seed' or 'transplant'
+ * @returns {string|null} Normalized variety
+ * @throws {Error} 400 when the combination is not in the catalog
+ */
+function checkCropSelection(cropType, variety, plantingMethod) {
+  const profile = getCropProfile(cropType);
+  if (!profile) {
+    throw badRequest(`Unsupported cropType "${cropType}". Supported crops: ${getCropTypes().join(', ')}`);
+  }
+
+  const methods = getPlantingMethods(cropType);
+  if (!methods.includes(plantingMethod)) {
+    throw badRequest(`${profile.label} can only be planted by: ${methods.join(', ')}`);
+  }
+
+  if (!variety) return null;
+  const normalizedVariety = normalizeVariety(variety);
+  if (!profile.varieties[normalizedVariety]) {
+    throw badRequest(`Unknown ${profile.label} variety "${variety}". Known varieties: ${Object.keys(profile.varieties).join(', ')}`);
+  }
+  return normalizedVariety;
+}
+
+/**
+ * Expected harvest date from the catalog's days to harvest
+ * @returns {Date} Planting date plus days to harvest
+ */
+function estimateHarvestDate(cropType, variety, plantingMethod, plantingDate) {
+  const expectedHarvestDate = new Date(plantingDate);
+  expectedHarvestDate.setDate(expectedHarvestDate.getDate() + getDaysToHarvest(cropType, { variety, plantingMethod }));
+  return expectedHarvestDate;
+}
+
+/**
+ * Fill district, state and agro-climatic zone from the region dataset
+ * Values the farmer entered are kept. Only a point inside a surveyed boundary fills anything: the bundled
+ * placeholder squares and nearest-centre guesses are fine for a prompt, not for the crop's stored location.
+ * @param {object} location - { latitude, longitude, city, state }
+ * @returns {object} Location with region details
+ */
+function withRegionDetails(location) {
+  let region = null;
+  try {
+    region = getRegionLocator().resolve(location.latitude, location.longitude);
+  } catch (error) {
+    console.error('Region lookup failed:', error.message);
+  }
+  if (!region || region.approximate) return location;
+
+  return {
+    ...location,
+    district: region.district,
+    state: location.state || region.state,
+    agroClimaticZone: region.zone ? region.zone.name : undefined
   };
 }
 
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Bring an active crop's schedule status up to today (does not save)
+ * Stored stageProgress is only recomputed by photos and edits, so a crop that stopped getting photos would
+ * otherwise stay "on track" forever. The harvest date is left alone: it may have been set by the farmer.
+ * @param {object|null} crop - Crop document
+ * @returns {object|null} The same crop
+ */
+function withCurrentProgress(crop) {
+  if (crop && crop.status === 'active') {
+    refreshStageProgress(crop, calculateDayNumber(crop.plantingDate), { keepHarvestDate: true });
+  }
+  return crop;
+}
+
+/**
+ * List crops matching the given filters, newest first
+ * @param {object} filters - Optional userId, status and cropType
+ * @returns {Promise<Array>} Crop documents (schedule status as of today)
+ */
+async function listCrops(filters = {}) {
+  const query = {};
+  if (filters.userId) query.userId = filters.userId;
+  if (filters.status) query.status = filters.status;
+  if (filters.cropType) query.cropType = filters.cropType.toLowerCase();
+
+  const crops = await Crop.find(query).sort({ createdAt: -1 });
+  return crops.map(withCurrentProgress);
+}
+
+/**
+ * Fetch a single crop by its cropId
+ * @param {string} cropId - Crop identifier
+ * @returns {Promise<object|null>} Crop document (schedule status as of today) or null
+ */
+async function getCrop(cropId) {
+  return withCurrentProgress(await Crop.findOne({ cropId }));
+}
+
+/**
+ * Update editable crop fields
+ * Stage changes go through Crop#recordStage so they land in the stage history like photo-driven ones, and
+ * follow the same rules as photo-driven ones (see growthStageService.evaluateTransition).
+ * Changing stage, variety, planting date or method re-checks the schedule and re-estimates the harvest date
+ * @param {object} crop - Crop document
+ * @param {object} updates - Fields to change
+ * @returns {Promise<object>} Updated crop
+ * @throws {Error} 400 for a stage this crop does not have, 409 for a stage change the schedule does not allow
+ */
+async function updateCrop(crop, updates = {}) {
+  const scheduleChanged = ['variety', 'plantingDate', 'plantingMethod'].some(field => updates[field] !== undefined);
+  // Crops added before their type was in the catalog keep whatever variety they were given
+  if (scheduleChanged && getCropProfile(crop.cropType)) {
+    updates = {
+      ...updates,
+      variety: checkCropSelection(
+        crop.cropType,
+        updates.variety !== undefined ? updates.variety : crop.variety,
+        updates.plantingMethod || crop.plantingMethod
+      )
+    };
+  }
+
+  if (updates.location) {
+    updates = { ...updates, location: withRegionDetails(updates.location) };
+  }
+
+  const editableFields = ['variety', 'plantingDate', 'plantingMethod', 'location', 'expectedHarvestDate'];
+  editableFields.forEach(field => {
+    if (updates[field] !== undefined) {
+      crop[field] = updates[field];
+    }
+  });
+
+  // Re-estimate the harvest date unless the farmer set one
+  if (scheduleChanged && updates.expectedHarvestDate === undefined) {
+    crop.expectedHarvestDate = estimateHarvestDate(crop.cropType, crop.variety, crop.plantingMethod, crop.plantingDate);
+  }
+
+  const stageChanged = updates.currentStage && updates.currentStage !== crop.currentStage;
+  if (stageChanged) {
+    const dayNumber = calculateDayNumber(crop.plantingDate);
+    const decision = evaluateTransition(getCropSchedule(crop), crop.currentStage, updates.currentStage, dayNumber);
+    if (decision.transition === 'unrecognized') {
+      throw badRequest(decision.reason);
+    }
+    if (decision.transition === 'rejected') {
+      const error = new Error(decision.reason);
+      error.statusCode = 409;
+      throw error;
+    }
+    crop.recordStage(updates.currentStage, { dayNumber, source: 'manual' });
+  }
+
+  if (stageChanged || scheduleChanged) {
+    refreshStageProgress(crop, calculateDayNumber(crop.plantingDate), {
+      keepHarvestDate: updates.expectedHarvestDate !== undefined
+    });
+  }
+
+  return crop.save();
+}
+
+/**
+ * Close an active crop as completed or abandoned
+ * @param {object} crop - Crop document
+ * @param {string} status - 'completed' or 'abandoned'
+ * @returns {Promise<object>} Updated crop
+ */
+async function setCropStatus(crop, status) {
+  if (crop.status !== 'active') {
+    const error = new Error(`Crop is already ${crop.status}`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  crop.status = status;
+  return crop.save();
+}
+
 /**
  * Analyze crop growth photo using AI
  * @param {string} cropId - Crop identifier
- * @param {string} imageBase64 - Base64 encoded image
+ * @param {object|Array} image - Preprocessed image { data, mimeType }, or several from preprocessImages()
  * @param {string} previousPhotoSummary - Summary of previous analysis
- * @param {object} cropInfo - Crop information for context
+ * @param {object} cropInfo - Crop information for context (cropType, dayNumber, language, weatherReport)
  * @returns {Promise<object>} Analysis results
+ * @throws {GeminiError} When Gemini fails or its answer is not JSON, so nothing is saved and the call is refunded
  */
-async function analyzeGrowthPhoto(cropId, imageBase64, previousPhotoSummary = null, cropInfo = {}) {
+async function analyzeGrowthPhoto(cropId, image, previousPhotoSummary = null, cropInfo = {}) {
+  const { cropType = 'unknown', dayNumber = 1, language = 'en', weatherReport = null } = cropInfo;
+
+  const images = Array.isArray(image) ? image : null;
+  const prompt = buildGrowthAnalysisPrompt(cropType, dayNumber, previousPhotoSummary, language, weatherReport, images);
+  const rawResponse = await analyzeWithGemini(prompt, image, {
+    callSite: 'growthAnalysis',
+    responseSchema: growthAnalysisSchema
+  });
+  const parsedResponse = parseGeminiResponse(rawResponse);
+  if (parsedResponse.parsed === false) {
+    throw new GeminiResponseError(`Growth analysis for ${cropId} was not valid JSON`);
+  }
+
+  return formatAnalysisForStorage(parsedResponse, dayNumber);
+}
+
+/**
+ * Days elapsed between planting and a given date (matches Crop#daysActive)
+ * @param {Date} plantingDate - Crop planting date
+ * @param {Date} date - Date the photo was taken
+ * @returns {number} Day number, never negative
+ */
+function calculateDayNumber(plantingDate, date = new Date()) {
+  return Math.max(0, Math.floor((new Date(date) - new Date(plantingDate)) / DAY_MS));
+}
+
+/**
+ * Analyze uploaded photos for a stored crop and save them to the timeline as one entry
+ * All photos go to Gemini in one request; the first one is the entry's cover image
+ * @param {object} crop - Crop document
+ * @param {Array<object>} files - Multer files in upload order
+ * @param {object} options - language, farmerNotes and roles (role of each file by position)
+ * @returns {Promise<object>} Saved CropPhoto and next photo scheduling info
+ */
+async function addCropPhoto(crop, files, options = {}) {
+  const { language = 'en', farmerNotes, roles = [] } = options;
+
+  const uploadedAt = new Date();
+  const dayNumber = calculateDayNumber(crop.plantingDate, uploadedAt);
+
+  // Rejects unreadable, dark or blurry photos before any Gemini call
+  const images = await preprocessImages(files, roles);
+  const previousSummary = await getPreviousAnalysisSummary(crop.cropId, dayNumber);
+  const weatherReport = await getWeatherService().getWeatherContext(crop.location);
+
+  const analysis = await analyzeGrowthPhoto(crop.cropId, images, previousSummary, {
+    cropType: crop.cropType,
+    dayNumber,
+    language,
+    weatherReport
+  });
+
+  const photo = new CropPhoto({
+    cropId: crop.cropId,
+    dayNumber,
+    farmerNotes,
+    analysis,
+    metadata: {
+      uploadedAt,
+      processedAt: new Date()
+    }
+  });
+
+  photo.stageAssessment = applyPhotoStage(crop, analysis, dayNumber, photo.photoId);
+
+  // Photo cadence follows the stage the server accepted, not just the model's answer
+  const nextPhoto = calculateNextPhotoDate(analysis, crop.cropType, crop.currentStage);
+  photo.analysis.nextPhotoDate = nextPhoto.nextPhotoDate;
+  photo.analysis.nextPhotoDays = nextPhoto.nextPhotoDays;
+
+  // The stored copies are the preprocessed JPEGs the model saw (oriented, resized, without GPS metadata)
+  const stored = await storePhotos(`crops/${crop.cropId}`, images);
+  photo.images = stored.map(entry => ({
+    ...entry,
+    imageUrl: getUploadPath(entry.imageKey),
+    thumbnailUrl: getUploadPath(entry.thumbnailKey)
+  }));
+  const [cover] = photo.images;
+  photo.imageKey = cover.imageKey;
+  photo.thumbnailKey = cover.thumbnailKey;
+  photo.imageUrl = cover.imageUrl;
+  photo.thumbnailUrl = cover.thumbnailUrl;
+
+  await photo.save();
+  await crop.save();
+
   try {
-    const { cropType = 'unknown', dayNumber = 1, language = 'en' } = cropInfo;
-    
-    const prompt = buildGrowthAnalysisPrompt(cropType, dayNumber, previousPhotoSummary, language);
-    const rawResponse = await analyzeWithGemini(prompt, imageBase64, { model: 'gemini-2.0-flash' });
-    const parsedResponse = parseGeminiResponse(rawResponse);
-    
-    return formatAnalysisForStorage(parsedResponse, dayNumber);
-  } catch (error) {
-    console.error('Growth photo analysis failed:', error);
-    
-    // Return fallback analysis
-    return {
-      healthScore: 50,
-      growthStage: 'unknown',
-      issues: ['Analysis failed - manual review needed'],
-      observations: 'AI analysis unavailable',
-      recommendations: ['Upload photo again', 'Check image quality'],
-      nextPhotoDate: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
-      nextPhotoDays: 3,
-      urgency: 'important'
-    };
+    await notifyUrgentAnalysis(crop, photo);
+  } catch (notifyError) {
+    console.error('Urgent analysis notification failed:', notifyError.message);
+  }
+
+  return { photo, nextPhoto };
+}
+
+/**
+ * Storage keys used by crop photos (cover and every image, thumbnails included)
+ * @param {Array} photos - CropPhoto documents
+ * @returns {Array<string>} Keys
+ */
+function collectPhotoKeys(photos) {
+  return photos.flatMap(photo => [photo, ...(photo.images || [])])
+    .flatMap(entry => Object.values(getPhotoKeys(entry)))
+    .filter(Boolean);
+}
+
+/**
+ * Delete one photo entry and its stored images
+ * Images are named by content hash, so ones another photo of the crop still uses are kept
+ * @param {object} crop - Crop document
+ * @param {string} photoId - Photo identifier
+ * @returns {Promise<object>} { photoId, filesDeleted }
+ */
+async function deleteCropPhoto(crop, photoId) {
+  const photo = await CropPhoto.findOne({ cropId: crop.cropId, photoId });
+  if (!photo) {
+    const error = new Error('Photo not found');
+    error.statusCode = 404;
+    throw error;
   }
+
+  const otherPhotos = await CropPhoto.find({ cropId: crop.cropId, photoId: { $ne: photoId } });
+  const stillUsed = new Set(collectPhotoKeys(otherPhotos));
+  const filesDeleted = await deleteStoredObjects(collectPhotoKeys([photo]).filter(key => !stillUsed.has(key)));
+
+  await photo.deleteOne();
+  return { photoId, filesDeleted };
+}
+
+/**
+ * Delete a crop with its photo timeline and stored images
+ * Stored images go first, so a storage failure leaves the records in place for a retry
+ * @param {object} crop - Crop document
+ * @returns {Promise<object>} { cropId, photosDeleted, filesDeleted }
+ */
+async function deleteCrop(crop) {
+  const photos = await CropPhoto.find({ cropId: crop.cropId });
+  const filesDeleted = await deleteStoredObjects(collectPhotoKeys(photos));
+
+  await CropPhoto.deleteMany({ cropId: crop.cropId });
+  await crop.deleteOne();
+  return { cropId: crop.cropId, photosDeleted: photos.length, filesDeleted };
+}
+
+/**
+ * Build the previous-analysis context from a crop's most recent photos
+ * @param {string} cropId - Crop identifier
+ * @param {number} dayNumber - Day number of the photo being analyzed
+ * @returns {Promise<string|null>} Summary text or null for the first photo
+ */
+async function getPreviousAnalysisSummary(cropId, dayNumber) {
+  const recentPhotos = await CropPhoto.find({ cropId })
+    .sort({ dayNumber: -1 })
+    .limit(PREVIOUS_PHOTO_CONTEXT);
+
+  return summarizePhotoHistory(recentPhotos.reverse(), dayNumber);
+}
+
+/**
+ * Describe past analyses with their real day numbers, oldest first
+ * @param {Array} photos - CropPhoto documents in chronological order
+ * @param {number} dayNumber - Day number of the photo being analyzed
+ * @returns {string|null} Summary text or null when there is no history
+ */
+function summarizePhotoHistory(photos, dayNumber) {
+  if (!photos || photos.length === 0) return null;
+
+  return photos.map(photo => {
+    const analysis = photo.analysis || {};
+    const daysAgo = dayNumber - photo.dayNumber;
+    const codes = analysis.issueCodes || [];
+    const issues = analysis.issues && analysis.issues.length > 0
+      ? analysis.issues.map((issue, index) => (codes[index] ? `${issue} [${codes[index]}]` : issue)).join('; ')
+      : 'none';
+    const health = analysis.healthScore !== undefined ? `${analysis.healthScore}/100` : 'unknown';
+
+    return `- Day ${photo.dayNumber} (${daysAgo} days before this photo): stage ${analysis.growthStage || 'unknown'}, ` +
+      `health ${health}, urgency ${analysis.urgency || 'routine'}, open issues: ${issues}. ` +
+      `Observations: ${analysis.observations || 'none recorded'}`;
+  }).join('\n');
+}
+
+/**
+ * Full photo timeline for a crop, oldest day first
+ * @param {string} cropId - Crop identifier
+ * @returns {Promise<Array>} CropPhoto documents
+ */
+async function getPhotoTimeline(cropId) {
+  return CropPhoto.find({ cropId }).sort({ dayNumber: 1 });
 }
 
 /**
  * Calculate next photo date based on analysis
+ * Starts from the catalog's photo cadence for the crop stage; the AI can ask for an earlier photo
  * @param {object} currentAnalysis - AI analysis results
  * @param {string} cropType - Type of crop
  * @param {string} growthStage - Current growth stage
  * @returns {object} Next photo scheduling info
  */
 function calculateNextPhotoDate(currentAnalysis, cropType, growthStage) {
-  let baseDays = currentAnalysis.nextPhotoDays || 4;
+  let baseDays = getPhotoCadence(cropType, growthStage);
+  if (currentAnalysis.nextPhotoDays) {
+    baseDays = Math.min(baseDays, currentAnalysis.nextPhotoDays);
+  }
   
   // Adjust based on health score
   if (currentAnalysis.healthScore < 70) {
@@ -105,16 +485,6 @@ function calculateNextPhotoDate(currentAnalysis, cropType, growthStage) {
     }
   }
   
-  // Adjust based on growth stage
-  const stageAdjustments = {
-    germination: 1,
-    flowering: -1,
-    fruiting: -1,
-    maturity: 1
-  };
-  
-  baseDays += stageAdjustments[growthStage] || 0;
-  
   // Ensure within bounds
   const finalDays = Math.max(1, Math.min(7, baseDays));
   
@@ -139,9 +509,10 @@ function calculateNextPhotoDate(currentAnalysis, cropType, growthStage) {
  * @param {number} dayNumber - Days since planting
  * @param {string} previousSummary - Previous analysis summary
  * @param {string} language - Response language
+ * @param {object} weatherReport - Weather at the crop's location (optional)
  * @returns {string} Formatted prompt
  */
-function buildGrowthAnalysisPrompt(cropType, dayNumber, previousSummary, language = 'en') {
+function buildGrowthAnalysisPrompt(cropType, dayNumber, previousSummary, language = 'en', weatherReport = null, images = null) {
   const langInstructions = {
     en: 'Respond in English.',
     hi: 'Respond in Hindi (हिंदी).',
@@ -149,31 +520,37 @@ function buildGrowthAnalysisPrompt(cropType, dayNumber, previousSummary, languag
   };
   
   const langInstruction = langInstructions[language] || langInstructions.en;
+  const profile = getCropProfile(cropType);
+  const stages = (profile ? profile.stages.map(stage => stage.name) : GROWTH_STAGES).join('/');
   
   return `${langInstruction}
 
-You are analyzing a ${cropType} plant on day ${dayNumber} of growth.
+You are analyzing a ${cropType} plant on day ${dayNumber} of growth.${formatWeatherForPrompt(weatherReport)}${formatImagesForPrompt(images)}
 
-${previousSummary ? `PREVIOUS ANALYSIS (Day ${dayNumber - 3}): ${previousSummary}` : 'This is the first photo analysis.'}
+${previousSummary ? `PREVIOUS ANALYSES (oldest first):\n${previousSummary}` : 'This is the first photo analysis.'}
 
 ANALYZE THE CURRENT PHOTO:
-1. Identify current growth stage (germination/vegetative/flowering/fruiting/maturity)
+1. Identify current growth stage (${stages})
 2. Assess plant health (0-100 score)
 3. Estimate plant height and leaf development
-4. Detect any issues (diseases, pests, nutrient deficiency, water stress)
-5. Compare with previous analysis if available
+4. Detect any issues (diseases, pests, nutrient deficiency, water stress) and give each one a short English
+   snake_case code (e.g. early_blight, aphids, nitrogen_deficiency); reuse the code in [brackets] from the
+   previous analyses when it is the same problem
+5. Compare with previous analyses if available (has health improved or declined, are earlier issues resolved?)
 6. Provide specific farming recommendations
 7. Determine when the next photo should be uploaded (3-7 days)
 
 RESPOND IN JSON FORMAT:
 {
-  "growthStage": "germination/vegetative/flowering/fruiting/maturity",
+  "growthStage": "${stages}",
   "healthScore": 85,
   "issues": ["list any problems detected"],
+  "issueCodes": ["code for each issue, same order"],
   "observations": "detailed visual observations",
   "recommendations": ["specific actionable advice"],
   "nextPhotoDays": 4,
-  "urgency": "routine/important/critical/urgent"
+  "urgency": "routine/important/critical/urgent",
+  "imageEvidence": {"primaryImage": 1, "reason": "what that image shows that the assessment is based on"}
 }
 
 Focus on practical farming advice for ${cropType} cultivation.`;
@@ -194,12 +571,14 @@ function formatAnalysisForStorage(geminiResponse, dayNumber) {
       healthScore: Math.max(0, Math.min(100, analysis.healthScore || 50)),
       growthStage: analysis.growthStage || 'unknown',
       issues: Array.isArray(analysis.issues) ? analysis.issues : [],
+      issueCodes: Array.isArray(analysis.issueCodes) ? analysis.issueCodes.map(normalizeIssueCode) : [],
       observations: analysis.observations || 'No observations available',
       recommendations: Array.isArray(analysis.recommendations) ? analysis.recommendations : ['Monitor plant growth'],
       nextPhotoDate: null, // Will be calculated separately
       nextPhotoDays: Math.max(1, Math.min(7, analysis.nextPhotoDays || 4)),
       urgency: ['routine', 'important', 'critical', 'urgent'].includes(analysis.urgency) 
-        ? analysis.urgency : 'routine'
+        ? analysis.urgency : 'routine',
+      ...(analysis.imageEvidence && { imageEvidence: analysis.imageEvidence })
     };
   }
   
@@ -218,6 +597,17 @@ function formatAnalysisForStorage(geminiResponse, dayNumber) {
 
 module.exports = {
   createCrop,
+  listCrops,
+  getCrop,
+  updateCrop,
+  setCropStatus,
+  deleteCrop,
+  calculateDayNumber,
+  addCropPhoto,
+  deleteCropPhoto,
+  getPhotoTimeline,
+  getPreviousAnalysisSummary,
+  summarizePhotoHistory,
   analyzeGrowthPhoto,
   calculateNextPhotoDate,
   buildGrowthAnalysisPrompt,
@@ -0,0 +1,61 @@
+/**
+ * Typed Gemini errors
+ * Lets routes tell a blocked prompt apart from quota exhaustion or a network failure
+ */
+
+class GeminiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} details - statusCode (HTTP status to return), apiStatus, retryable, cause
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = details.statusCode || 502;
+    this.apiStatus = details.apiStatus || null;
+    this.retryable = Boolean(details.retryable);
+    this.cause = details.cause;
+  }
+}
+
+// Prompt or response blocked by Gemini safety filters
+class GeminiSafetyError extends GeminiError {
+  constructor(message, details = {}) {
+    super(message, { statusCode: 422, ...details, retryable: false });
+    this.blockReason = details.blockReason || null;
+  }
+}
+
+// 429 / RESOURCE_EXHAUSTED
+class GeminiQuotaError extends GeminiError {
+  constructor(message, details = {}) {
+    super(message, { statusCode: 503, retryable: true, ...details });
+    this.retryAfterMs = details.retryAfterMs || null;
+  }
+}
+
+// 401 / 403 - invalid, revoked or restricted API key
+class GeminiAuthError extends GeminiError {
+  constructor(message, details = {}) {
+    super(message, { statusCode: 503, ...details, retryable: false });
+  }
+}
+
+// Timeouts, DNS failures, dropped connections
+class GeminiNetworkError extends GeminiError {
+  constructor(message, details = {}) {
+    super(message, { statusCode: 504, retryable: true, ...details });
+  }
+}
+
+// 5xx from Gemini or a response without usable content
+class GeminiResponseError extends GeminiError {}
+
+module.exports = {
+  GeminiError,
+  GeminiSafetyError,
+  GeminiQuotaError,
+  GeminiAuthError,
+  GeminiNetworkError,
+  GeminiResponseError
+};
@@ -1,67 +1,451 @@
+const { StringDecoder } = require('string_decoder');
 const axios = require('axios');
+const { getCallSiteConfig } = require('../config/gemini');
+const {
+  GeminiError,
+  GeminiSafetyError,
+  GeminiQuotaError,
+  GeminiAuthError,
+  GeminiNetworkError,
+  GeminiResponseError
+} = require('./geminiErrors');
+const { keyPool } = require('./apiKeyPool');
 
 /**
  * Shared Gemini AI Service
  * Provides standardized interface for all Gemini API calls
  */
 
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// finishReason values that mean the answer was withheld by safety filters
+const SAFETY_FINISH_REASONS = ['SAFETY', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY'];
+
 /**
  * Analyze content with Gemini AI
+ * Used by every route; settings come from the call site profile in config/gemini.js
  * @param {string} prompt - The analysis prompt
- * @param {string} imageBase64 - Base64 encoded image (optional)
- * @param {object} options - Configuration options
+ * @param {object|string|Array} image - Preprocessed image { data (base64), mimeType, label? }, a base64 JPEG string,
+ *   or an array of them for one request (optional)
+ * @param {object} options - callSite plus optional model, temperature, maxTokens, timeoutMs, maxAttempts,
+ *   responseSchema (switches on JSON response mode)
  * @returns {Promise<string>} AI response text
+ * @throws {GeminiError} Typed error once retries are exhausted or the error is not retryable
  */
-async function analyzeWithGemini(prompt, imageBase64 = null, options = {}) {
-  const {
-    temperature = 0.4,
-    maxTokens = 4096,
-    model = 'gemini-2.0-flash'
-  } = options;
+async function analyzeWithGemini(prompt, image = null, options = {}) {
+  const { callSite = 'default', ...overrides } = options;
+  const config = { ...getCallSiteConfig(callSite), ...withoutUndefined(overrides) };
+  const payload = buildPayload(prompt, image, config);
 
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${process.env.GEMINI_API_KEY}`;
-  
-  let payload = {
+  return callWithKeyRotation(callSite, config, async keyEntry => {
+    const url = `${GEMINI_BASE_URL}/${config.model}:generateContent?key=${keyEntry.key}`;
+    const response = await axios.post(url, payload, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: config.timeoutMs
+    });
+    return extractResponseText(response.data);
+  });
+}
+
+/**
+ * Stream an answer from Gemini (streamGenerateContent over SSE), passing each piece of text on as it arrives
+ * Failures before the first piece are retried like analyzeWithGemini(); once text has been passed on the
+ * request is not retried, since the caller has already shown part of the answer.
+ * @param {string} prompt - The analysis prompt
+ * @param {object|string|Array} image - Same as analyzeWithGemini() (optional)
+ * @param {object} options - Same as analyzeWithGemini(), plus signal (AbortSignal to cancel the request)
+ * @param {Function} onText - Called with each piece of text
+ * @returns {Promise<string>} The whole answer text
+ * @throws {GeminiError} Typed error once retries are exhausted or the error is not retryable
+ */
+async function streamWithGemini(prompt, image = null, options = {}, onText = () => {}) {
+  const { callSite = 'default', signal, ...overrides } = options;
+  const config = { ...getCallSiteConfig(callSite), ...withoutUndefined(overrides) };
+  const payload = buildPayload(prompt, image, config);
+
+  return callWithKeyRotation(callSite, config, async keyEntry => {
+    const url = `${GEMINI_BASE_URL}/${config.model}:streamGenerateContent?alt=sse&key=${keyEntry.key}`;
+    let response;
+    try {
+      response = await axios.post(url, payload, {
+        headers: { 'Content-Type': 'application/json' },
+        responseType: 'stream',
+        timeout: config.timeoutMs,
+        signal
+      });
+    } catch (error) {
+      // Error bodies arrive as a stream too; read them so the error can be classified
+      if (error.response && error.response.data && typeof error.response.data.on === 'function') {
+        error.response.data = await readErrorBody(error.response.data);
+      }
+      throw error;
+    }
+
+    const chunks = [];
+    let started = false;
+    try {
+      for await (const event of readServerSentEvents(response.data)) {
+        const text = extractChunkText(JSON.parse(event));
+        if (text) {
+          chunks.push(text);
+          started = true;
+          onText(text);
+        }
+      }
+    } catch (error) {
+      if (started) {
+        const streamError = error instanceof GeminiError ? error : classifyGeminiError(error, config);
+        // Part of the answer has been shown; do not start over
+        streamError.retryable = false;
+        throw streamError;
+      }
+      throw error;
+    }
+
+    const text = chunks.join('');
+    if (!text) {
+      throw new GeminiResponseError('Gemini returned an empty response');
+    }
+    return text;
+  });
+}
+
+/**
+ * Continue a conversation with Gemini (multi-turn contents)
+ * @param {Array<object>} messages - Turns in order, [{ role: 'user'|'model', text }], starting and ending with 'user'
+ * @param {object} options - Same as analyzeWithGemini(), plus systemInstruction (background for every turn)
+ * @returns {Promise<string>} AI response text
+ * @throws {GeminiError} Typed error once retries are exhausted or the error is not retryable
+ */
+async function chatWithGemini(messages, options = {}) {
+  const { callSite = 'default', systemInstruction, ...overrides } = options;
+  const config = { ...getCallSiteConfig(callSite), ...withoutUndefined(overrides) };
+
+  const payload = {
+    contents: messages.map(message => ({ role: message.role, parts: [{ text: message.text }] })),
+    generationConfig: buildGenerationConfig(config)
+  };
+  if (systemInstruction) {
+    payload.systemInstruction = { parts: [{ text: systemInstruction }] };
+  }
+
+  return callWithKeyRotation(callSite, config, async keyEntry => {
+    const url = `${GEMINI_BASE_URL}/${config.model}:generateContent?key=${keyEntry.key}`;
+    const response = await axios.post(url, payload, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: config.timeoutMs
+    });
+    return extractResponseText(response.data);
+  });
+}
+
+function buildGenerationConfig(config) {
+  return {
+    temperature: config.temperature,
+    topK: 32,
+    topP: 1,
+    maxOutputTokens: config.maxTokens,
+  };
+}
+
+/**
+ * Build the generateContent request body
+ * @param {string} prompt - The analysis prompt
+ * @param {object|string|Array} image - Image(s) as accepted by analyzeWithGemini()
+ * @param {object} config - Resolved call configuration
+ * @returns {object} Request body
+ */
+function buildPayload(prompt, image, config) {
+  const payload = {
     contents: [{
       parts: [{ text: prompt }]
     }],
-    generationConfig: {
-      temperature,
-      topK: 32,
-      topP: 1,
-      maxOutputTokens: maxTokens,
-    }
+    generationConfig: buildGenerationConfig(config)
   };
 
-  if (imageBase64) {
+  // Native JSON mode: Gemini returns a JSON document shaped by the schema
+  if (config.responseSchema) {
+    payload.generationConfig.responseMimeType = 'application/json';
+    payload.generationConfig.responseSchema = config.responseSchema;
+  }
+
+  // Several images go as parts of the same request, each after its label so the answer can refer to it
+  const images = Array.isArray(image) ? image : [image].filter(Boolean);
+  images.forEach(entry => {
+    if (entry.label) {
+      payload.contents[0].parts.push({ text: entry.label });
+    }
     payload.contents[0].parts.push({
-      inlineData: {
-        mimeType: "image/jpeg",
-        data: imageBase64
-      }
+      inlineData: typeof entry === 'string'
+        ? { mimeType: 'image/jpeg', data: entry }
+        : { mimeType: entry.mimeType, data: entry.data }
     });
-  }
+  });
 
+  return payload;
+}
+
+/**
+ * Run a Gemini call with key rotation, retries and backoff
+ * @param {string} callSite - Call site name (for logs)
+ * @param {object} config - Resolved call configuration
+ * @param {Function} call - async (keyEntry) => result; throws axios or Gemini errors
+ * @returns {Promise<*>} Result of the first successful call
+ * @throws {GeminiError} Typed error once retries are exhausted or the error is not retryable
+ */
+async function callWithKeyRotation(callSite, config, call) {
   let lastError;
-  for (let attempt = 0; attempt < 3; attempt++) {
+  let attempt = 0;
+  let keySwitches = 0;
+
+  while (attempt < config.maxAttempts) {
+    let keyEntry;
     try {
-      const response = await axios.post(url, payload, {
-        headers: { 'Content-Type': 'application/json' },
-        timeout: 30000
-      });
+      keyEntry = keyPool.acquire();
+    } catch (poolError) {
+      // Every key is resting; report the error that put the last one there if we have it
+      throw lastError || poolError;
+    }
 
-      return response.data.candidates[0].content.parts[0].text;
+    try {
+      const result = await call(keyEntry);
+      keyPool.reportSuccess(keyEntry);
+      return result;
     } catch (error) {
-      lastError = error;
-      console.error(`Gemini API attempt ${attempt + 1} failed:`, error.response?.data || error.message);
-      
-      if (attempt < 2) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+      // A request cancelled by the caller is not a Gemini failure
+      if (axios.isCancel(error)) {
+        keyPool.reportSuccess(keyEntry);
+        throw new GeminiNetworkError('Gemini request was cancelled', { retryable: false, cause: error });
       }
+
+      lastError = error instanceof GeminiError ? error : classifyGeminiError(error, config);
+
+      // A safety block says nothing about the key's health
+      if (lastError instanceof GeminiSafetyError) {
+        keyPool.reportSuccess(keyEntry);
+      } else {
+        keyPool.reportFailure(keyEntry, lastError);
+      }
+
+      console.error(
+        `Gemini API attempt ${attempt + 1}/${config.maxAttempts} failed [${callSite}, ${config.model}, ${keyEntry.id}]:`,
+        lastError.message
+      );
+
+      // Quota/auth problems are tied to the key: move straight to the next healthy one
+      const keyProblem = lastError instanceof GeminiQuotaError || lastError instanceof GeminiAuthError;
+      if (keyProblem && keySwitches < keyPool.size - 1 && keyPool.availableCount() > 0) {
+        keySwitches++;
+        continue;
+      }
+
+      attempt++;
+      if (!lastError.retryable || attempt >= config.maxAttempts || keyPool.availableCount() === 0) {
+        break;
+      }
+      await sleep(getRetryDelay(attempt, config.retryBaseDelayMs, lastError.retryAfterMs));
     }
   }
-  
-  throw new Error(`Gemini API failed after 3 attempts: ${lastError.message}`);
+
+  throw lastError;
+}
+
+/**
+ * Pull the answer text out of a generateContent response
+ * @param {object} data - Response body
+ * @returns {string} Concatenated text parts
+ * @throws {GeminiSafetyError|GeminiResponseError} When the answer was blocked or is empty
+ */
+function extractResponseText(data) {
+  const blockReason = data && data.promptFeedback && data.promptFeedback.blockReason;
+  if (blockReason) {
+    throw new GeminiSafetyError(`Prompt blocked by Gemini safety filters (${blockReason})`, { blockReason });
+  }
+
+  const candidate = data && data.candidates && data.candidates[0];
+  if (!candidate) {
+    throw new GeminiResponseError('Gemini returned no candidates');
+  }
+
+  const parts = (candidate.content && candidate.content.parts) || [];
+  const text = parts.map(part => part.text || '').join('');
+
+  if (!text && SAFETY_FINISH_REASONS.includes(candidate.finishReason)) {
+    throw new GeminiSafetyError(`Response blocked by Gemini safety filters (${candidate.finishReason})`, {
+      blockReason: candidate.finishReason
+    });
+  }
+  if (!text) {
+    throw new GeminiResponseError(`Gemini returned an empty response (${candidate.finishReason || 'no finish reason'})`);
+  }
+
+  return text;
+}
+
+/**
+ * Pull the text out of one streamGenerateContent chunk
+ * Chunks may carry no text (e.g. the last one with only finishReason); a safety block ends the stream.
+ * @param {object} data - Chunk (a generateContent response with partial content)
+ * @returns {string} Text in this chunk
+ * @throws {GeminiSafetyError} When the prompt or the answer was blocked
+ */
+function extractChunkText(data) {
+  const blockReason = data && data.promptFeedback && data.promptFeedback.blockReason;
+  if (blockReason) {
+    throw new GeminiSafetyError(`Prompt blocked by Gemini safety filters (${blockReason})`, { blockReason });
+  }
+
+  const candidate = data && data.candidates && data.candidates[0];
+  if (candidate && SAFETY_FINISH_REASONS.includes(candidate.finishReason)) {
+    throw new GeminiSafetyError(`Response blocked by Gemini safety filters (${candidate.finishReason})`, {
+      blockReason: candidate.finishReason
+    });
+  }
+
+  const parts = (candidate && candidate.content && candidate.content.parts) || [];
+  return parts.map(part => part.text || '').join('');
+}
+
+// Joined "data:" lines of one event block
+function eventData(block) {
+  return block.split(/\r?\n/)
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).trim())
+    .join('\n');
+}
+
+/**
+ * Read the data payloads of a Server-Sent Events stream
+ * @param {Readable} stream - Response body
+ * @returns {AsyncGenerator<string>} Data of each event
+ */
+async function* readServerSentEvents(stream) {
+  // Chunks can end in the middle of a multi-byte character (Hindi, Marathi text)
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  for await (const chunk of stream) {
+    buffer += decoder.write(chunk);
+
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+      const data = eventData(block);
+      if (data) yield data;
+    }
+  }
+
+  // The last event may end with the stream instead of a blank line
+  buffer += decoder.end();
+  const data = eventData(buffer);
+  if (data) yield data;
+}
+
+/**
+ * Read a streamed error response body
+ * @param {Readable} stream - Response body
+ * @returns {Promise<object|string>} Parsed JSON, or the text when it is not JSON
+ */
+async function readErrorBody(stream) {
+  const decoder = new StringDecoder('utf8');
+  let text = '';
+  for await (const chunk of stream) {
+    text += decoder.write(chunk);
+  }
+  text += decoder.end();
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Convert an axios error into a typed GeminiError
+ * @param {Error} error - axios error
+ * @param {object} config - Resolved call configuration
+ * @returns {GeminiError} Typed error
+ */
+function classifyGeminiError(error, config) {
+  if (!error.response) {
+    const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+    const message = timedOut
+      ? `Gemini request timed out after ${config.timeoutMs}ms`
+      : `Could not reach Gemini: ${error.message}`;
+    return new GeminiNetworkError(message, { retryable: !timedOut, cause: error });
+  }
+
+  const status = error.response.status;
+  const apiError = (error.response.data && error.response.data.error) || {};
+  const apiMessage = apiError.message || error.message;
+  const details = { apiStatus: apiError.status || status, cause: error };
+
+  if (status === 429) {
+    return new GeminiQuotaError(`Gemini quota exhausted: ${apiMessage}`, {
+      ...details,
+      retryAfterMs: getRetryAfterMs(error.response)
+    });
+  }
+  if (status === 401 || status === 403 || (status === 400 && isApiKeyError(apiError))) {
+    return new GeminiAuthError(`Gemini rejected the API key: ${apiMessage}`, details);
+  }
+  if (status >= 500) {
+    return new GeminiResponseError(`Gemini server error (${status}): ${apiMessage}`, { ...details, retryable: true });
+  }
+  return new GeminiError(`Gemini request failed (${status}): ${apiMessage}`, details);
+}
+
+/**
+ * Whether a Gemini error body is about the API key (a bad or expired key comes back as 400 INVALID_ARGUMENT)
+ * @param {object} apiError - error field of the response body
+ * @returns {boolean} True for API_KEY_INVALID, API_KEY_EXPIRED and similar
+ */
+function isApiKeyError(apiError) {
+  const details = Array.isArray(apiError.details) ? apiError.details : [];
+  if (details.some(detail => typeof detail.reason === 'string' && detail.reason.startsWith('API_KEY_'))) {
+    return true;
+  }
+  return apiError.status === 'INVALID_ARGUMENT' && /api key/i.test(apiError.message || '');
+}
+
+/**
+ * Read the server-suggested wait from a 429 response
+ * @param {object} response - axios response
+ * @returns {number|null} Milliseconds to wait, if given
+ */
+function getRetryAfterMs(response) {
+  const header = response.headers && response.headers['retry-after'];
+  if (header && !isNaN(Number(header))) {
+    return Number(header) * 1000;
+  }
+
+  const details = (response.data && response.data.error && response.data.error.details) || [];
+  const retryInfo = details.find(detail => detail.retryDelay);
+  if (retryInfo) {
+    return parseFloat(retryInfo.retryDelay) * 1000;
+  }
+  return null;
+}
+
+/**
+ * Exponential backoff with jitter, capped at 30s
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {number} baseDelayMs - Delay before the first retry
+ * @param {number|null} retryAfterMs - Server-suggested delay
+ * @returns {number} Milliseconds to wait
+ */
+function getRetryDelay(attempt, baseDelayMs, retryAfterMs) {
+  const backoff = baseDelayMs * Math.pow(2, attempt - 1) + Math.floor(Math.random() * 250);
+  return Math.min(30000, Math.max(backoff, retryAfterMs || 0));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function withoutUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
 }
 
 /**
@@ -81,19 +465,18 @@ function buildPrompt(type, context) {
 }
 
 /**
- * Parse Gemini response and extract JSON
+ * Parse Gemini response JSON
+ * Responses requested with a responseSchema are plain JSON documents, so no extraction is needed
  * @param {string} rawResponse - Raw AI response
  * @returns {object} Parsed JSON or fallback object
  */
 function parseGeminiResponse(rawResponse) {
   try {
-    // Try to extract JSON from response
-    const jsonMatch = rawResponse.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
+    const parsed = JSON.parse(rawResponse);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return parsed;
     }
-    
-    // Fallback: return raw response wrapped
+
     return { rawResponse, parsed: false };
   } catch (error) {
     console.error('Failed to parse Gemini response:', error);
@@ -127,6 +510,8 @@ function buildProductPrompt(context) {
 
 module.exports = {
   analyzeWithGemini,
+  streamWithGemini,
+  chatWithGemini,
   buildPrompt,
   parseGeminiResponse
 };
@@ -0,0 +1,213 @@
+const { GROWTH_STAGES, getStageSchedule } = require('../config/cropCatalog');
+
+/**
+ * Growth Stage Service
+ * Moves Crop.currentStage forward from photo analyses, rejects impossible transitions,
+ * compares progress with the crop catalog schedule and re-projects the harvest date
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+// Days a crop can drift from its schedule before it is flagged behind or ahead
+const SCHEDULE_TOLERANCE_DAYS = 7;
+
+/**
+ * Catalog stage schedule for a crop's variety and planting method
+ * @param {object} crop - Crop document
+ * @returns {Array<object>} [{ name, startDay, endDay, photoEveryDays }], empty for crops not in the catalog
+ */
+function getCropSchedule(crop) {
+  return getStageSchedule(crop.cropType, { variety: crop.variety, plantingMethod: crop.plantingMethod });
+}
+
+/**
+ * Stage the schedule expects on a given day
+ * @param {Array<object>} schedule - From getCropSchedule()
+ * @param {number} dayNumber - Days since planting
+ * @returns {object|null} Schedule entry (the last stage once the schedule has run out)
+ */
+function getExpectedStage(schedule, dayNumber) {
+  if (schedule.length === 0) return null;
+  return schedule.find(stage => dayNumber <= stage.endDay) || schedule[schedule.length - 1];
+}
+
+/**
+ * Decide what to do with the stage reported by a photo analysis
+ * Stages only move forward; skipping a stage is allowed once the schedule says the crop could be there
+ * @param {Array<object>} schedule - From getCropSchedule()
+ * @param {string} currentStage - Crop's current stage
+ * @param {string} reportedStage - Stage from the analysis
+ * @param {number} dayNumber - Days since planting
+ * @returns {object} { transition: 'advanced'|'unchanged'|'rejected'|'unrecognized', stage, reason }
+ */
+function evaluateTransition(schedule, currentStage, reportedStage, dayNumber) {
+  const stageNames = schedule.length > 0 ? schedule.map(stage => stage.name) : GROWTH_STAGES;
+  const currentIndex = stageNames.indexOf(currentStage);
+  const reportedIndex = stageNames.indexOf(reportedStage);
+
+  if (reportedIndex === -1) {
+    return {
+      transition: 'unrecognized',
+      stage: currentStage,
+      reason: `"${reportedStage}" is not a growth stage of this crop`
+    };
+  }
+  if (reportedIndex === currentIndex) {
+    return { transition: 'unchanged', stage: currentStage };
+  }
+  if (reportedIndex < currentIndex) {
+    return {
+      transition: 'rejected',
+      stage: currentStage,
+      reason: `Crop cannot go back from ${currentStage} to ${reportedStage}`
+    };
+  }
+
+  const target = schedule[reportedIndex];
+  if (reportedIndex > currentIndex + 1 && target && dayNumber < target.startDay - SCHEDULE_TOLERANCE_DAYS) {
+    return {
+      transition: 'rejected',
+      stage: currentStage,
+      reason: `Too early to reach ${reportedStage} (expected from day ${target.startDay}, crop is on day ${dayNumber})`
+    };
+  }
+
+  return { transition: 'advanced', stage: reportedStage };
+}
+
+/**
+ * Day the crop entered its current stage, from the stage history
+ * @param {object} crop - Crop document
+ * @returns {number|null} Day number, or null when the history does not say
+ */
+function getStageEnteredDay(crop) {
+  const history = crop.stageHistory || [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].stage === crop.currentStage) {
+      return history[i].dayNumber !== undefined ? history[i].dayNumber : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Compare a crop's current stage with the stage expected for its age
+ * @param {Array<object>} schedule - From getCropSchedule()
+ * @param {string} stageName - Current stage
+ * @param {number} dayNumber - Days since planting
+ * @returns {object} { status, expectedStage, daysBehind } (daysBehind is negative when ahead)
+ */
+function assessSchedule(schedule, stageName, dayNumber) {
+  const expected = getExpectedStage(schedule, dayNumber);
+  const currentIndex = schedule.findIndex(stage => stage.name === stageName);
+  if (!expected || currentIndex === -1) {
+    return { status: 'unknown', expectedStage: expected ? expected.name : null, daysBehind: 0 };
+  }
+
+  const current = schedule[currentIndex];
+  const expectedIndex = schedule.indexOf(expected);
+  let daysBehind = 0;
+  if (currentIndex < expectedIndex) {
+    daysBehind = dayNumber - current.endDay;
+  } else if (currentIndex > expectedIndex) {
+    daysBehind = dayNumber - current.startDay;
+  }
+
+  let status = 'on_track';
+  if (daysBehind > SCHEDULE_TOLERANCE_DAYS) status = 'behind';
+  else if (daysBehind < -SCHEDULE_TOLERANCE_DAYS) status = 'ahead';
+
+  return { status, expectedStage: expected.name, daysBehind };
+}
+
+/**
+ * Harvest day shifted by how late (or early) the crop is running
+ * @param {Array<object>} schedule - From getCropSchedule()
+ * @param {string} stageName - Current stage
+ * @param {number|null} enteredDay - Day the current stage started
+ * @param {number} dayNumber - Days since planting
+ * @returns {number|null} Projected harvest day, or null without a schedule
+ */
+function projectHarvestDay(schedule, stageName, enteredDay, dayNumber) {
+  if (schedule.length === 0) return null;
+
+  const harvestDay = schedule[schedule.length - 1].endDay;
+  const current = schedule.find(stage => stage.name === stageName);
+  if (!current) return Math.max(dayNumber, harvestDay);
+
+  let lag = enteredDay !== null ? enteredDay - current.startDay : 0;
+  // Still in the stage after it should have ended
+  lag = Math.max(lag, dayNumber - current.endDay);
+
+  return Math.max(dayNumber, harvestDay + lag);
+}
+
+/**
+ * Re-check a crop against its schedule and update stageProgress and expectedHarvestDate (does not save)
+ * @param {object} crop - Crop document
+ * @param {number} dayNumber - Days since planting
+ * @param {object} options - keepHarvestDate (leave expectedHarvestDate alone)
+ * @returns {object} { status, expectedStage, daysBehind }
+ */
+function refreshStageProgress(crop, dayNumber, options = {}) {
+  const schedule = getCropSchedule(crop);
+  const progress = assessSchedule(schedule, crop.currentStage, dayNumber);
+  crop.stageProgress = { ...progress, checkedAt: new Date() };
+
+  const harvestDay = projectHarvestDay(schedule, crop.currentStage, getStageEnteredDay(crop), dayNumber);
+  if (harvestDay !== null && !options.keepHarvestDate) {
+    crop.expectedHarvestDate = new Date(new Date(crop.plantingDate).getTime() + harvestDay * DAY_MS);
+  }
+
+  return progress;
+}
+
+/**
+ * Apply a photo analysis to the crop's stage (does not save)
+ * @param {object} crop - Crop document
+ * @param {object} analysis - Growth analysis with growthStage
+ * @param {number} dayNumber - Day number of the photo
+ * @param {string} photoId - Photo the analysis belongs to
+ * @returns {object} Stage assessment for CropPhoto.stageAssessment
+ */
+function applyPhotoStage(crop, analysis, dayNumber, photoId) {
+  const schedule = getCropSchedule(crop);
+  const decision = evaluateTransition(schedule, crop.currentStage, analysis.growthStage, dayNumber);
+
+  if (decision.transition === 'advanced') {
+    crop.recordStage(decision.stage, { dayNumber, source: 'photo', photoId });
+  }
+
+  const progress = refreshStageProgress(crop, dayNumber);
+
+  return {
+    reportedStage: analysis.growthStage,
+    acceptedStage: crop.currentStage,
+    transition: decision.transition,
+    reason: decision.reason,
+    expectedStage: progress.expectedStage,
+    scheduleStatus: progress.status,
+    daysBehind: progress.daysBehind
+  };
+}
+
+/**
+ * Stage a new crop starts in (transplanted seedlings skip germination)
+ * @param {object} crop - Crop data with cropType, variety, plantingMethod
+ * @returns {string} Stage name
+ */
+function getInitialStage(crop) {
+  const schedule = getCropSchedule(crop);
+  return schedule.length > 0 ? schedule[0].name : GROWTH_STAGES[0];
+}
+
+module.exports = {
+  SCHEDULE_TOLERANCE_DAYS,
+  getCropSchedule,
+  getExpectedStage,
+  evaluateTransition,
+  assessSchedule,
+  projectHarvestDay,
+  refreshStageProgress,
+  applyPhotoStage,
+  getInitialStage
+};
@@ -0,0 +1,328 @@
+const Crop = require('../models/Crop');
+const CropPhoto = require('../models/CropPhoto');
+
+/**
+ * Health Trend Service
+ * How a crop's photo analyses change over time: health score series, moving average and slope,
+ * sustained declines, issue lifetimes, and a comparison with the user's other crops of the same type
+ */
+
+const DEFAULT_WINDOW = 3; // Photos in the moving average
+const DECLINE_MIN_PHOTOS = 3; // Consecutive drops needed for a sustained decline
+const DECLINE_MIN_DROP = 10; // Points lost over the decline
+const PEER_DAY_RANGE = 7; // Peer photos within this many days of the crop's latest photo count as the same age
+const SIMILAR_HEALTH_MARGIN = 5;
+const ISSUE_MATCH_SIMILARITY = 0.5; // Share of words two issue descriptions need in common to be the same issue
+const ISSUE_FILLER_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'on', 'in', 'at', 'to', 'and', 'with', 'from', 'some', 'sign', 'signs', 'symptoms',
+  'possible', 'suspected', 'likely', 'mild', 'slight', 'minor', 'moderate', 'severe'
+]);
+
+/**
+ * Health score per photo, oldest first
+ * @param {Array} photos - CropPhoto documents sorted by dayNumber
+ * @returns {Array<object>} [{ dayNumber, healthScore, urgency, photoId }]
+ */
+function buildHealthSeries(photos) {
+  return photos
+    .filter(photo => photo.analysis && typeof photo.analysis.healthScore === 'number')
+    .map(photo => ({
+      dayNumber: photo.dayNumber,
+      healthScore: photo.analysis.healthScore,
+      urgency: photo.analysis.urgency,
+      photoId: photo.photoId
+    }));
+}
+
+/**
+ * Trailing moving average of the health score
+ * @param {Array<object>} series - From buildHealthSeries()
+ * @param {number} window - Points per average
+ * @returns {Array<object>} [{ dayNumber, value }], one per point (shorter windows at the start)
+ */
+function movingAverage(series, window = DEFAULT_WINDOW) {
+  return series.map((point, index) => {
+    const slice = series.slice(Math.max(0, index - window + 1), index + 1);
+    const total = slice.reduce((sum, entry) => sum + entry.healthScore, 0);
+    return { dayNumber: point.dayNumber, value: round(total / slice.length) };
+  });
+}
+
+/**
+ * Least-squares slope of health score against day number
+ * @param {Array<object>} series - From buildHealthSeries()
+ * @returns {number|null} Points per day, or null with fewer than two distinct days
+ */
+function healthSlope(series) {
+  if (series.length < 2) return null;
+
+  const meanDay = series.reduce((sum, point) => sum + point.dayNumber, 0) / series.length;
+  const meanScore = series.reduce((sum, point) => sum + point.healthScore, 0) / series.length;
+
+  let numerator = 0;
+  let denominator = 0;
+  series.forEach(point => {
+    numerator += (point.dayNumber - meanDay) * (point.healthScore - meanScore);
+    denominator += (point.dayNumber - meanDay) ** 2;
+  });
+
+  return denominator === 0 ? null : round(numerator / denominator);
+}
+
+/**
+ * Check whether the most recent photos show a sustained drop in health
+ * @param {Array<object>} series - From buildHealthSeries()
+ * @returns {object|null} { sinceDay, fromScore, toScore, drop, photoCount, message } or null
+ */
+function detectSustainedDecline(series) {
+  // Walk back from the latest photo while each score is lower than the one before
+  let start = series.length - 1;
+  while (start > 0 && series[start].healthScore < series[start - 1].healthScore) {
+    start--;
+  }
+
+  const declining = series.slice(start);
+  if (declining.length < DECLINE_MIN_PHOTOS) return null;
+
+  const first = declining[0];
+  const last = declining[declining.length - 1];
+  const drop = first.healthScore - last.healthScore;
+  if (drop < DECLINE_MIN_DROP) return null;
+
+  return {
+    sinceDay: first.dayNumber,
+    fromScore: first.healthScore,
+    toScore: last.healthScore,
+    drop,
+    photoCount: declining.length,
+    message: `Health has dropped ${drop} points over the last ${declining.length} photos (since day ${first.dayNumber})`
+  };
+}
+
+/**
+ * Normalize an issue code from Gemini: lower case, words joined by underscores
+ * @param {string} code - Code as returned, e.g. "Early Blight" or "early_blight"
+ * @returns {string} e.g. "early_blight" ('' when nothing is left)
+ */
+function normalizeIssueCode(code) {
+  return String(code || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Significant words of an issue, for matching differently worded reports of the same problem
+ * @param {string} text - Issue text or code
+ * @returns {Set<string>} Lower-case words without filler words and plural "s"
+ */
+function issueWords(text) {
+  return new Set(String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word && !ISSUE_FILLER_WORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word)));
+}
+
+// Share of words two issues have in common (Jaccard index)
+function wordSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(word => { if (b.has(word)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * When each reported issue first appeared and when it cleared
+ * Issues are matched by issueCode when the analysis has one; otherwise (older photos, or a code that changed)
+ * by their words, so "Early blight on lower leaves" and "early blight spreading" count as one issue.
+ * An issue clears on the first later photo that no longer reports it.
+ * @param {Array} photos - CropPhoto documents sorted by dayNumber
+ * @returns {Array<object>} [{ issue, code, firstSeenDay, lastSeenDay, clearedDay, active, photoCount }]
+ */
+function trackIssues(photos) {
+  const issues = [];
+
+  // Tracked issue a report belongs to: same code first, then the most similar wording
+  const findIssue = (report, taken) => {
+    const candidates = issues.filter(entry => !taken.has(entry));
+    if (report.code) {
+      const sameCode = candidates.find(entry => entry.codes.has(report.code));
+      if (sameCode) return sameCode;
+    }
+
+    let best = null;
+    let bestSimilarity = ISSUE_MATCH_SIMILARITY;
+    candidates.forEach(entry => {
+      const similarity = Math.max(...entry.wordSets.map(words => wordSimilarity(words, report.words)));
+      if (similarity >= bestSimilarity) {
+        best = entry;
+        bestSimilarity = similarity;
+      }
+    });
+    return best;
+  };
+
+  photos.forEach(photo => {
+    const analysis = photo.analysis || {};
+    const codes = analysis.issueCodes || [];
+    const reports = (analysis.issues || [])
+      .map((issue, index) => ({
+        issue: String(issue || '').trim(),
+        code: normalizeIssueCode(codes[index]) || null
+      }))
+      .filter(report => report.issue)
+      .map(report => ({ ...report, words: issueWords(report.code ? report.code : report.issue) }));
+
+    const reported = new Set();
+    reports.forEach(report => {
+      const entry = findIssue(report, reported);
+      if (!entry) {
+        const created = {
+          issue: report.issue,
+          code: report.code,
+          firstSeenDay: photo.dayNumber,
+          lastSeenDay: photo.dayNumber,
+          clearedDay: null,
+          active: true,
+          photoCount: 1,
+          codes: new Set(report.code ? [report.code] : []),
+          wordSets: [report.words, issueWords(report.issue)]
+        };
+        issues.push(created);
+        reported.add(created);
+        return;
+      }
+
+      // Keep the latest wording, and learn the code and words so later reports match either
+      entry.issue = report.issue;
+      if (report.code) {
+        entry.code = report.code;
+        entry.codes.add(report.code);
+      }
+      entry.wordSets.push(report.words, issueWords(report.issue));
+      entry.lastSeenDay = photo.dayNumber;
+      entry.clearedDay = null;
+      entry.active = true;
+      entry.photoCount++;
+      reported.add(entry);
+    });
+
+    issues.forEach(entry => {
+      if (entry.active && !reported.has(entry)) {
+        entry.active = false;
+        entry.clearedDay = photo.dayNumber;
+      }
+    });
+  });
+
+  return issues
+    .map(({ codes, wordSets, ...entry }) => entry)
+    .sort((a, b) => a.firstSeenDay - b.firstSeenDay);
+}
+
+/**
+ * Compare a crop's latest health with the user's other crops of the same type at the same age
+ * @param {object} crop - Crop document
+ * @param {object|null} latest - Latest health point of the crop
+ * @returns {Promise<object>} Comparison summary
+ */
+async function compareWithPeers(crop, latest) {
+  const empty = { cropsCompared: 0, peers: [], averageHealthScore: null, difference: null, status: 'no_peers' };
+  if (!latest) return empty;
+
+  const peerCrops = await Crop.find({
+    userId: crop.userId,
+    cropType: crop.cropType,
+    cropId: { $ne: crop.cropId }
+  });
+  if (peerCrops.length === 0) return empty;
+
+  const peerPhotos = await CropPhoto.find({
+    cropId: { $in: peerCrops.map(peer => peer.cropId) },
+    dayNumber: { $gte: latest.dayNumber - PEER_DAY_RANGE, $lte: latest.dayNumber + PEER_DAY_RANGE },
+    'analysis.healthScore': { $type: 'number' }
+  });
+
+  // Photo closest to the same day for each peer crop
+  const closest = new Map();
+  peerPhotos.forEach(photo => {
+    const current = closest.get(photo.cropId);
+    if (!current || Math.abs(photo.dayNumber - latest.dayNumber) < Math.abs(current.dayNumber - latest.dayNumber)) {
+      closest.set(photo.cropId, photo);
+    }
+  });
+  if (closest.size === 0) return empty;
+
+  const peers = peerCrops
+    .filter(peer => closest.has(peer.cropId))
+    .map(peer => {
+      const photo = closest.get(peer.cropId);
+      return {
+        cropId: peer.cropId,
+        variety: peer.variety,
+        status: peer.status,
+        dayNumber: photo.dayNumber,
+        healthScore: photo.analysis.healthScore
+      };
+    });
+
+  const averageHealthScore = round(peers.reduce((sum, peer) => sum + peer.healthScore, 0) / peers.length);
+  const difference = round(latest.healthScore - averageHealthScore);
+
+  let status = 'similar';
+  if (difference > SIMILAR_HEALTH_MARGIN) status = 'above';
+  else if (difference < -SIMILAR_HEALTH_MARGIN) status = 'below';
+
+  return {
+    dayNumber: latest.dayNumber,
+    dayRange: PEER_DAY_RANGE,
+    cropsCompared: peers.length,
+    peers,
+    averageHealthScore,
+    difference,
+    status
+  };
+}
+
+/**
+ * Full health trend for a crop
+ * @param {object} crop - Crop document
+ * @param {object} options - window (moving average size)
+ * @returns {Promise<object>} { series, movingAverage, slope, decline, issues, comparison, latest }
+ */
+async function getHealthTrend(crop, options = {}) {
+  const window = options.window || DEFAULT_WINDOW;
+  const photos = await CropPhoto.find({ cropId: crop.cropId }).sort({ dayNumber: 1, createdAt: 1 });
+
+  const series = buildHealthSeries(photos);
+  const latest = series.length > 0 ? series[series.length - 1] : null;
+
+  return {
+    cropId: crop.cropId,
+    cropType: crop.cropType,
+    photoCount: photos.length,
+    latest,
+    series,
+    movingAverage: { window, points: movingAverage(series, window) },
+    slope: healthSlope(series),
+    decline: detectSustainedDecline(series),
+    issues: trackIssues(photos),
+    comparison: await compareWithPeers(crop, latest)
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  buildHealthSeries,
+  movingAverage,
+  healthSlope,
+  detectSustainedDecline,
+  normalizeIssueCode,
+  trackIssues,
+  compareWithPeers,
+  getHealthTrend
+};
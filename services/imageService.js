@@ -0,0 +1,252 @@
+const fs = require('fs');
+const sharp = require('sharp');
+
+/**
+ * Image Preprocessing
+ * Every uploaded image goes through here before it is sent to Gemini:
+ * detect the real format, check it decodes, apply EXIF orientation, drop all metadata (GPS included),
+ * resize for the model and reject photos that are too dark or too blurry to diagnose.
+ * Rejections happen before any Gemini call, so they cost no quota.
+ * HEIC is accepted only when sharp can decode it; the prebuilt binaries have no HEVC decoder, so most iPhone
+ * photos are rejected with 415 and the farmer is asked for JPEG or PNG. The raw upload is never forwarded.
+ */
+
+// Longest edge sent to the model; larger images only add tokens and upload time
+const MAX_EDGE = parseInt(process.env.IMAGE_MAX_EDGE, 10) || 1536;
+const OUTPUT_QUALITY = 85;
+// Mean brightness (0-255) below which a photo is treated as nearly black
+const MIN_BRIGHTNESS = parseFloat(process.env.IMAGE_MIN_BRIGHTNESS) || 25;
+// Variance of the Laplacian on a 512px greyscale copy; lower means fewer edges, i.e. blur
+const MIN_SHARPNESS = parseFloat(process.env.IMAGE_MIN_SHARPNESS) || 40;
+const ANALYSIS_EDGE = 512;
+// Images accepted for a single analysis
+const MAX_IMAGES = parseInt(process.env.MAX_IMAGES_PER_ANALYSIS, 10) || 5;
+
+// Optional role labels for multi-image analyses, with the wording used in prompts
+const IMAGE_ROLES = {
+  whole_plant: 'whole plant',
+  leaf_top: 'top of a leaf',
+  leaf_underside: 'underside of a leaf',
+  fruit: 'fruit',
+  root: 'roots'
+};
+
+const SUPPORTED_FORMATS = ['jpeg', 'png', 'webp', 'heic', 'avif'];
+const HEIF_BRANDS = {
+  heic: ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'],
+  avif: ['avif', 'avis']
+};
+
+class ImageRejectedError extends Error {
+  /**
+   * @param {string} message - Message for the farmer
+   * @param {object} details - reason ('unsupported_format', 'invalid_image', 'too_dark', 'too_blurry',
+   *   'invalid_roles'), statusCode
+   */
+  constructor(message, { reason, statusCode = 422 } = {}) {
+    super(message);
+    this.name = 'ImageRejectedError';
+    this.reason = reason;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Detect the image format from its first bytes (file names and client MIME types are not trusted)
+ * @param {Buffer} buffer - Image bytes
+ * @returns {string|null} 'jpeg', 'png', 'webp', 'heic', 'avif', 'gif' or null
+ */
+function detectImageFormat(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  if (buffer.toString('ascii', 0, 3) === 'GIF') return 'gif';
+
+  // ISO base media file: "ftyp" box followed by a brand
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('ascii', 8, 12);
+    if (HEIF_BRANDS.avif.includes(brand)) return 'avif';
+    if (HEIF_BRANDS.heic.includes(brand)) return 'heic';
+  }
+  return null;
+}
+
+/**
+ * Image bytes from a multer file path, a Buffer or a base64 string (with or without a data: URL prefix)
+ * @param {string|Buffer|object} source - { path } (multer file), Buffer or base64 string
+ * @returns {Promise<Buffer>} Bytes
+ */
+async function readImageSource(source) {
+  if (Buffer.isBuffer(source)) return source;
+  if (source && source.path) return fs.promises.readFile(source.path);
+  if (typeof source === 'string') {
+    return Buffer.from(source.replace(/^data:[^;]+;base64,/, ''), 'base64');
+  }
+  throw new ImageRejectedError('No image was provided', { reason: 'invalid_image', statusCode: 400 });
+}
+
+/**
+ * Brightness and sharpness of an image
+ * @param {Buffer} buffer - Decodable image bytes
+ * @returns {Promise<object>} { brightness (0-255), sharpness (Laplacian variance) }
+ */
+async function measureImageQuality(buffer) {
+  const grey = sharp(buffer)
+    .rotate()
+    .resize(ANALYSIS_EDGE, ANALYSIS_EDGE, { fit: 'inside', withoutEnlargement: true })
+    .greyscale();
+
+  const { channels: [brightness] } = await grey.clone().stats();
+
+  // Offset keeps negative Laplacian responses instead of clipping them to 0
+  const { channels: [edges] } = await grey.clone()
+    .convolve({ width: 3, height: 3, kernel: [0, 1, 0, 1, -4, 1, 0, 1, 0], offset: 128 })
+    .stats();
+
+  return {
+    brightness: Math.round(brightness.mean * 10) / 10,
+    sharpness: Math.round(edges.stdev ** 2 * 10) / 10
+  };
+}
+
+// HEIC photos sharp cannot decode (HEVC-coded, i.e. most iPhone photos)
+function heicRejected() {
+  return new ImageRejectedError(
+    'This HEIC photo could not be read. Please upload a JPEG or PNG photo (on iPhone: Settings > Camera > Formats > Most Compatible).',
+    { reason: 'unsupported_format', statusCode: 415 }
+  );
+}
+
+/**
+ * Validate and prepare an image for Gemini
+ * @param {string|Buffer|object} source - Multer file, Buffer or base64 string
+ * @param {object} options - checkQuality (default true), maxEdge
+ * @returns {Promise<object>} { data (base64), mimeType, buffer, width, height, originalFormat, originalBytes, quality }
+ * @throws {ImageRejectedError} When the image is unsupported, corrupt, too dark or too blurry
+ */
+async function preprocessImage(source, options = {}) {
+  const { checkQuality = true, maxEdge = MAX_EDGE } = options;
+  const input = await readImageSource(source);
+
+  const format = detectImageFormat(input);
+  if (!SUPPORTED_FORMATS.includes(format)) {
+    throw new ImageRejectedError(
+      'Unsupported image format. Please upload a JPEG or PNG photo.',
+      { reason: 'unsupported_format', statusCode: 415 }
+    );
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(input).metadata();
+  } catch (error) {
+    if (format === 'heic') throw heicRejected();
+    throw new ImageRejectedError('The file is not a valid image or is damaged. Please take the photo again.', {
+      reason: 'invalid_image'
+    });
+  }
+
+  try {
+    let quality = null;
+    if (checkQuality) {
+      quality = await measureImageQuality(input);
+      if (quality.brightness < MIN_BRIGHTNESS) {
+        throw new ImageRejectedError(
+          'The photo is too dark to analyze. Please take it again in daylight or with more light on the plant.',
+          { reason: 'too_dark' }
+        );
+      }
+      if (quality.sharpness < MIN_SHARPNESS) {
+        throw new ImageRejectedError(
+          'The photo is too blurry to analyze. Hold the phone steady, tap the leaf to focus, and take it again.',
+          { reason: 'too_blurry' }
+        );
+      }
+    }
+
+    // rotate() applies the EXIF orientation; sharp drops all metadata (EXIF, GPS, XMP) unless asked to keep it
+    const { data: buffer, info } = await sharp(input)
+      .rotate()
+      .resize(maxEdge, maxEdge, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: OUTPUT_QUALITY })
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      data: buffer.toString('base64'),
+      mimeType: 'image/jpeg',
+      buffer,
+      width: info.width,
+      height: info.height,
+      originalFormat: metadata.format === 'heif' ? format : metadata.format,
+      originalBytes: input.length,
+      quality
+    };
+  } catch (error) {
+    if (error instanceof ImageRejectedError) throw error;
+    // libheif reads the HEIC header but has no HEVC decoder for the pixels
+    if (format === 'heic') throw heicRejected();
+    // The header was readable but the pixel data is not (e.g. a truncated upload)
+    throw new ImageRejectedError('The file is not a valid image or is damaged. Please take the photo again.', {
+      reason: 'invalid_image'
+    });
+  }
+}
+
+/**
+ * Prompt label for an image, e.g. "Image 2 (underside of a leaf)"
+ * @param {number} index - 1-based position in the request
+ * @param {string|null} role - Key of IMAGE_ROLES
+ * @returns {string} Label
+ */
+function describeImage(index, role) {
+  return role ? `Image ${index} (${IMAGE_ROLES[role] || role})` : `Image ${index}`;
+}
+
+/**
+ * Validate and prepare all images of one analysis, in upload order
+ * Images are processed one at a time to keep memory flat; the first rejected image stops the request
+ * @param {Array} sources - Multer files, Buffers or base64 strings
+ * @param {Array<string|null>} roles - Role of each image by position (optional, may be shorter than sources)
+ * @returns {Promise<Array<object>>} preprocessImage() results plus index (1-based), role and label
+ * @throws {ImageRejectedError} When any image is rejected (the message names which one) or roles do not match
+ */
+async function preprocessImages(sources, roles = []) {
+  if (roles.length > sources.length) {
+    throw new ImageRejectedError(`${roles.length} image roles were given for ${sources.length} image(s)`, {
+      reason: 'invalid_roles',
+      statusCode: 400
+    });
+  }
+
+  const images = [];
+  for (let i = 0; i < sources.length; i++) {
+    const index = i + 1;
+    const role = roles[i] || null;
+
+    let image;
+    try {
+      image = await preprocessImage(sources[i]);
+    } catch (error) {
+      if (error instanceof ImageRejectedError && sources.length > 1) {
+        error.message = `${describeImage(index, role)}: ${error.message}`;
+        error.imageIndex = index;
+      }
+      throw error;
+    }
+
+    images.push({ ...image, index, role, label: describeImage(index, role) });
+  }
+  return images;
+}
+
+module.exports = {
+  MAX_IMAGES,
+  IMAGE_ROLES,
+  ImageRejectedError,
+  detectImageFormat,
+  measureImageQuality,
+  preprocessImage,
+  preprocessImages
+};
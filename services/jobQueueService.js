@@ -0,0 +1,468 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const os = require('os');
+const axios = require('axios');
+const { MemoryJobStore, MongoJobStore } = require('./jobStore');
+const { runAnalysisRequest, ANALYSIS_REQUEST_TYPES } = require('./analysisRequestService');
+const { getPhotoStorage } = require('./photoStorageService');
+const { refundAiCall } = require('./quotaService');
+const { isReusedResult } = require('./analysisCacheService');
+const { keyPool } = require('./apiKeyPool');
+
+/**
+ * Analysis Job Queue
+ * Runs analyses submitted with async=true in the background: the route stores the job and answers 202 with
+ * its id, workers here claim queued jobs and run the same handler the synchronous route uses, and the client
+ * polls GET /jobs/:jobId or gets the result POSTed to its webhookUrl.
+ * At most `concurrency` jobs run at once (default: one per Gemini key), and none start while every key is resting.
+ * Webhooks are sent in the background, so a slow client endpoint never holds a worker or delays claiming.
+ */
+
+const SECOND_MS = 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2 * SECOND_MS;
+const LEASE_MS = parseInt(process.env.JOB_LEASE_MS, 10) || 60 * SECOND_MS;
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+const RETENTION_MS = (parseInt(process.env.JOB_RETENTION_HOURS, 10) || 24) * 60 * 60 * SECOND_MS;
+const WEBHOOK_TIMEOUT_MS = 10 * SECOND_MS;
+// Delay before each webhook retry; the delivery fails after the last one
+const WEBHOOK_RETRY_DELAYS_MS = [30 * SECOND_MS, 2 * 60 * SECOND_MS, 10 * 60 * SECOND_MS];
+const WEBHOOK_SECRET = process.env.JOB_WEBHOOK_SECRET;
+const ALLOW_HTTP_WEBHOOKS = process.env.JOB_WEBHOOK_ALLOW_HTTP === 'true';
+const LIST_LIMIT = 50;
+
+// Webhooks may not reach the server's own network: loopback, private, link-local (cloud metadata), CGNAT,
+// multicast and reserved ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 rules.
+const BLOCKED_WEBHOOK_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_WEBHOOK_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_WEBHOOK_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Request fields that are not analysis input
+const CONTROL_FIELDS = ['async', 'webhookUrl', 'stream', 'imageBase64'];
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Check a client webhook URL and resolve its host
+ * Runs when the job is submitted and again before every delivery, since DNS answers can change in between
+ * @param {string} url - URL from the request
+ * @returns {Promise<object>} { url, address, family } - the address to connect to
+ * @throws {Error} 400 for anything but https (or http with JOB_WEBHOOK_ALLOW_HTTP=true), hosts that do not
+ *   resolve, and hosts that resolve to a non-public address
+ */
+async function checkWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw badRequest('webhookUrl must be a valid URL');
+  }
+  if (parsed.protocol !== 'https:' && !(ALLOW_HTTP_WEBHOOKS && parsed.protocol === 'http:')) {
+    throw badRequest('webhookUrl must use https');
+  }
+
+  let addresses;
+  try {
+    // IPv6 literals keep their brackets in URL.hostname
+    addresses = await dns.promises.lookup(parsed.hostname.replace(/^\[|\]$/g, ''), { all: true });
+  } catch (error) {
+    throw badRequest(`webhookUrl host ${parsed.hostname} could not be resolved`);
+  }
+  if (addresses.length === 0 || addresses.some(({ address, family }) =>
+    BLOCKED_WEBHOOK_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+    throw badRequest('webhookUrl must point to a public address');
+  }
+
+  return { url, address: addresses[0].address, family: addresses[0].family };
+}
+
+/**
+ * Job as shown to its owner
+ * @param {object} job - Stored job
+ * @returns {object} Public fields
+ */
+function toPublicJob(job) {
+  return {
+    jobId: job.jobId,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+    ...(job.status === 'succeeded' && { result: job.result }),
+    ...(job.status === 'failed' && { error: job.error }),
+    ...(job.webhook && {
+      webhook: {
+        status: job.webhook.status || null,
+        attempts: job.webhook.attempts || 0,
+        deliveredAt: job.webhook.deliveredAt || null,
+        lastError: job.webhook.lastError || null
+      }
+    })
+  };
+}
+
+// POST the finished job, signed with JOB_WEBHOOK_SECRET when set
+// The connection goes to the address that was just checked, and redirects are not followed
+async function postWebhook(url, payload) {
+  const { address, family } = await checkWebhookUrl(url);
+  const lookup = (hostname, options, callback) => (options.all
+    ? callback(null, [{ address, family }])
+    : callback(null, address, family));
+
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json' };
+  if (WEBHOOK_SECRET) {
+    headers['X-Webhook-Signature'] = `sha256=${crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex')}`;
+  }
+  await axios.post(url, body, {
+    headers,
+    timeout: WEBHOOK_TIMEOUT_MS,
+    maxRedirects: 0,
+    proxy: false,
+    httpAgent: new http.Agent({ lookup }),
+    httpsAgent: new https.Agent({ lookup })
+  });
+}
+
+class JobQueue {
+  /**
+   * @param {object} store - MemoryJobStore or MongoJobStore
+   * @param {object} options - concurrency, now (clock function returning ms), pollIntervalMs, leaseMs, maxAttempts,
+   *   runRequest (type, request) => response body, sendWebhook (url, payload), storage (photo storage backend)
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.concurrency = options.concurrency ||
+      parseInt(process.env.JOB_CONCURRENCY, 10) || Math.max(1, keyPool.size);
+    this.now = options.now || (() => Date.now());
+    this.pollIntervalMs = options.pollIntervalMs || POLL_INTERVAL_MS;
+    this.leaseMs = options.leaseMs || LEASE_MS;
+    this.maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+    this.runRequest = options.runRequest || runAnalysisRequest;
+    this.sendWebhook = options.sendWebhook || postWebhook;
+    this.storage = options.storage || null;
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.active = 0;
+    this.timer = null;
+    this.ticking = false;
+    // Job ids whose webhook is being sent by this process
+    this.delivering = new Set();
+    this.scanningWebhooks = false;
+  }
+
+  getStorage() {
+    return this.storage || getPhotoStorage();
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    // Do not keep the process alive just for the queue
+    if (this.timer.unref) this.timer.unref();
+
+    console.log(`🧵 Analysis job worker started (${this.concurrency} at a time)`);
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Queue an analysis
+   * @param {string} type - Analysis request type (see analysisRequestService)
+   * @param {object} request - { body, user, images } as the synchronous route would run it
+   * @param {object} options - webhookUrl, quotaDay (day the route counted the call on; see quotaService)
+   * @returns {Promise<object>} Public job
+   */
+  async submit(type, request, options = {}) {
+    if (!ANALYSIS_REQUEST_TYPES.includes(type)) {
+      throw new Error(`Unknown analysis request type: ${type}`);
+    }
+    const webhookUrl = options.webhookUrl ? (await checkWebhookUrl(options.webhookUrl)).url : null;
+
+    const input = { ...request.body };
+    CONTROL_FIELDS.forEach(field => delete input[field]);
+
+    // Images are stored first so a job never points at missing files
+    const jobKey = `jobs/${this.now()}_${crypto.randomBytes(6).toString('hex')}`;
+    const images = [];
+    for (const [i, image] of (request.images || []).entries()) {
+      const key = `${jobKey}/${i + 1}.jpg`;
+      await this.getStorage().put(key, image.buffer, 'image/jpeg');
+      images.push({ index: image.index, role: image.role, label: image.label, key, width: image.width, height: image.height });
+    }
+
+    const job = await this.store.create({
+      userId: request.user.userId,
+      type,
+      input,
+      images,
+      ...(options.quotaDay && { quotaDay: options.quotaDay }),
+      ...(webhookUrl && { webhook: { url: webhookUrl } })
+    });
+
+    setImmediate(() => this.tick());
+    return toPublicJob(job);
+  }
+
+  /**
+   * A job for its owner
+   * @param {string} jobId - Job identifier
+   * @param {string} userId - Owner
+   * @returns {Promise<object|null>} Public job, or null when missing or owned by someone else
+   */
+  async getJob(jobId, userId) {
+    const job = await this.store.findById(jobId);
+    return job && job.userId === userId ? toPublicJob(job) : null;
+  }
+
+  /**
+   * A user's most recent jobs, newest first
+   * @param {string} userId - Owner
+   * @returns {Promise<Array<object>>} Public jobs (without results)
+   */
+  async listJobs(userId) {
+    const jobs = await this.store.listForUser(userId, LIST_LIMIT);
+    return jobs.map(job => {
+      const { result, ...summary } = toPublicJob(job);
+      return summary;
+    });
+  }
+
+  async tick() {
+    // Skip if the previous run is still going
+    if (this.ticking) return;
+
+    this.ticking = true;
+    try {
+      await this.recoverExpiredLeases();
+      this.scanWebhooks();
+      await this.fillWorkers();
+    } catch (error) {
+      console.error('Job queue run failed:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Claim queued jobs while there are free workers and a Gemini key to use
+  async fillWorkers() {
+    while (this.active < this.concurrency) {
+      // With no keys configured jobs still run, so they fail instead of waiting forever
+      if (keyPool.size > 0 && keyPool.availableCount() === 0) return;
+
+      const job = await this.store.claimNext(this.workerId, new Date(this.now() + this.leaseMs));
+      if (!job) return;
+
+      this.active++;
+      this.runJob(job)
+        .catch(error => console.error(`Analysis job ${job.jobId} could not be finished:`, error.message))
+        .finally(() => {
+          this.active--;
+          setImmediate(() => this.tick());
+        });
+    }
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   * @param {object} job - Claimed job
+   */
+  async runJob(job) {
+    const heartbeat = setInterval(() => {
+      this.store.renewLease(job.jobId, this.workerId, new Date(this.now() + this.leaseMs))
+        .catch(error => console.error(`Lease renewal for ${job.jobId} failed:`, error.message));
+    }, Math.max(1000, Math.floor(this.leaseMs / 3)));
+    if (heartbeat.unref) heartbeat.unref();
+
+    let outcome;
+    try {
+      const images = await this.loadImages(job);
+      const result = await this.runRequest(job.type, { body: job.input || {}, user: { userId: job.userId }, images });
+      outcome = { status: 'succeeded', result };
+    } catch (error) {
+      console.error(`Analysis job ${job.jobId} failed:`, error.message);
+      outcome = {
+        status: 'failed',
+        error: { message: error.message, name: error.name, statusCode: error.statusCode || 500 }
+      };
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    await this.finish(job, outcome);
+  }
+
+  // Stored job images in the shape the route passed them (preprocessImages() entries carry index, role and label)
+  async loadImages(job) {
+    const images = [];
+    for (const entry of job.images || []) {
+      const buffer = await this.getStorage().get(entry.key);
+      if (!buffer) {
+        throw new Error('The images for this job are no longer available');
+      }
+      images.push({
+        data: buffer.toString('base64'),
+        mimeType: 'image/jpeg',
+        buffer,
+        width: entry.width,
+        height: entry.height,
+        ...(entry.index && { index: entry.index, role: entry.role || null, label: entry.label })
+      });
+    }
+    return images;
+  }
+
+  /**
+   * Record a job's final status, clean up its images, refund quota for failures and reused answers, send the webhook
+   * @param {object} job - Job
+   * @param {object} outcome - { status, result } or { status, error }
+   */
+  async finish(job, outcome) {
+    const finishedAt = new Date(this.now());
+    const changes = {
+      ...outcome,
+      finishedAt,
+      leaseExpiresAt: null,
+      expiresAt: new Date(finishedAt.getTime() + RETENTION_MS)
+    };
+    if (job.webhook && job.webhook.url) {
+      // Sent right away below; the retry scan (here or on another instance) only picks it up if that attempt
+      // never records its outcome
+      changes.webhook = {
+        url: job.webhook.url,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(finishedAt.getTime() + 2 * WEBHOOK_TIMEOUT_MS)
+      };
+    }
+    await this.store.update(job.jobId, changes);
+
+    const keys = (job.images || []).map(image => image.key);
+    await Promise.all(keys.map(key => this.getStorage().delete(key)))
+      .catch(error => console.error(`Job image cleanup for ${job.jobId} failed:`, error.message));
+
+    // Same rule as synchronous routes: calls that end in an error, and cached or shared answers, do not use up quota
+    if (outcome.status === 'failed' || isReusedResult(outcome.result)) {
+      await refundAiCall({ userId: job.userId }, job.quotaDay)
+        .catch(error => console.error('Quota refund failed:', error.message));
+    }
+
+    if (changes.webhook) {
+      this.deliverWebhook({ ...job, ...changes })
+        .catch(error => console.error(`Webhook for ${job.jobId} could not be sent:`, error.message));
+    }
+  }
+
+  // Jobs whose worker stopped renewing its lease (e.g. a restart) run again, up to maxAttempts
+  async recoverExpiredLeases() {
+    const expired = await this.store.findExpiredLeases(new Date(this.now()));
+    for (const job of expired) {
+      if (job.attempts < this.maxAttempts) {
+        console.log(`🧵 Re-queueing analysis job ${job.jobId} (attempt ${job.attempts} was interrupted)`);
+        await this.store.update(job.jobId, { status: 'queued', workerId: null, leaseExpiresAt: null });
+      } else {
+        await this.finish(job, {
+          status: 'failed',
+          error: { message: `Job was interrupted ${job.attempts} times`, name: 'JobInterruptedError', statusCode: 500 }
+        });
+      }
+    }
+  }
+
+  // Retry due webhooks in the background; one scan at a time
+  scanWebhooks() {
+    if (this.scanningWebhooks) return;
+
+    this.scanningWebhooks = true;
+    this.deliverDueWebhooks()
+      .catch(error => console.error('Webhook retry run failed:', error.message))
+      .finally(() => {
+        this.scanningWebhooks = false;
+      });
+  }
+
+  async deliverDueWebhooks() {
+    const due = await this.store.findWebhooksDue(new Date(this.now()), 20);
+    for (const job of due) {
+      await this.deliverWebhook(job);
+    }
+  }
+
+  /**
+   * POST a finished job to its webhook, scheduling a retry on failure
+   * @param {object} job - Finished job with webhook { url, attempts }
+   */
+  async deliverWebhook(job) {
+    // Already being sent by this process
+    if (this.delivering.has(job.jobId)) return;
+
+    this.delivering.add(job.jobId);
+    try {
+      await this.attemptWebhook(job);
+    } finally {
+      this.delivering.delete(job.jobId);
+    }
+  }
+
+  async attemptWebhook(job) {
+    const attempts = (job.webhook.attempts || 0) + 1;
+    try {
+      await this.sendWebhook(job.webhook.url, { event: 'analysis_job.finished', job: toPublicJob(job) });
+      await this.store.update(job.jobId, {
+        webhook: { ...job.webhook, status: 'delivered', attempts, deliveredAt: new Date(this.now()), nextAttemptAt: null }
+      });
+    } catch (error) {
+      const retryDelay = WEBHOOK_RETRY_DELAYS_MS[attempts - 1];
+      console.error(`Webhook for ${job.jobId} failed (attempt ${attempts}):`, error.message);
+      await this.store.update(job.jobId, {
+        webhook: {
+          ...job.webhook,
+          status: retryDelay ? 'pending' : 'failed',
+          attempts,
+          lastError: error.message,
+          nextAttemptAt: retryDelay ? new Date(this.now() + retryDelay) : null
+        }
+      });
+    }
+  }
+}
+
+let jobQueue = new JobQueue(process.env.JOB_STORE === 'memory' ? new MemoryJobStore() : new MongoJobStore());
+
+function getJobQueue() {
+  return jobQueue;
+}
+
+/**
+ * Swap the active queue (e.g. one with a MemoryJobStore and a fake clock in tests)
+ * @param {JobQueue} queue - Queue to use
+ */
+function setJobQueue(queue) {
+  jobQueue = queue;
+}
+
+module.exports = {
+  JobQueue,
+  toPublicJob,
+  getJobQueue,
+  setJobQueue
+};
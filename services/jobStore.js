@@ -0,0 +1,140 @@
+const AnalysisJob = require('../models/AnalysisJob');
+
+/**
+ * Job Stores
+ * Persistence for the analysis job queue. Both stores return plain job objects.
+ * MongoJobStore (default) keeps jobs across restarts and lets several server instances share the queue;
+ * MemoryJobStore (JOB_STORE=memory) is for development and tests and loses jobs on restart.
+ */
+
+class MemoryJobStore {
+  /**
+   * @param {object} options - now (clock function returning ms)
+   */
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+    this.jobs = new Map();
+  }
+
+  async create(job) {
+    this.sweep();
+    const stored = {
+      jobId: `job_${this.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      status: 'queued',
+      attempts: 0,
+      createdAt: new Date(this.now()),
+      ...job
+    };
+    this.jobs.set(stored.jobId, stored);
+    return { ...stored };
+  }
+
+  async findById(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? { ...job } : null;
+  }
+
+  async listForUser(userId, limit) {
+    return Array.from(this.jobs.values())
+      .filter(job => job.userId === userId)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit)
+      .map(job => ({ ...job }));
+  }
+
+  async claimNext(workerId, leaseExpiresAt) {
+    const next = Array.from(this.jobs.values())
+      .filter(job => job.status === 'queued')
+      .sort((a, b) => a.createdAt - b.createdAt)[0];
+    if (!next) return null;
+
+    Object.assign(next, {
+      status: 'running',
+      workerId,
+      leaseExpiresAt,
+      startedAt: new Date(this.now()),
+      attempts: next.attempts + 1
+    });
+    return { ...next };
+  }
+
+  async renewLease(jobId, workerId, leaseExpiresAt) {
+    const job = this.jobs.get(jobId);
+    if (job && job.status === 'running' && job.workerId === workerId) {
+      job.leaseExpiresAt = leaseExpiresAt;
+    }
+  }
+
+  async update(jobId, changes) {
+    const job = this.jobs.get(jobId);
+    if (job) Object.assign(job, changes);
+  }
+
+  async findExpiredLeases(now) {
+    return Array.from(this.jobs.values())
+      .filter(job => job.status === 'running' && job.leaseExpiresAt <= now)
+      .map(job => ({ ...job }));
+  }
+
+  async findWebhooksDue(now, limit) {
+    return Array.from(this.jobs.values())
+      .filter(job => job.webhook && job.webhook.status === 'pending' && job.webhook.nextAttemptAt <= now)
+      .slice(0, limit)
+      .map(job => ({ ...job, webhook: { ...job.webhook } }));
+  }
+
+  // Drop finished jobs past their retention
+  sweep() {
+    const now = this.now();
+    for (const [jobId, job] of this.jobs) {
+      if (job.expiresAt && job.expiresAt.getTime() <= now) this.jobs.delete(jobId);
+    }
+  }
+}
+
+class MongoJobStore {
+  async create(job) {
+    const created = await AnalysisJob.create(job);
+    return created.toObject();
+  }
+
+  async findById(jobId) {
+    return AnalysisJob.findOne({ jobId }).lean();
+  }
+
+  async listForUser(userId, limit) {
+    return AnalysisJob.find({ userId }).sort({ createdAt: -1 }).limit(limit).lean();
+  }
+
+  // Atomic, so two workers never claim the same job
+  async claimNext(workerId, leaseExpiresAt) {
+    return AnalysisJob.findOneAndUpdate(
+      { status: 'queued' },
+      { $set: { status: 'running', workerId, leaseExpiresAt, startedAt: new Date() }, $inc: { attempts: 1 } },
+      { sort: { createdAt: 1 }, new: true }
+    ).lean();
+  }
+
+  async renewLease(jobId, workerId, leaseExpiresAt) {
+    await AnalysisJob.updateOne({ jobId, status: 'running', workerId }, { $set: { leaseExpiresAt } });
+  }
+
+  async update(jobId, changes) {
+    await AnalysisJob.updateOne({ jobId }, { $set: changes });
+  }
+
+  async findExpiredLeases(now) {
+    return AnalysisJob.find({ status: 'running', leaseExpiresAt: { $lte: now } }).lean();
+  }
+
+  async findWebhooksDue(now, limit) {
+    return AnalysisJob.find({ 'webhook.status': 'pending', 'webhook.nextAttemptAt': { $lte: now } })
+      .limit(limit)
+      .lean();
+  }
+}
+
+module.exports = {
+  MemoryJobStore,
+  MongoJobStore
+};
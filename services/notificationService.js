@@ -0,0 +1,143 @@
+const Notification = require('../models/Notification');
+
+/**
+ * Notification Service
+ * Per-user notifications: created by users/clients or automatically by the system
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const ALERT_URGENCIES = ['critical', 'urgent'];
+
+/**
+ * Create a notification
+ * With a dedupeKey the call is idempotent: an existing notification with the same key is returned instead
+ * @param {object} notificationData - userId, title, message, type, priority, data, dedupeKey
+ * @returns {Promise<object>} { notification, created }
+ */
+async function createNotification(notificationData) {
+  const { userId, title, message, type, priority, data, dedupeKey } = notificationData;
+
+  if (!userId || !title || !message) {
+    const error = new Error('userId, title and message are required');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!dedupeKey) {
+    const notification = await Notification.create({ userId, title, message, type, priority, data });
+    return { notification, created: true };
+  }
+
+  const result = await Notification.findOneAndUpdate(
+    { dedupeKey },
+    { $setOnInsert: { userId, title, message, type, priority, data, dedupeKey } },
+    { upsert: true, new: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+  );
+
+  return {
+    notification: result.value,
+    created: !result.lastErrorObject.updatedExisting
+  };
+}
+
+/**
+ * Paginated notifications for a user, newest first
+ * @param {string} userId - Owner
+ * @param {object} options - page (1-based), limit, unreadOnly
+ * @returns {Promise<object>} { notifications, unreadCount, pagination }
+ */
+async function listNotifications(userId, options = {}) {
+  const page = Math.max(1, parseInt(options.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE));
+
+  const query = { userId };
+  if (options.unreadOnly) query.read = false;
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+    Notification.countDocuments(query),
+    Notification.countDocuments({ userId, read: false })
+  ]);
+
+  return {
+    notifications,
+    unreadCount,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Mark one notification read
+ * @param {string} userId - Owner
+ * @param {string} notificationId - Notification identifier
+ * @returns {Promise<object|null>} Updated notification or null when not found
+ */
+async function markNotificationRead(userId, notificationId) {
+  return Notification.findOneAndUpdate(
+    { userId, notificationId },
+    { $set: { read: true, readAt: new Date() } },
+    { new: true }
+  );
+}
+
+/**
+ * Mark all of a user's notifications read
+ * @param {string} userId - Owner
+ * @returns {Promise<number>} Number of notifications changed
+ */
+async function markAllNotificationsRead(userId) {
+  const result = await Notification.updateMany(
+    { userId, read: false },
+    { $set: { read: true, readAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Delete a notification
+ * @param {string} userId - Owner
+ * @param {string} notificationId - Notification identifier
+ * @returns {Promise<boolean>} True when something was deleted
+ */
+async function deleteNotification(userId, notificationId) {
+  const result = await Notification.deleteOne({ userId, notificationId });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Alert the crop owner when a photo analysis comes back critical or urgent
+ * @param {object} crop - Crop document
+ * @param {object} photo - Saved CropPhoto document
+ * @returns {Promise<object|null>} createNotification() result, or null for routine analyses
+ */
+async function notifyUrgentAnalysis(crop, photo) {
+  const analysis = photo.analysis || {};
+  if (!ALERT_URGENCIES.includes(analysis.urgency)) return null;
+
+  const issues = analysis.issues && analysis.issues.length > 0 ? analysis.issues.join(', ') : 'a problem';
+
+  return createNotification({
+    userId: crop.userId,
+    type: 'analysis_alert',
+    priority: 'high',
+    title: `Your ${crop.cropType} needs attention`,
+    message: `Day ${photo.dayNumber} photo shows ${issues} (health ${analysis.healthScore}/100). Check the recommendations now.`,
+    data: { cropId: crop.cropId, photoId: photo.photoId },
+    dedupeKey: `analysis_alert:${photo.photoId}`
+  });
+}
+
+module.exports = {
+  createNotification,
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+  notifyUrgentAnalysis
+};
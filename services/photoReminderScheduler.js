@@ -0,0 +1,180 @@
+const Crop = require('../models/Crop');
+const CropPhoto = require('../models/CropPhoto');
+const { createNotification } = require('./notificationService');
+
+/**
+ * Photo Reminder Scheduler
+ * Periodically checks each active crop's latest CropPhoto.analysis.nextPhotoDate and creates reminders.
+ * Reminders use notification dedupeKeys, so a restart never sends the same reminder twice.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_INTERVAL_MS = (parseInt(process.env.PHOTO_REMINDER_INTERVAL_MINUTES, 10) || 15) * 60 * 1000;
+const ESCALATING_URGENCIES = ['critical', 'urgent'];
+// Active crops read from the cursor and looked up per aggregation
+const CROP_BATCH_SIZE = 500;
+
+class PhotoReminderScheduler {
+  /**
+   * @param {object} options - now (clock function returning ms), intervalMs,
+   *   overdueAfterMs (past due before an overdue reminder), escalateAfterMs (past due before a critical crop escalates)
+   */
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+    this.intervalMs = options.intervalMs || DEFAULT_INTERVAL_MS;
+    this.overdueAfterMs = options.overdueAfterMs || 48 * HOUR_MS;
+    this.escalateAfterMs = options.escalateAfterMs || 24 * HOUR_MS;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    // Do not keep the process alive just for reminders
+    if (this.timer.unref) this.timer.unref();
+
+    console.log(`⏰ Photo reminder scheduler started (every ${Math.round(this.intervalMs / 60000)} min)`);
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick() {
+    // Skip if the previous run is still going
+    if (this.running) return;
+
+    this.running = true;
+    try {
+      const summary = await this.runOnce();
+      if (summary.created > 0) {
+        console.log(`⏰ Photo reminders: ${summary.created} new (${summary.checked} crops due)`);
+      }
+    } catch (error) {
+      console.error('Photo reminder run failed:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Check every active crop whose latest photo is due and create any missing reminders
+   * Active crops are read through a cursor with only the fields reminders need, one batch at a time
+   * @returns {Promise<object>} { checked, created }
+   */
+  async runOnce() {
+    const now = new Date(this.now());
+    const summary = { checked: 0, created: 0 };
+
+    const cursor = Crop.find({ status: 'active' })
+      .select('cropId userId cropType')
+      .lean()
+      .cursor({ batchSize: CROP_BATCH_SIZE });
+
+    let batch = [];
+    for await (const crop of cursor) {
+      batch.push(crop);
+      if (batch.length === CROP_BATCH_SIZE) {
+        await this.remindBatch(batch, now, summary);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await this.remindBatch(batch, now, summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Create reminders for one batch of active crops
+   * @param {Array<object>} crops - { cropId, userId, cropType }
+   * @param {Date} now - Current time
+   * @param {object} summary - { checked, created }, updated in place
+   */
+  async remindBatch(crops, now, summary) {
+    const cropsById = new Map(crops.map(crop => [crop.cropId, crop]));
+
+    // Latest photo per crop whose next photo date has passed; the $match keeps the
+    // sort on the { cropId, dayNumber, createdAt } index instead of the whole collection
+    const duePhotos = await CropPhoto.aggregate([
+      { $match: { cropId: { $in: [...cropsById.keys()] } } },
+      { $sort: { cropId: 1, dayNumber: -1, createdAt: -1 } },
+      { $group: { _id: '$cropId', photo: { $first: '$$ROOT' } } },
+      { $match: { 'photo.analysis.nextPhotoDate': { $lte: now } } }
+    ]);
+    summary.checked += duePhotos.length;
+
+    for (const { _id: cropId, photo } of duePhotos) {
+      for (const reminder of this.getReminders(cropsById.get(cropId), photo, now)) {
+        const result = await createNotification(reminder);
+        if (result.created) summary.created++;
+      }
+    }
+  }
+
+  /**
+   * Reminders a crop should have by now for its latest photo
+   * @param {object} crop - Crop ({ cropId, userId, cropType })
+   * @param {object} photo - Latest CropPhoto (plain object)
+   * @param {Date} now - Current time
+   * @returns {Array<object>} Notification data for createNotification()
+   */
+  getReminders(crop, photo, now) {
+    const analysis = photo.analysis || {};
+    const dueDate = new Date(analysis.nextPhotoDate);
+    const pastDueMs = now - dueDate;
+    const data = { cropId: crop.cropId, photoId: photo.photoId };
+    const dueLabel = dueDate.toDateString();
+
+    const reminders = [{
+      userId: crop.userId,
+      type: 'photo_due',
+      title: `Time to photograph your ${crop.cropType}`,
+      message: `Your ${crop.cropType} is due for its next progress photo. Take one today to keep tracking its health.`,
+      data,
+      dedupeKey: `photo_due:${photo.photoId}`
+    }];
+
+    if (pastDueMs >= this.overdueAfterMs) {
+      reminders.push({
+        userId: crop.userId,
+        type: 'photo_overdue',
+        title: `Photo overdue for your ${crop.cropType}`,
+        message: `The next photo of your ${crop.cropType} was due on ${dueLabel}. Upload one so problems are not missed.`,
+        data,
+        dedupeKey: `photo_overdue:${photo.photoId}`
+      });
+    }
+
+    // A crop flagged critical/urgent that misses its window is escalated
+    if (ESCALATING_URGENCIES.includes(analysis.urgency) && pastDueMs >= this.escalateAfterMs) {
+      const issues = analysis.issues && analysis.issues.length > 0 ? analysis.issues.join(', ') : 'a problem';
+      reminders.push({
+        userId: crop.userId,
+        type: 'photo_escalation',
+        priority: 'high',
+        title: `Urgent: check your ${crop.cropType} now`,
+        message: `Your last photo (day ${photo.dayNumber}) showed ${issues} and the follow-up photo due ${dueLabel} is missing. Inspect the crop and upload a photo today.`,
+        data,
+        dedupeKey: `photo_escalation:${photo.photoId}`
+      });
+    }
+
+    return reminders;
+  }
+}
+
+// Shared scheduler for the process
+const photoReminderScheduler = new PhotoReminderScheduler();
+
+module.exports = {
+  PhotoReminderScheduler,
+  photoReminderScheduler
+};
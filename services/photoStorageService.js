@@ -0,0 +1,400 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const sharp = require('sharp');
+
+/**
+ * Photo Storage
+ * Keeps analyzed photos and their thumbnails in a swappable backend (STORAGE_BACKEND=local|s3).
+ * Objects are named by the SHA-256 of their bytes under a folder prefix (crops/<cropId>, scans/<userId>),
+ * so the same photo uploaded twice is stored once. Backends implement put/get/delete/getSignedUrl:
+ * local disk signs /files/... links with an HMAC, S3-compatible stores (AWS, MinIO) use presigned GETs.
+ */
+
+const UPLOAD_ROOT = path.join(__dirname, '..', 'uploads');
+const THUMBNAIL_SIZE = 320;
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.STORAGE_URL_TTL_SECONDS, 10) || 60 * 60;
+const S3_TIMEOUT_MS = parseInt(process.env.S3_TIMEOUT_MS, 10) || 15000;
+
+let urlSecret = process.env.STORAGE_URL_SECRET || process.env.AUTH_TOKEN_SECRET;
+if (!urlSecret) {
+  console.warn('⚠️  WARNING: STORAGE_URL_SECRET not set. Using a random secret; signed image links will not survive a restart.');
+  urlSecret = crypto.randomBytes(32).toString('hex');
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function signFileKey(key, expires) {
+  return hmac(urlSecret, `${key}\n${expires}`).toString('hex');
+}
+
+/**
+ * Check a signed /files/... link
+ * @param {string} key - Object key from the path
+ * @param {string|number} expires - Unix time (seconds) from the query
+ * @param {string} signature - Hex signature from the query
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True when the signature matches and the link has not expired
+ */
+function verifyFileSignature(key, expires, signature, now = Date.now()) {
+  if (!key || !/^\d+$/.test(String(expires)) || typeof signature !== 'string') return false;
+  if (Number(expires) * 1000 < now) return false;
+
+  const expected = Buffer.from(signFileKey(key, expires), 'hex');
+  const given = Buffer.from(signature, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Files under STORAGE_LOCAL_DIR (default uploads/), served through signed /files/... links
+class LocalDiskStorage {
+  /**
+   * @param {object} options - root (directory), now (clock function returning ms)
+   */
+  constructor(options = {}) {
+    this.name = 'local';
+    this.root = path.resolve(options.root || process.env.STORAGE_LOCAL_DIR || UPLOAD_ROOT);
+    this.now = options.now || (() => Date.now());
+  }
+
+  // Keys never leave the storage root
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, data) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, data);
+  }
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  getSignedUrl(key, expiresInSeconds = SIGNED_URL_TTL_SECONDS) {
+    const expires = Math.floor(this.now() / 1000) + expiresInSeconds;
+    return `/files/${key}?expires=${expires}&signature=${signFileKey(key, expires)}`;
+  }
+}
+
+// RFC 3986 encoding as S3 expects it, keeping "/" between key segments
+function encodeS3Path(value) {
+  return value.split('/')
+    .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`))
+    .join('/');
+}
+
+// 20260101T120000Z
+function toAmzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, ...) over the REST API with Signature Version 4
+ * Path-style addressing (endpoint/bucket/key) is used unless S3_PATH_STYLE=false, since MinIO needs it
+ */
+class S3Storage {
+  /**
+   * @param {object} options - endpoint, region, bucket, accessKeyId, secretAccessKey, pathStyle, timeoutMs,
+   *   now (clock function returning ms); each defaults to its S3_* environment variable
+   */
+  constructor(options = {}) {
+    this.name = 's3';
+    this.region = options.region || process.env.S3_REGION || 'us-east-1';
+    this.endpoint = (options.endpoint || process.env.S3_ENDPOINT || `https://s3.${this.region}.amazonaws.com`).replace(/\/$/, '');
+    this.bucket = options.bucket || process.env.S3_BUCKET;
+    this.accessKeyId = options.accessKeyId || process.env.S3_ACCESS_KEY_ID;
+    this.secretAccessKey = options.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY;
+    this.pathStyle = options.pathStyle !== undefined ? options.pathStyle : process.env.S3_PATH_STYLE !== 'false';
+    this.timeoutMs = options.timeoutMs || S3_TIMEOUT_MS;
+    this.now = options.now || (() => Date.now());
+
+    if (!this.bucket || !this.accessKeyId || !this.secretAccessKey) {
+      throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+  }
+
+  // Host and canonical path of an object
+  locate(key) {
+    const url = new URL(this.endpoint);
+    const host = this.pathStyle ? url.host : `${this.bucket}.${url.host}`;
+    const objectPath = this.pathStyle ? `/${this.bucket}/${encodeS3Path(key)}` : `/${encodeS3Path(key)}`;
+    return { protocol: url.protocol, host, path: objectPath };
+  }
+
+  /**
+   * SigV4 signature for a request
+   * @param {object} request - method, path, query (canonical query string), headers (lower-case names), payloadHash
+   * @param {Date} date - Signing time
+   * @returns {object} { signature, signedHeaders, credential }
+   */
+  sign({ method, path: objectPath, query = '', headers, payloadHash }, date) {
+    const amzDate = toAmzDate(date);
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+
+    const names = Object.keys(headers).sort();
+    const canonicalHeaders = names.map(name => `${name}:${String(headers[name]).trim()}\n`).join('');
+    const signedHeaders = names.join(';');
+    const canonicalRequest = [method, objectPath, query, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region), 's3'), 'aws4_request');
+
+    return {
+      signature: hmac(signingKey, stringToSign).toString('hex'),
+      signedHeaders,
+      credential: `${this.accessKeyId}/${scope}`
+    };
+  }
+
+  async request(method, key, body = null, extraHeaders = {}) {
+    const { protocol, host, path: objectPath } = this.locate(key);
+    const date = new Date(this.now());
+    const payloadHash = sha256Hex(body || '');
+    const headers = {
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': toAmzDate(date),
+      ...extraHeaders
+    };
+
+    const { signature, signedHeaders, credential } = this.sign({ method, path: objectPath, headers, payloadHash }, date);
+    // Host is signed but axios sets it from the URL
+    const sentHeaders = { ...headers };
+    delete sentHeaders.host;
+
+    return axios({
+      method,
+      url: `${protocol}//${host}${objectPath}`,
+      data: body,
+      responseType: 'arraybuffer',
+      timeout: this.timeoutMs,
+      maxBodyLength: Infinity,
+      headers: {
+        ...sentHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${credential}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+      }
+    });
+  }
+
+  async put(key, data, contentType = 'application/octet-stream') {
+    await this.request('PUT', key, data, { 'content-type': contentType });
+  }
+
+  async get(key) {
+    try {
+      const response = await this.request('GET', key);
+      return Buffer.from(response.data);
+    } catch (error) {
+      if (error.response && error.response.status === 404) return null;
+      throw error;
+    }
+  }
+
+  // S3 answers 204 for missing keys too, so deleting twice is fine
+  async delete(key) {
+    await this.request('DELETE', key);
+  }
+
+  getSignedUrl(key, expiresInSeconds = SIGNED_URL_TTL_SECONDS) {
+    const { protocol, host, path: objectPath } = this.locate(key);
+    const date = new Date(this.now());
+    const scope = `${toAmzDate(date).slice(0, 8)}/${this.region}/s3/aws4_request`;
+
+    const params = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${this.accessKeyId}/${scope}`,
+      'X-Amz-Date': toAmzDate(date),
+      'X-Amz-Expires': String(expiresInSeconds),
+      'X-Amz-SignedHeaders': 'host'
+    };
+    const query = Object.keys(params).sort()
+      .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(params[name])}`)
+      .join('&');
+
+    const { signature } = this.sign(
+      { method: 'GET', path: objectPath, query, headers: { host }, payloadHash: 'UNSIGNED-PAYLOAD' },
+      date
+    );
+    return `${protocol}//${host}${objectPath}?${query}&X-Amz-Signature=${signature}`;
+  }
+}
+
+/**
+ * Build the backend selected by STORAGE_BACKEND
+ * @param {string} name - 'local' (default) or 's3'
+ * @returns {object} Storage backend
+ */
+function createStorageBackend(name = process.env.STORAGE_BACKEND || 'local') {
+  if (name === 'local') return new LocalDiskStorage();
+  if (name === 's3') return new S3Storage();
+  throw new Error(`Unknown STORAGE_BACKEND: ${name}`);
+}
+
+let photoStorage = createStorageBackend();
+
+function getPhotoStorage() {
+  return photoStorage;
+}
+
+/**
+ * Swap the active backend (e.g. a LocalDiskStorage on a temp directory, or S3Storage against MinIO)
+ * @param {object} storage - Storage backend
+ */
+function setPhotoStorage(storage) {
+  photoStorage = storage;
+}
+
+/**
+ * Store a photo and its thumbnail under content-hash names
+ * @param {string} prefix - Key folder, e.g. crops/<cropId>
+ * @param {Buffer} buffer - JPEG bytes (imageService output, already stripped of metadata)
+ * @returns {Promise<object>} { imageKey, thumbnailKey, contentHash }
+ */
+async function storePhoto(prefix, buffer) {
+  const contentHash = sha256Hex(buffer);
+  const imageKey = `${prefix}/${contentHash}.jpg`;
+  const thumbnailKey = `${prefix}/${contentHash}_thumb.jpg`;
+
+  const thumbnail = await sharp(buffer)
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 70 })
+    .toBuffer();
+
+  await photoStorage.put(imageKey, buffer, 'image/jpeg');
+  await photoStorage.put(thumbnailKey, thumbnail, 'image/jpeg');
+
+  return { imageKey, thumbnailKey, contentHash };
+}
+
+/**
+ * Store every image of an analysis
+ * @param {string} prefix - Key folder
+ * @param {Array<object>} images - From imageService.preprocessImages()
+ * @returns {Promise<Array<object>>} [{ index, role, imageKey, thumbnailKey }]
+ */
+async function storePhotos(prefix, images) {
+  const stored = [];
+  for (const image of images) {
+    const { imageKey, thumbnailKey } = await storePhoto(prefix, image.buffer);
+    stored.push({ index: image.index, role: image.role, imageKey, thumbnailKey });
+  }
+  return stored;
+}
+
+/**
+ * Delete stored objects; missing ones are ignored
+ * @param {Array<string>} keys - Object keys
+ * @returns {Promise<number>} Number of keys deleted
+ * @throws {Error} When the backend fails for any key (the rest are still attempted)
+ */
+async function deleteStoredObjects(keys) {
+  const unique = [...new Set(keys.filter(Boolean))];
+  const results = await Promise.allSettled(unique.map(key => photoStorage.delete(key)));
+
+  const failed = results.filter(result => result.status === 'rejected');
+  if (failed.length > 0) {
+    const error = new Error(`Could not delete ${failed.length} of ${unique.length} stored images: ${failed[0].reason.message}`);
+    error.statusCode = 502;
+    throw error;
+  }
+  return unique.length;
+}
+
+/**
+ * Authenticated app path for a key (GET /uploads/crops/:cropId/:fileName)
+ * @param {string} key - Object key
+ * @returns {string} Path
+ */
+function getUploadPath(key) {
+  return `/uploads/${key}`;
+}
+
+// Photos saved before keys were stored only have their /uploads/... path
+function keyFromUploadPath(url) {
+  return url && url.startsWith('/uploads/') ? url.slice('/uploads/'.length) : null;
+}
+
+/**
+ * Object keys of a stored photo record (CropPhoto or Scan image entry)
+ * @param {object} entry - { imageKey, thumbnailKey } or a legacy { imageUrl, thumbnailUrl }
+ * @returns {object} { imageKey, thumbnailKey }
+ */
+function getPhotoKeys(entry) {
+  return {
+    imageKey: entry.imageKey || keyFromUploadPath(entry.imageUrl),
+    thumbnailKey: entry.thumbnailKey || keyFromUploadPath(entry.thumbnailUrl)
+  };
+}
+
+/**
+ * Time-limited links for a stored photo
+ * @param {object} entry - { imageKey, thumbnailKey } (or legacy URLs)
+ * @returns {object|null} { imageUrl, thumbnailUrl, expiresAt } or null when nothing is stored
+ */
+function getSignedPhotoUrls(entry) {
+  const { imageKey, thumbnailKey } = getPhotoKeys(entry);
+  if (!imageKey) return null;
+
+  return {
+    imageUrl: photoStorage.getSignedUrl(imageKey),
+    thumbnailUrl: thumbnailKey ? photoStorage.getSignedUrl(thumbnailKey) : null,
+    expiresAt: new Date(Date.now() + SIGNED_URL_TTL_SECONDS * 1000).toISOString()
+  };
+}
+
+/**
+ * Crop photo for API responses, with signed links for it and each of its images
+ * @param {object} photo - CropPhoto document
+ * @returns {object} Plain object with signedUrls fields
+ */
+function withSignedUrls(photo) {
+  const plain = typeof photo.toObject === 'function' ? photo.toObject() : { ...photo };
+  return {
+    ...plain,
+    signedUrls: getSignedPhotoUrls(plain),
+    images: (plain.images || []).map(image => ({ ...image, signedUrls: getSignedPhotoUrls(image) }))
+  };
+}
+
+module.exports = {
+  UPLOAD_ROOT,
+  LocalDiskStorage,
+  S3Storage,
+  createStorageBackend,
+  getPhotoStorage,
+  setPhotoStorage,
+  verifyFileSignature,
+  storePhoto,
+  storePhotos,
+  deleteStoredObjects,
+  getUploadPath,
+  getPhotoKeys,
+  getSignedPhotoUrls,
+  withSignedUrls
+};
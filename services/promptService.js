@@ -0,0 +1,446 @@
+/**
+ * Analysis Prompts
+ * Prompt builders for the plant, product, consultation, smart solution and expert advice analyses,
+ * and for multi-turn consultation conversations
+ */
+
+// Language codes with a dedicated instruction below
+const SUPPORTED_LANGUAGES = ['en', 'hi', 'mr', 'hi-en'];
+
+// Language instruction function
+function getLanguageInstruction(langCode) {
+  const instructions = {
+    'en': 'Respond in English.',
+    'hi': 'Respond ONLY in Hindi (हिंदी) language. Use Devanagari script. Write ALL text, disease names, treatments, and explanations in Hindi. Example: "आपके पौधे में लीफ माइनर का संक्रमण है।"',
+    'mr': 'Respond ONLY in Marathi (मराठी) language. Use Devanagari script. Write ALL text, disease names, treatments, and explanations in Marathi. Example: "तुमच्या वनस्पतीला लीफ माइनर संक्रमण आहे।"',
+    'hi-en': 'Respond in Hinglish (mix of Hindi and English using Roman/Latin script). Write in conversational Hindi-English mix that Indian farmers commonly use. Example: "Aapke plant mein leaf miner ka infection hai. Treatment ke liye Spinosad spray lagayein."'
+  };
+  return instructions[langCode] || instructions['en'];
+}
+
+/**
+ * Weather report block for prompts
+ * @param {object} weatherReport - From weatherService ({ provider, current, forecast })
+ * @returns {string} Prompt text, empty when there is no report
+ */
+function formatWeatherForPrompt(weatherReport) {
+  if (!weatherReport || !weatherReport.current) return '';
+
+  const reading = (value, unit) => (value === undefined || value === null ? 'n/a' : `${value}${unit}`);
+  const { current, forecast = [] } = weatherReport;
+
+  const lines = [
+    `- Now: ${reading(current.temperatureC, '°C')}, humidity ${reading(current.humidityPercent, '%')}, rain ${reading(current.rainfallMm, ' mm')}`,
+    ...forecast.map(day =>
+      `- ${day.date}: ${reading(day.minTempC, '')}-${reading(day.maxTempC, '°C')}, humidity ${reading(day.humidityPercent, '%')}, ` +
+      `rain ${reading(day.rainfallMm, ' mm')}${day.rainChancePercent !== undefined ? ` (${day.rainChancePercent}% chance)` : ''}`
+    )
+  ];
+
+  return `\n\nWEATHER AT THE FARM (current and forecast):
+${lines.join('\n')}
+Use this weather in your advice: disease and pest pressure from heat, humidity and rain, whether to spray before expected rain, and irrigation.`;
+}
+
+/**
+ * Region and season block for prompts
+ * @param {object} regionContext - From regionService.getRegionContext() ({ region, season })
+ * @returns {string} Prompt text, empty when there is no context
+ */
+function formatRegionForPrompt(regionContext) {
+  if (!regionContext) return '';
+
+  const { region, season } = regionContext;
+  const lines = [];
+  if (region && region.match === 'nearest') {
+    lines.push(`- Nearest known district: ${region.district}, ${region.state} (about ${region.distanceKm} km away; the farm may be in another district)`);
+  } else if (region) {
+    lines.push(`- District${region.approximate ? ' (approximate)' : ''}: ${region.district}, ${region.state}`);
+  }
+  if (region) {
+    if (region.zone) {
+      lines.push(`- Agro-climatic zone: ${region.zone.name} (${region.zone.climate}; rainfall ${region.zone.annualRainfallMm} mm/year; soils: ${region.zone.soils})`);
+      lines.push(`- Major crops of the zone: ${region.zone.majorCrops.join(', ')}`);
+    }
+  }
+  if (season) {
+    lines.push(`- Current cropping season: ${season.label}`);
+  }
+  if (lines.length === 0) return '';
+
+  return `\n\nREGIONAL CONTEXT:
+${lines.join('\n')}
+Base regional notes and seasonal advice on this region and season (local practices, pests and diseases common here at this time of year).`;
+}
+
+/**
+ * Block listing the images sent with a prompt, by the labels that precede them in the request
+ * @param {Array<object>} images - From imageService.preprocessImages() ({ index, role, label })
+ * @returns {string} Prompt text, empty for a single image without a role
+ */
+function formatImagesForPrompt(images) {
+  if (!images || images.length === 0) return '';
+  if (images.length === 1 && !images[0].role) return '';
+
+  return `\n\nIMAGES (each one follows its label):
+${images.map(image => `- ${image.label}`).join('\n')}
+All images show the same plant. Use them together for one answer, and in "imageEvidence" give the number of the image your answer relies on most and what it shows.`;
+}
+
+// Plant analysis prompt
+function getPlantAnalysisPrompt(language, location, temperature, weatherReport, regionContext, images) {
+  const langInstruction = getLanguageInstruction(language);
+  
+  const locationContext = location ? `You are providing diagnosis for a farmer in ${location}.` : 'You are providing diagnosis for a farmer.';
+  const weatherContext = temperature ? ` The current temperature is around ${temperature}°C.` : '';
+  const contextualAdvice = location || temperature ? ' Consider the location and weather conditions in your analysis and recommendations.' : '';
+  
+  return `${langInstruction}
+
+${locationContext}${weatherContext}${contextualAdvice}${formatWeatherForPrompt(weatherReport)}${formatRegionForPrompt(regionContext)}${formatImagesForPrompt(images)}
+
+Analyze the plant image(s) comprehensively and provide a detailed diagnosis report in the following JSON format:
+{
+  "observation": {
+    "plantName": "AI's identification of the plant species",
+    "affectedArea": "Specific area where the problem is located (leaves, stem, roots, etc.)",
+    "visualDescription": "Detailed description of what the AI observes in the image"
+  },
+  "diagnosis": {
+    "name": "Specific disease or pest name",
+    "isHealthy": false,
+    "confidence": 94
+  },
+  "severity": {
+    "level": "Mild/Moderate/Severe",
+    "scale": 6,
+    "impact": "Description of potential crop loss or damage"
+  },
+  "treatment": {
+    "immediate": ["List of immediate actions to take"],
+    "chemical": ["Chemical sprays or treatments with specific names"],
+    "organic": ["Organic and natural treatment options"]
+  },
+  "rootCause": {
+    "primary": "Main underlying cause of the problem",
+    "prevention": ["Specific prevention tips for future"]
+  },
+  "profile": {
+    "frequency": "Common/Uncommon/Rare",
+    "regionalNotes": "Notes specific to the farmer's location and climate"
+  },
+  "imageEvidence": {
+    "primaryImage": 1,
+    "reason": "What that image shows that the diagnosis is based on"
+  }
+}
+
+CRITICAL REQUIREMENTS:
+- Confidence must be a number between 1-100
+- Scale must be a number between 1-10 (1=minimal, 10=critical)
+- isHealthy is true only when no disease, pest or deficiency is found
+- primaryImage is the number of the image the diagnosis relies on most (1 when there is only one image)
+- Provide specific, actionable advice for farmers
+- Include both chemical and organic treatment options
+- Write ALL field values in the specified language (${language})
+- Be precise and practical for agricultural use
+- Consider the local climate and regional farming practices`;
+}
+
+// Disease query prompt
+function getDiseaseQueryPrompt(plantName, symptoms, location, language, weatherReport) {
+  const langInstruction = getLanguageInstruction(language);
+  
+  return `${langInstruction}
+
+Plant: ${plantName}
+Symptoms: ${symptoms}
+Location: ${location || 'Not specified'}${formatWeatherForPrompt(weatherReport)}
+
+Provide advice in JSON format:
+{
+  "diagnosis": "disease name",
+  "confidence": "high/medium/low",
+  "causes": ["possible causes"],
+  "treatment_plan": {
+    "immediate_actions": ["urgent steps"],
+    "ongoing_care": ["continued treatment"],
+    "timeline": "recovery time"
+  },
+  "prevention": ["prevention tips"],
+  "when_to_seek_help": "when to contact experts"
+}
+
+IMPORTANT: Write ALL field values in the specified language (${language}). Be practical for farmers.`;
+}
+
+// Smart solution prompt
+function getSmartSolutionPrompt(data) {
+  const langInstruction = getLanguageInstruction(data.language || 'hi');
+  
+  const locationContext = data.location ? `You are providing expert agricultural advice for a farmer in ${data.location}.` : 'You are providing expert agricultural advice for a farmer.';
+  const weatherContext = data.weather ? ` The current temperature is around ${data.weather}°C.` : '';
+  const cropContext = data.cropName ? ` The crop is ${data.cropName}.` : '';
+  const stageContext = data.plantStage ? ` The plant is in ${data.plantStage} stage.` : '';
+  const ageContext = data.plantAgeDays ? ` The plant is ${data.plantAgeDays} days old.` : '';
+  
+  return `${langInstruction}
+
+You are an expert agronomist with 20+ years of experience in Indian agriculture. 
+
+FARMER'S SITUATION:
+${locationContext}${weatherContext}${cropContext}${stageContext}${ageContext}${formatWeatherForPrompt(data.weatherReport)}${formatRegionForPrompt(data.regionContext)}
+
+FARMER'S PROBLEM/GOAL: ${data.problemDescription || 'General farming guidance needed'}
+
+INSTRUCTIONS:
+Analyze the farmer's situation and provide a comprehensive solution in JSON format:
+
+{
+  "analysisType": "SMART_SOLUTION",
+  "assessment": {
+    "cropHealth": "Current health assessment",
+    "identifiedIssues": ["List of identified problems"],
+    "riskLevel": "Low/Medium/High",
+    "urgency": "Immediate/Within week/Routine"
+  },
+  "solution": {
+    "immediate": {
+      "actions": ["Immediate steps to take"],
+      "timeline": "When to complete these actions"
+    },
+    "treatment": {
+      "chemical": ["Chemical solutions with exact dosages"],
+      "organic": ["Organic/natural solutions"],
+      "cultural": ["Farming practice changes"]
+    },
+    "prevention": {
+      "shortTerm": ["Actions for next 2 weeks"],
+      "longTerm": ["Actions for next season"],
+      "monitoring": ["What to watch for"]
+    }
+  },
+  "timeline": {
+    "day1": "Actions for day 1",
+    "week1": "Actions for week 1", 
+    "week2": "Actions for week 2",
+    "month1": "Actions for month 1"
+  },
+  "expectedOutcome": {
+    "improvements": ["Expected improvements"],
+    "timeframe": "When to see results",
+    "successIndicators": ["Signs of success"]
+  },
+  "expertTips": {
+    "dosageDetails": ["Exact application instructions"],
+    "timing": ["Best times for application"],
+    "weatherConsiderations": ["Weather-related advice"],
+    "costOptimization": ["Cost-effective alternatives"]
+  }
+}
+
+CRITICAL REQUIREMENTS:
+- Be extremely specific with dosages, timing, and methods
+- Consider the local climate and regional farming practices
+- Provide both chemical and organic solutions
+- Include cost-effective alternatives
+- Write ALL field values in Hindi language
+- Be practical and actionable for Indian farmers
+- Consider the plant's current stage and age in recommendations`;
+}
+
+// Expert advice prompt
+function getExpertAdvicePrompt(data) {
+  const langInstruction = getLanguageInstruction(data.language || 'en');
+  
+  const locationContext = data.location ? `You are providing advice for a farmer in ${data.location}.` : 'You are providing advice for a farmer.';
+  const weatherContext = data.weather ? ` The current temperature is around ${data.weather}°C.` : '';
+  const cropContext = data.cropType ? ` The crop is ${data.cropType}.` : '';
+  const ageContext = data.plantAge ? ` The plant stage is ${data.plantAge}.` : '';
+  
+  let specificPrompt = '';
+  
+  if (data.goal === 'FIX_DISEASE') {
+    specificPrompt = `Analyze this plant image for diseases and provide a Complete Diagnosis Report in JSON format:
+{
+  "analysisType": "PLANT_DISEASE",
+  "observation": {
+    "plantName": "Plant identification",
+    "affectedArea": "Where the problem is",
+    "visualDescription": "What you observe"
+  },
+  "diagnosis": {
+    "name": "Disease name",
+    "isHealthy": false,
+    "confidence": 90
+  },
+  "severity": {
+    "level": "Mild/Moderate/Severe",
+    "scale": 6,
+    "impact": "Potential damage description"
+  },
+  "treatment": {
+    "immediate": ["Immediate actions"],
+    "chemical": ["Chemical treatments"],
+    "organic": ["Organic solutions"]
+  },
+  "rootCause": {
+    "primary": "Main cause",
+    "prevention": ["Prevention tips"]
+  },
+  "profile": {
+    "frequency": "Common/Uncommon/Rare",
+    "regionalNotes": "Regional farming notes"
+  }
+}`;
+  } else if (data.goal === 'IMPROVE_GROWTH') {
+    specificPrompt = `Provide a detailed Action Plan to improve plant growth in JSON format:
+{
+  "analysisType": "ACTION_PLAN",
+  "currentStatus": {
+    "plantHealth": "Assessment of current condition",
+    "growthStage": "Current stage analysis",
+    "potentialIssues": ["Potential problems to address"]
+  },
+  "actionPlan": {
+    "fertilizer": {
+      "type": "Recommended fertilizer type",
+      "dosage": "Exact application amount",
+      "timing": "When to apply",
+      "frequency": "How often"
+    },
+    "watering": {
+      "schedule": "Watering frequency",
+      "amount": "Water quantity",
+      "method": "Best watering technique"
+    },
+    "care": {
+      "pruning": "Pruning recommendations",
+      "spacing": "Plant spacing advice",
+      "support": "Support structure needs"
+    }
+  },
+  "timeline": {
+    "week1": "Actions for week 1",
+    "week2": "Actions for week 2",
+    "week3": "Actions for week 3",
+    "week4": "Actions for week 4"
+  },
+  "expectedResults": {
+    "improvements": ["Expected improvements"],
+    "timeline": "When to see results",
+    "monitoring": ["What to monitor"]
+  }
+}`;
+  } else {
+    specificPrompt = `Provide general farming advice in JSON format:
+{
+  "analysisType": "GENERAL_ADVICE",
+  "recommendations": ["General farming tips"],
+  "seasonalAdvice": ["Seasonal recommendations"],
+  "bestPractices": ["Best farming practices"]
+}`;
+  }
+  
+  return `${langInstruction}
+
+${locationContext}${weatherContext}${cropContext}${ageContext}${formatWeatherForPrompt(data.weatherReport)}${formatRegionForPrompt(data.regionContext)}
+
+${data.details ? `Additional details: ${data.details}` : ''}
+
+${specificPrompt}
+
+IMPORTANT: Write ALL field values in the specified language. Be specific and practical for farmers.`;
+}
+
+// Product analysis prompt
+function getProductAnalysisPrompt(language, weatherReport) {
+  const langInstruction = getLanguageInstruction(language);
+  
+  return `${langInstruction}${formatWeatherForPrompt(weatherReport)}
+
+Analyze this agricultural product image. Provide information in JSON format:
+{
+  "product_type": "fertilizer/pesticide/herbicide/fungicide",
+  "product_name": "name if visible",
+  "active_ingredients": ["ingredients"],
+  "usage": {
+    "target_crops": ["crops"],
+    "application_method": "method",
+    "dosage_guidance": "dosage",
+    "timing": "when to apply"
+  },
+  "safety": {
+    "precautions": ["safety measures"],
+    "protective_equipment": ["required PPE"],
+    "storage": "storage requirements"
+  },
+  "effectiveness": "assessment",
+  "recommendations": ["recommendations"]
+}
+
+IMPORTANT: Write ALL field values in the specified language (${language}). Focus on farming advice.`;
+}
+
+/**
+ * System instruction for a consultation conversation, sent with every turn
+ * @param {object} context - language, plantName, location, crop ({ cropType, variety, currentStage, daysActive }),
+ *   scan ({ diagnosis, scannedAt }), weatherReport, regionContext, summary (of turns no longer sent)
+ * @returns {string} Instruction text
+ */
+function getConversationInstruction(context) {
+  const langInstruction = getLanguageInstruction(context.language);
+  const { crop, scan } = context;
+
+  const farmLines = [
+    context.plantName && `- Plant: ${context.plantName}`,
+    context.location && `- Location: ${context.location}`,
+    crop && `- Tracked crop: ${crop.cropType}${crop.variety ? ` (${crop.variety})` : ''}, ` +
+      `day ${crop.daysActive} after planting, ${crop.currentStage} stage`,
+    scan && scan.diagnosis && `- Earlier photo diagnosis (${new Date(scan.scannedAt).toISOString().slice(0, 10)}): ` +
+      `${scan.diagnosis.name}${scan.diagnosis.confidence !== undefined ? ` (${scan.diagnosis.confidence}% confidence)` : ''}` +
+      `${scan.diagnosis.severityLevel ? `, severity ${scan.diagnosis.severityLevel}` : ''}`
+  ].filter(Boolean);
+
+  return `You are an expert agronomist with 20+ years of experience in Indian agriculture, in a conversation with a farmer about a plant problem.
+${langInstruction}
+${farmLines.length > 0 ? `\nFARM:\n${farmLines.join('\n')}` : ''}${formatWeatherForPrompt(context.weatherReport)}${formatRegionForPrompt(context.regionContext)}
+${context.summary ? `\nEARLIER IN THIS CONVERSATION (summary):\n${context.summary}\n` : ''}
+Answer the farmer's latest message in plain text (no JSON, no markdown tables). Keep answers short and practical.
+When the farmer cannot get a recommended product, suggest locally available alternatives with the same active ingredient or mode of action, or non-chemical options.
+Give doses per litre of water or per acre, and mention safety precautions for any chemical.`;
+}
+
+/**
+ * Prompt that folds older conversation turns into the running summary
+ * @param {string|null} previousSummary - Summary so far
+ * @param {Array<object>} messages - Turns to add ([{ role, text }])
+ * @returns {string} Summary prompt
+ */
+function getConversationSummaryPrompt(previousSummary, messages) {
+  const transcript = messages
+    .map(message => `${message.role === 'user' ? 'FARMER' : 'AGRONOMIST'}: ${message.text}`)
+    .join('\n\n');
+
+  return `Update the summary of a conversation between a farmer and an agronomist so the agronomist can continue it without the full transcript.
+${previousSummary ? `\nSUMMARY SO FAR:\n${previousSummary}\n` : ''}
+NEW PART OF THE CONVERSATION:
+${transcript}
+
+Write the updated summary in English, at most 200 words, as short bullet points. Keep: the plant and symptoms, the diagnosis, products and doses recommended, what the farmer has, lacks or already tried, and any decisions or open questions. Return only the summary.`;
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  getLanguageInstruction,
+  formatWeatherForPrompt,
+  formatRegionForPrompt,
+  formatImagesForPrompt,
+  getPlantAnalysisPrompt,
+  getDiseaseQueryPrompt,
+  getSmartSolutionPrompt,
+  getExpertAdvicePrompt,
+  getProductAnalysisPrompt,
+  getConversationInstruction,
+  getConversationSummaryPrompt
+};
@@ -0,0 +1,95 @@
+const { MemoryCounterStore, MongoCounterStore } = require('./counterStore');
+const { getPlanLimits, quotaUtcOffsetMinutes } = require('../config/rateLimits');
+
+/**
+ * Daily AI Quota Service
+ * Counts Gemini-backed calls per user per day; the limit depends on the user's plan
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let quotaStore = process.env.QUOTA_STORE === 'memory' ? new MemoryCounterStore() : new MongoCounterStore();
+let now = () => Date.now();
+
+/**
+ * Swap the counter store and clock (tests)
+ * @param {object} options - store, now
+ */
+function configureQuotaService(options = {}) {
+  if (options.store) quotaStore = options.store;
+  if (options.now) now = options.now;
+}
+
+/**
+ * Current quota day in the configured timezone
+ * @returns {object} { dayKey (YYYY-MM-DD), resetAt }
+ */
+function getQuotaDay() {
+  const offsetMs = quotaUtcOffsetMinutes * 60 * 1000;
+  const localMs = now() + offsetMs;
+  const localDayStart = Math.floor(localMs / DAY_MS) * DAY_MS;
+
+  return {
+    dayKey: new Date(localDayStart).toISOString().slice(0, 10),
+    resetAt: new Date(localDayStart + DAY_MS - offsetMs)
+  };
+}
+
+function describeQuota(limit, used, resetAt) {
+  const unlimited = !Number.isFinite(limit);
+  return {
+    limit: unlimited ? null : limit,
+    used,
+    remaining: unlimited ? null : Math.max(0, limit - used),
+    resetAt
+  };
+}
+
+/**
+ * Remaining AI calls for today
+ * @param {object} user - { userId, role, plan }
+ * @returns {Promise<object>} { limit, used, remaining, resetAt } (limit/remaining null when unlimited)
+ */
+async function getQuotaStatus(user) {
+  const { dayKey, resetAt } = getQuotaDay();
+  const used = await quotaStore.get(`ai:${user.userId}:${dayKey}`);
+  return describeQuota(getPlanLimits(user).dailyAiCalls, used, resetAt);
+}
+
+/**
+ * Count one AI call against today's quota
+ * @param {object} user - { userId, role, plan }
+ * @returns {Promise<object>} Quota status plus allowed (false when the call is over the limit) and dayKey
+ *   (the quota day the call was counted on, for refunds)
+ */
+async function consumeAiCall(user) {
+  const { dayKey, resetAt } = getQuotaDay();
+  const key = `ai:${user.userId}:${dayKey}`;
+  const limit = getPlanLimits(user).dailyAiCalls;
+
+  const used = await quotaStore.increment(key, resetAt);
+  if (used > limit) {
+    // Rejected calls do not use up quota
+    await quotaStore.decrement(key);
+    return { allowed: false, dayKey, ...describeQuota(limit, used - 1, resetAt) };
+  }
+
+  return { allowed: true, dayKey, ...describeQuota(limit, used, resetAt) };
+}
+
+/**
+ * Give back a call that never reached Gemini (e.g. the request failed validation)
+ * @param {object} user - { userId }
+ * @param {string} dayKey - Quota day the call was counted on (default: today), so a call that finishes
+ *   after midnight is refunded to the day that paid for it
+ */
+async function refundAiCall(user, dayKey = getQuotaDay().dayKey) {
+  await quotaStore.decrement(`ai:${user.userId}:${dayKey}`);
+}
+
+module.exports = {
+  configureQuotaService,
+  getQuotaStatus,
+  consumeAiCall,
+  refundAiCall
+};
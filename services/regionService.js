@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Region Service
+ * Offline reverse geocoding: latitude/longitude → district, state and agro-climatic zone,
+ * plus the current cropping season (kharif/rabi/zaid). Nothing here calls an external API.
+ *
+ * Boundaries come from a GeoJSON FeatureCollection (REGION_DATA_FILE, default data/districts.geojson)
+ * whose features have Polygon or MultiPolygon geometry and properties { district, state, zone }.
+ * The bundled file is only a placeholder ("precision": "approximate"): one 0.6° square per major farming
+ * district, some overlapping, many districts missing. Where squares overlap the one with the closer centre
+ * wins. Points outside every boundary fall back to the nearest district centre within REGION_MAX_DISTANCE_KM;
+ * such matches, and every match from an approximate dataset, are only hints for prompts and are never stored
+ * as a crop's or scan's region.
+ */
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const DEFAULT_BOUNDARY_FILE = path.join(DATA_DIR, 'districts.geojson');
+const ZONES_FILE = path.join(DATA_DIR, 'agroClimaticZones.json');
+const MAX_NEAREST_DISTANCE_KM = parseInt(process.env.REGION_MAX_DISTANCE_KM, 10) || 100;
+const EARTH_RADIUS_KM = 6371;
+const IST_OFFSET_MS = 330 * 60 * 1000; // Seasons follow the Indian calendar
+
+// Cropping seasons by month (0 = January)
+const SEASONS = [
+  { season: 'kharif', label: 'Kharif (monsoon crops, sown June-July, harvested September-October)', months: [5, 6, 7, 8] },
+  { season: 'rabi', label: 'Rabi (winter crops, sown October-December, harvested February-April)', months: [9, 10, 11, 0, 1] },
+  { season: 'zaid', label: 'Zaid (short summer crops between rabi harvest and monsoon, March-June)', months: [2, 3, 4] }
+];
+
+/**
+ * Cropping season for a date
+ * @param {Date} date - Date (defaults to now)
+ * @returns {object} { season, label }
+ */
+function getCroppingSeason(date = new Date()) {
+  const month = new Date(new Date(date).getTime() + IST_OFFSET_MS).getUTCMonth();
+  const { season, label } = SEASONS.find(entry => entry.months.includes(month));
+  return { season, label };
+}
+
+// Ray casting on one ring of [longitude, latitude] points
+function pointInRing(longitude, latitude, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > latitude) !== (yj > latitude) &&
+      longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+// Inside the outer ring and outside any holes
+function pointInPolygon(longitude, latitude, rings) {
+  if (!pointInRing(longitude, latitude, rings[0])) return false;
+  return !rings.slice(1).some(hole => pointInRing(longitude, latitude, hole));
+}
+
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+class RegionLocator {
+  /**
+   * @param {object} boundaries - GeoJSON FeatureCollection of districts
+   * @param {object} zones - Agro-climatic zones keyed by zone id
+   */
+  constructor(boundaries, zones = {}) {
+    this.zones = zones;
+    this.approximate = boundaries.precision === 'approximate';
+    this.districts = (boundaries.features || []).map(feature => {
+      const polygons = feature.geometry.type === 'MultiPolygon'
+        ? feature.geometry.coordinates
+        : [feature.geometry.coordinates];
+      const points = polygons.flatMap(rings => rings[0]);
+      const longitudes = points.map(point => point[0]);
+      const latitudes = points.map(point => point[1]);
+
+      return {
+        ...feature.properties,
+        polygons,
+        bbox: [Math.min(...longitudes), Math.min(...latitudes), Math.max(...longitudes), Math.max(...latitudes)],
+        center: {
+          latitude: (Math.min(...latitudes) + Math.max(...latitudes)) / 2,
+          longitude: (Math.min(...longitudes) + Math.max(...longitudes)) / 2
+        }
+      };
+    });
+  }
+
+  /**
+   * Load a locator from GeoJSON and zone files
+   * @param {string} boundaryFile - GeoJSON path (default REGION_DATA_FILE or the bundled dataset)
+   * @returns {RegionLocator}
+   */
+  static fromFiles(boundaryFile = process.env.REGION_DATA_FILE || DEFAULT_BOUNDARY_FILE) {
+    return new RegionLocator(
+      JSON.parse(fs.readFileSync(boundaryFile, 'utf8')),
+      JSON.parse(fs.readFileSync(ZONES_FILE, 'utf8'))
+    );
+  }
+
+  /**
+   * District, state and agro-climatic zone for a point
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @returns {object|null} { district, state, zone, match: 'boundary'|'nearest', approximate, distanceKm } or null
+   *   when unknown; approximate is true for nearest matches and for every match from an approximate dataset
+   */
+  resolve(latitude, longitude) {
+    const lat = Number(latitude);
+    const lon = Number(longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+
+    let best = null;
+    for (const district of this.districts) {
+      const [minLon, minLat, maxLon, maxLat] = district.bbox;
+      const inBox = lon >= minLon && lon <= maxLon && lat >= minLat && lat <= maxLat;
+      const inside = inBox && district.polygons.some(rings => pointInPolygon(lon, lat, rings));
+      const distance = distanceKm(lat, lon, district.center.latitude, district.center.longitude);
+
+      // A boundary match always beats a nearest-centre match; ties go to the closer centre
+      const candidate = { district, inside, distance };
+      if (!best || (inside && !best.inside) || (inside === best.inside && distance < best.distance)) {
+        best = candidate;
+      }
+    }
+
+    if (!best || (!best.inside && best.distance > MAX_NEAREST_DISTANCE_KM)) return null;
+
+    const { district, state, zone } = best.district;
+    return {
+      district,
+      state,
+      zone: this.getZone(zone),
+      match: best.inside ? 'boundary' : 'nearest',
+      approximate: this.approximate || !best.inside,
+      distanceKm: Math.round(best.distance)
+    };
+  }
+
+  /**
+   * Agro-climatic zone details
+   * @param {number|string} zoneId - Zone id from the boundary data
+   * @returns {object|null} { id, name, climate, annualRainfallMm, soils, majorCrops }
+   */
+  getZone(zoneId) {
+    const zone = this.zones[String(zoneId)];
+    return zone ? { id: Number(zoneId), ...zone } : null;
+  }
+}
+
+let regionLocator = null;
+
+// Loaded on first use so the dataset is only read when needed
+function getRegionLocator() {
+  if (!regionLocator) regionLocator = RegionLocator.fromFiles();
+  return regionLocator;
+}
+
+/**
+ * Swap the active locator (e.g. one built from a test dataset)
+ * @param {RegionLocator} locator - Locator to use
+ */
+function setRegionLocator(locator) {
+  regionLocator = locator;
+}
+
+/**
+ * Region and season context for a request
+ * @param {object} coordinates - { latitude, longitude } (optional)
+ * @param {Date} date - Date for the season (defaults to now)
+ * @returns {object} { region (null when unknown), season }
+ */
+function getRegionContext(coordinates, date = new Date()) {
+  let region = null;
+  if (coordinates && coordinates.latitude !== undefined && coordinates.longitude !== undefined) {
+    try {
+      region = getRegionLocator().resolve(coordinates.latitude, coordinates.longitude);
+    } catch (error) {
+      console.error('Region lookup failed:', error.message);
+    }
+  }
+
+  return { region, season: getCroppingSeason(date) };
+}
+
+module.exports = {
+  RegionLocator,
+  getCroppingSeason,
+  getRegionLocator,
+  setRegionLocator,
+  getRegionContext
+};
@@ -0,0 +1,219 @@
+const Scan = require('../models/Scan');
+const { deleteStoredObjects, getPhotoKeys } = require('./photoStorageService');
+
+/**
+ * Scan History Service
+ * Stores plant diagnoses and computes analytics over them
+ */
+
+// Diagnosis names that mean no disease was found (English, Hindi, Marathi); only used for manual
+// /record-scan entries without isHealthy, analyses say so explicitly (diagnosis.isHealthy)
+const HEALTHY_PATTERN = /\bhealthy\b|\bno (disease|pest|issue|problem)s?\b|स्वस्थ|निरोगी|रोगमुक्त/i;
+// "Not healthy", "unhealthy", "अस्वस्थ", "स्वस्थ नहीं", "निरोगी नाही"
+const NEGATED_HEALTHY_PATTERN = /\b(un|non-?|(not|isn't)\s+)healthy\b|अस्वस्थ|(स्वस्थ|निरोगी|रोगमुक्त)\s*(नहीं|नाही)/i;
+
+/**
+ * Whether a diagnosis name describes a healthy plant
+ * @param {string} name - Diagnosis name
+ * @returns {boolean} True for healthy plants
+ */
+function isHealthyDiagnosis(name) {
+  return HEALTHY_PATTERN.test(name || '') && !NEGATED_HEALTHY_PATTERN.test(name);
+}
+
+/**
+ * Save a scan record
+ * @param {object} scanData - userId, cropId, cropType, location, region, latitude, longitude,
+ *   diagnosisName, confidence, severityLevel, severityScale, source, images (stored photo keys)
+ * @returns {Promise<object>} Saved Scan document
+ */
+async function recordScan(scanData) {
+  const {
+    userId, cropId, cropType, location, region, latitude, longitude,
+    diagnosisName, confidence, severityLevel, severityScale, isHealthy, source, images
+  } = scanData;
+
+  if (!diagnosisName) {
+    const error = new Error('diagnosisName is required');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const scan = new Scan({
+    userId,
+    cropId,
+    cropType,
+    location: {
+      text: location,
+      region,
+      latitude: toNumber(latitude),
+      longitude: toNumber(longitude)
+    },
+    diagnosis: {
+      name: diagnosisName,
+      confidence: toNumber(confidence),
+      severityLevel,
+      severityScale: toNumber(severityScale)
+    },
+    images,
+    isHealthy: isHealthy !== undefined ? Boolean(isHealthy) : isHealthyDiagnosis(diagnosisName),
+    source
+  });
+
+  return scan.save();
+}
+
+/**
+ * Save the diagnosis returned by /analyze-plant
+ * @param {object} diagnosisReport - Structured plant diagnosis (plantDiagnosisSchema)
+ * @param {object} context - Request context (userId, cropId, cropType, location, region, latitude, longitude, images)
+ * @returns {Promise<object|null>} Saved Scan, or null when the report has no diagnosis
+ */
+async function recordDiagnosisScan(diagnosisReport, context = {}) {
+  const diagnosis = diagnosisReport && diagnosisReport.diagnosis;
+  if (!diagnosis || !diagnosis.name) return null;
+
+  const severity = diagnosisReport.severity || {};
+  const observation = diagnosisReport.observation || {};
+
+  return recordScan({
+    ...context,
+    cropType: context.cropType || observation.plantName,
+    diagnosisName: diagnosis.name,
+    confidence: diagnosis.confidence,
+    severityLevel: severity.level,
+    severityScale: severity.scale,
+    // Answers cached before the flag existed fall back to the name
+    isHealthy: typeof diagnosis.isHealthy === 'boolean' ? diagnosis.isHealthy : undefined,
+    source: 'analyze-plant'
+  });
+}
+
+/**
+ * Find a scan by its identifier
+ * @param {string} scanId - Scan identifier
+ * @returns {Promise<object|null>} Scan document or null
+ */
+async function getScan(scanId) {
+  return Scan.findOne({ scanId });
+}
+
+/**
+ * Delete a scan and its stored photos
+ * Photo keys are content hashes under scans/<userId>, so the same photo can belong to several of the user's
+ * scans; keys another scan still uses are kept. Files go first so a failed delete leaves the scan to retry.
+ * @param {object} scan - Scan document
+ * @returns {Promise<number>} Number of stored objects deleted
+ */
+async function deleteScan(scan) {
+  const keys = (scan.images || []).flatMap(image => Object.values(getPhotoKeys(image))).filter(Boolean);
+
+  let deleted = 0;
+  if (keys.length > 0) {
+    const others = await Scan.find({
+      userId: scan.userId,
+      scanId: { $ne: scan.scanId },
+      $or: [{ 'images.imageKey': { $in: keys } }, { 'images.thumbnailKey': { $in: keys } }]
+    }).select('images').lean();
+    const stillUsed = new Set(others.flatMap(other => other.images.flatMap(image => [image.imageKey, image.thumbnailKey])));
+
+    deleted = await deleteStoredObjects(keys.filter(key => !stillUsed.has(key)));
+  }
+
+  await Scan.deleteOne({ scanId: scan.scanId });
+  return deleted;
+}
+
+/**
+ * Build a Mongo match stage from analytics filters
+ * @param {object} filters - from, to, userId, region, cropType
+ * @returns {object} Query object
+ */
+function buildScanQuery(filters = {}) {
+  const query = {};
+
+  if (filters.from || filters.to) {
+    query.scannedAt = {};
+    if (filters.from) query.scannedAt.$gte = new Date(filters.from);
+    if (filters.to) query.scannedAt.$lte = new Date(filters.to);
+  }
+  if (filters.userId) query.userId = filters.userId;
+  if (filters.cropType) query.cropType = filters.cropType.toLowerCase();
+  if (filters.region) {
+    query['location.region'] = new RegExp(`^${escapeRegExp(filters.region.trim())}$`, 'i');
+  }
+
+  return query;
+}
+
+/**
+ * Scan totals, healthy vs diseased counts and top diseases
+ * @param {object} filters - from, to, userId, region, cropType
+ * @param {number} topLimit - Number of top diseases to return
+ * @returns {Promise<object>} Analytics summary
+ */
+async function getScanAnalytics(filters = {}, topLimit = 10) {
+  const [result] = await Scan.aggregate([
+    { $match: buildScanQuery(filters) },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              healthy: { $sum: { $cond: ['$isHealthy', 1, 0] } },
+              averageConfidence: { $avg: '$diagnosis.confidence' }
+            }
+          }
+        ],
+        topDiseases: [
+          { $match: { isHealthy: false } },
+          {
+            $group: {
+              _id: { $toLower: '$diagnosis.name' },
+              name: { $first: '$diagnosis.name' },
+              count: { $sum: 1 },
+              averageSeverity: { $avg: '$diagnosis.severityScale' }
+            }
+          },
+          { $sort: { count: -1, name: 1 } },
+          { $limit: topLimit }
+        ]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0] || { total: 0, healthy: 0, averageConfidence: null };
+
+  return {
+    total_scans: totals.total,
+    diseases_detected: totals.total - totals.healthy,
+    healthy_plants: totals.healthy,
+    average_confidence: totals.averageConfidence !== null ? Math.round(totals.averageConfidence) : null,
+    top_diseases: result.topDiseases.map(disease => ({
+      name: disease.name,
+      count: disease.count,
+      average_severity: disease.averageSeverity !== null ? Math.round(disease.averageSeverity * 10) / 10 : null
+    }))
+  };
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isNaN(number) ? undefined : number;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  isHealthyDiagnosis,
+  recordScan,
+  recordDiagnosisScan,
+  getScan,
+  deleteScan,
+  getScanAnalytics
+};
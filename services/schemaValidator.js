@@ -0,0 +1,93 @@
+/**
+ * Minimal validator for the Gemini schema subset used in analysisSchemas.js
+ */
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {object} schema - Schema ({ type, properties, required, items, enum, minimum, maximum })
+ * @param {string} path - Field path used in error messages
+ * @returns {Array<object>} List of { field, message }; empty when valid
+ */
+function validateAgainstSchema(value, schema, path = '') {
+  const field = path || '(root)';
+  const errors = [];
+
+  if (value === undefined || value === null) {
+    if (!schema.nullable) {
+      errors.push({ field, message: 'is missing' });
+    }
+    return errors;
+  }
+
+  switch (schema.type) {
+    case 'OBJECT': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push({ field, message: 'must be an object' });
+        break;
+      }
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined || value[key] === null) {
+          errors.push({ field: joinPath(path, key), message: 'is required' });
+        }
+      });
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (value[key] !== undefined && value[key] !== null) {
+          errors.push(...validateAgainstSchema(value[key], propertySchema, joinPath(path, key)));
+        }
+      });
+      break;
+    }
+    case 'ARRAY':
+      if (!Array.isArray(value)) {
+        errors.push({ field, message: 'must be an array' });
+        break;
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+        });
+      }
+      break;
+    case 'STRING':
+      if (typeof value !== 'string') {
+        errors.push({ field, message: 'must be a string' });
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ field, message: `must be one of ${schema.enum.join(', ')}` });
+      }
+      break;
+    case 'INTEGER':
+    case 'NUMBER':
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        errors.push({ field, message: 'must be a number' });
+        break;
+      }
+      if (schema.type === 'INTEGER' && !Number.isInteger(value)) {
+        errors.push({ field, message: 'must be a whole number' });
+      }
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ field, message: `must be at least ${schema.minimum}` });
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ field, message: `must be at most ${schema.maximum}` });
+      }
+      break;
+    case 'BOOLEAN':
+      if (typeof value !== 'boolean') {
+        errors.push({ field, message: 'must be true or false' });
+      }
+      break;
+    default:
+      break;
+  }
+
+  return errors;
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+module.exports = {
+  validateAgainstSchema
+};
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+
+/**
+ * User Stores
+ * MongoDB in production; an in-memory store for tests and local runs (AUTH_STORE=memory)
+ * Both return plain user objects: { userId, phone, name, passwordHash, role, ... }
+ */
+
+class MongoUserStore {
+  async findByPhone(phone) {
+    const user = await User.findOne({ phone });
+    return user ? user.toObject() : null;
+  }
+
+  async findById(userId) {
+    const user = await User.findOne({ userId });
+    return user ? user.toObject() : null;
+  }
+
+  async create(userData) {
+    const user = await User.create(userData);
+    return user.toObject();
+  }
+
+  async update(userId, changes) {
+    const user = await User.findOneAndUpdate({ userId }, { $set: changes }, { new: true });
+    return user ? user.toObject() : null;
+  }
+}
+
+class MemoryUserStore {
+  constructor() {
+    this.users = new Map();
+  }
+
+  async findByPhone(phone) {
+    for (const user of this.users.values()) {
+      if (user.phone === phone) return { ...user };
+    }
+    return null;
+  }
+
+  async findById(userId) {
+    const user = this.users.get(userId);
+    return user ? { ...user } : null;
+  }
+
+  async create(userData) {
+    if (await this.findByPhone(userData.phone)) {
+      const error = new Error('Phone number is already registered');
+      error.code = 11000;
+      throw error;
+    }
+
+    const now = new Date();
+    const user = {
+      userId: `user_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`,
+      role: 'farmer',
+      plan: 'free',
+      ...userData,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.users.set(user.userId, user);
+    return { ...user };
+  }
+
+  async update(userId, changes) {
+    const user = this.users.get(userId);
+    if (!user) return null;
+    Object.assign(user, changes, { updatedAt: new Date() });
+    return { ...user };
+  }
+
+  clear() {
+    this.users.clear();
+  }
+}
+
+let userStore = process.env.AUTH_STORE === 'memory' ? new MemoryUserStore() : new MongoUserStore();
+
+function getUserStore() {
+  return userStore;
+}
+
+/**
+ * Swap the active store (e.g. a MemoryUserStore in tests)
+ * @param {object} store - Store implementing findByPhone, findById, create, update
+ */
+function setUserStore(store) {
+  userStore = store;
+}
+
+module.exports = {
+  MongoUserStore,
+  MemoryUserStore,
+  getUserStore,
+  setUserStore
+};
@@ -0,0 +1,213 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Weather Service
+ * Current conditions and a short forecast for a latitude/longitude, used as prompt context.
+ * Providers are swappable (WEATHER_PROVIDER=open-meteo|fixture|none); results are cached per location
+ * (WEATHER_CACHE_MINUTES, default 30; at most WEATHER_CACHE_MAX_ENTRIES locations, default 5000).
+ * Every provider returns the same shape:
+ *   { current: { temperatureC, humidityPercent, rainfallMm },
+ *     forecast: [{ date, minTempC, maxTempC, humidityPercent, rainfallMm, rainChancePercent }] }
+ */
+
+const CACHE_TTL_MS = (parseInt(process.env.WEATHER_CACHE_MINUTES, 10) || 30) * 60 * 1000;
+const CACHE_MAX_ENTRIES = parseInt(process.env.WEATHER_CACHE_MAX_ENTRIES, 10) || 5000;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEATHER_TIMEOUT_MS, 10) || 5000;
+const FORECAST_DAYS = 3;
+const DEFAULT_FIXTURE_FILE = path.join(__dirname, '..', 'data', 'weatherFixture.json');
+
+// Open-Meteo forecast API (no API key needed)
+class OpenMeteoProvider {
+  constructor(options = {}) {
+    this.name = 'open-meteo';
+    this.baseUrl = options.baseUrl || process.env.OPEN_METEO_URL || 'https://api.open-meteo.com/v1/forecast';
+    this.timeoutMs = options.timeoutMs || REQUEST_TIMEOUT_MS;
+  }
+
+  async getWeather(latitude, longitude) {
+    const response = await axios.get(this.baseUrl, {
+      timeout: this.timeoutMs,
+      params: {
+        latitude,
+        longitude,
+        current: 'temperature_2m,relative_humidity_2m,precipitation',
+        daily: 'temperature_2m_min,temperature_2m_max,relative_humidity_2m_mean,precipitation_sum,precipitation_probability_max',
+        forecast_days: FORECAST_DAYS,
+        timezone: 'auto'
+      }
+    });
+
+    const { current = {}, daily = {} } = response.data;
+    const dates = daily.time || [];
+
+    return {
+      current: {
+        temperatureC: current.temperature_2m,
+        humidityPercent: current.relative_humidity_2m,
+        rainfallMm: current.precipitation
+      },
+      forecast: dates.map((date, index) => ({
+        date,
+        minTempC: valueAt(daily.temperature_2m_min, index),
+        maxTempC: valueAt(daily.temperature_2m_max, index),
+        humidityPercent: valueAt(daily.relative_humidity_2m_mean, index),
+        rainfallMm: valueAt(daily.precipitation_sum, index),
+        rainChancePercent: valueAt(daily.precipitation_probability_max, index)
+      }))
+    };
+  }
+}
+
+/**
+ * Offline stand-in that reads weather from a JSON file (WEATHER_FIXTURE_FILE)
+ * The file maps "lat,long" keys (2 decimals) to weather, with "default" used for any other location
+ */
+class FixtureWeatherProvider {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.fixtures = options.fixtures ||
+      JSON.parse(fs.readFileSync(options.file || process.env.WEATHER_FIXTURE_FILE || DEFAULT_FIXTURE_FILE, 'utf8'));
+  }
+
+  async getWeather(latitude, longitude) {
+    const weather = this.fixtures[locationKey(latitude, longitude)] || this.fixtures.default;
+    if (!weather) {
+      throw new Error(`No weather fixture for ${locationKey(latitude, longitude)}`);
+    }
+    return weather;
+  }
+}
+
+function valueAt(values, index) {
+  return Array.isArray(values) ? values[index] : undefined;
+}
+
+// About 1 km of precision, so nearby fields share a cache entry
+function locationKey(latitude, longitude) {
+  return `${Number(latitude).toFixed(2)},${Number(longitude).toFixed(2)}`;
+}
+
+class WeatherService {
+  /**
+   * @param {object} provider - Object with getWeather(latitude, longitude), or null to disable weather
+   * @param {object} options - now (clock function returning ms), cacheTtlMs, maxCacheEntries
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.now = options.now || (() => Date.now());
+    this.cacheTtlMs = options.cacheTtlMs || CACHE_TTL_MS;
+    this.maxCacheEntries = options.maxCacheEntries || CACHE_MAX_ENTRIES;
+    this.cache = new Map();
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Weather for a location, from cache when fresh
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @returns {Promise<object|null>} { provider, latitude, longitude, fetchedAt, current, forecast } or null when disabled
+   */
+  async getWeather(latitude, longitude) {
+    if (!this.provider) return null;
+
+    const key = locationKey(latitude, longitude);
+    const cached = this.cache.get(key);
+    if (cached) {
+      if (cached.expiresAt > this.now()) return cached.weather;
+      this.cache.delete(key);
+    }
+
+    // Requests for the same location while a fetch is running share it
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const request = this.provider.getWeather(latitude, longitude)
+      .then(result => {
+        const weather = {
+          provider: this.provider.name,
+          latitude: Number(latitude),
+          longitude: Number(longitude),
+          fetchedAt: new Date(this.now()).toISOString(),
+          ...result
+        };
+        this.remember(key, weather);
+        return weather;
+      })
+      .finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  /**
+   * Cache weather for a location, dropping expired entries and, past maxCacheEntries, the oldest ones
+   * @param {string} key - locationKey()
+   * @param {object} weather - Weather to cache
+   */
+  remember(key, weather) {
+    const now = this.now();
+    // Map keeps insertion order and every entry has the same TTL, so expired entries come first
+    this.cache.delete(key);
+    for (const [oldKey, entry] of this.cache) {
+      if (entry.expiresAt > now && this.cache.size < this.maxCacheEntries) break;
+      this.cache.delete(oldKey);
+    }
+    this.cache.set(key, { weather, expiresAt: now + this.cacheTtlMs });
+  }
+
+  /**
+   * Weather for prompt context; failures are logged and give null so analyses still run
+   * @param {object} coordinates - { latitude, longitude }
+   * @returns {Promise<object|null>} Weather or null
+   */
+  async getWeatherContext(coordinates) {
+    if (!coordinates || coordinates.latitude === undefined || coordinates.longitude === undefined) {
+      return null;
+    }
+
+    try {
+      return await this.getWeather(coordinates.latitude, coordinates.longitude);
+    } catch (error) {
+      console.error('Weather lookup failed:', error.message);
+      return null;
+    }
+  }
+}
+
+/**
+ * Build the provider selected by WEATHER_PROVIDER
+ * @param {string} name - 'open-meteo' (default), 'fixture' or 'none'
+ * @returns {object|null} Provider
+ */
+function createWeatherProvider(name = process.env.WEATHER_PROVIDER || 'open-meteo') {
+  if (name === 'none') return null;
+  if (name === 'fixture') return new FixtureWeatherProvider();
+  if (name === 'open-meteo') return new OpenMeteoProvider();
+  throw new Error(`Unknown WEATHER_PROVIDER: ${name}`);
+}
+
+let weatherService = new WeatherService(createWeatherProvider());
+
+function getWeatherService() {
+  return weatherService;
+}
+
+/**
+ * Swap the active service (e.g. one with a FixtureWeatherProvider in tests)
+ * @param {object} service - WeatherService
+ */
+function setWeatherService(service) {
+  weatherService = service;
+}
+
+module.exports = {
+  OpenMeteoProvider,
+  FixtureWeatherProvider,
+  WeatherService,
+  createWeatherProvider,
+  getWeatherService,
+  setWeatherService
+};
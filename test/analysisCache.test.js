@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AnalysisCache, buildCacheKey, isReusedResult } = require('../services/analysisCacheService');
+const { MemoryAnalysisCacheStore } = require('../services/analysisCacheStore');
+
+function createCache() {
+  let clock = Date.UTC(2026, 2, 10, 6, 0);
+  const now = () => clock;
+  const cache = new AnalysisCache(new MemoryAnalysisCacheStore({ now }), { now, ttlMs: 60 * 1000 });
+  return { cache, advance: ms => { clock += ms; } };
+}
+
+// A run that finishes when the test says so
+function deferredRun(result) {
+  let finish;
+  const run = () => new Promise(resolve => { finish = () => resolve(result); });
+  return { run: () => run(), finish: () => finish() };
+}
+
+const key = { type: 'consultation', model: 'gemini-test', input: { plantName: 'Tomato', symptoms: 'Yellow leaves' } };
+
+test('cache keys ignore case, spacing and empty fields', () => {
+  assert.equal(
+    buildCacheKey('consultation', 'm', { plantName: ' tomato ', symptoms: 'Yellow  leaves', location: '' }),
+    buildCacheKey('consultation', 'm', { symptoms: 'yellow leaves', plantName: 'Tomato' })
+  );
+  assert.notEqual(
+    buildCacheKey('consultation', 'm', { plantName: 'Tomato' }),
+    buildCacheKey('consultation', 'other-model', { plantName: 'Tomato' })
+  );
+});
+
+test('cache keys change with the hour the weather was fetched, not every refresh', () => {
+  const weather = fetchedAt => ({ latitude: 18.52, longitude: 73.86, fetchedAt, current: { temperatureC: 31 } });
+  const keyAt = fetchedAt => buildCacheKey('consultation', 'm', { plantName: 'Tomato', weatherReport: weather(fetchedAt) });
+
+  assert.equal(keyAt('2026-03-10T06:05:00.000Z'), keyAt('2026-03-10T06:35:00.000Z'));
+  assert.notEqual(keyAt('2026-03-10T06:35:00.000Z'), keyAt('2026-03-10T07:05:00.000Z'));
+});
+
+test('results are reused until they expire', async () => {
+  const { cache, advance } = createCache();
+  let calls = 0;
+  const run = async () => ({ data: { answer: ++calls }, parseStatus: 'valid' });
+
+  assert.equal((await cache.getOrRun(key, run)).cache.status, 'miss');
+  const hit = await cache.getOrRun(key, run);
+  assert.equal(hit.cache.status, 'hit');
+  assert.deepEqual(hit.data, { answer: 1 });
+
+  advance(61 * 1000);
+  assert.equal((await cache.getOrRun(key, run)).cache.status, 'miss');
+  assert.equal(calls, 2);
+});
+
+test('only hits and shared results count as reused', () => {
+  assert.equal(isReusedResult({ cache: { status: 'hit' } }), true);
+  assert.equal(isReusedResult({ cache: { status: 'shared' } }), true);
+  assert.equal(isReusedResult({ cache: { status: 'miss' } }), false);
+  assert.equal(isReusedResult({ cache: { status: 'disabled' } }), false);
+  assert.equal(isReusedResult({ success: true }), false);
+});
+
+test('invalid answers are not cached', async () => {
+  const { cache } = createCache();
+  const run = async () => ({ data: null, parseStatus: 'invalid' });
+
+  await cache.getOrRun(key, run);
+  assert.equal((await cache.getOrRun(key, run)).cache.status, 'miss');
+});
+
+test('identical requests share a running call', async () => {
+  const { cache } = createCache();
+  const first = deferredRun({ data: { answer: 1 }, parseStatus: 'valid' });
+  let secondRan = false;
+
+  const leading = cache.getOrRun(key, first.run);
+  const joining = cache.getOrRun(key, async () => { secondRan = true; });
+  await new Promise(resolve => setImmediate(resolve));
+  first.finish();
+
+  assert.equal((await leading).cache.status, 'miss');
+  const shared = await joining;
+  assert.equal(shared.cache.status, 'shared');
+  assert.deepEqual(shared.data, { answer: 1 });
+  assert.equal(secondRan, false);
+});
+
+test('unshared (streamed) calls neither join nor lead a shared call', async () => {
+  const { cache } = createCache();
+  const streamed = deferredRun({ data: { answer: 'streamed' }, parseStatus: 'valid' });
+  const plain = deferredRun({ data: { answer: 'plain' }, parseStatus: 'valid' });
+
+  const streaming = cache.getOrRun(key, streamed.run, { share: false });
+  const waiting = cache.getOrRun(key, plain.run);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(cache.inFlight.size, 1);
+
+  const alsoStreaming = cache.getOrRun(key, async () => ({ data: { answer: 'own' }, parseStatus: 'valid' }), { share: false });
+  assert.deepEqual((await alsoStreaming).data, { answer: 'own' });
+
+  plain.finish();
+  streamed.finish();
+  assert.equal((await waiting).cache.status, 'miss');
+  assert.deepEqual((await waiting).data, { answer: 'plain' });
+  assert.deepEqual((await streaming).data, { answer: 'streamed' });
+});
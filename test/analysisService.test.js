@@ -0,0 +1,68 @@
+process.env.GEMINI_API_KEY_1 = 'test-key';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { runStructuredAnalysis } = require('../services/analysisService');
+
+test.mock.method(console, 'error', () => {});
+test.mock.method(console, 'warn', () => {});
+test.mock.method(console, 'log', () => {});
+
+const schema = {
+  type: 'OBJECT',
+  properties: { diagnosis: { type: 'STRING' }, confidence: { type: 'INTEGER', minimum: 1, maximum: 100 } },
+  required: ['diagnosis', 'confidence']
+};
+
+// Gemini answers the given texts in order
+function answers(t, ...texts) {
+  return t.mock.method(axios, 'post', async (url, payload) => {
+    const text = texts.shift();
+    if (text === undefined) throw new Error(`Unexpected Gemini call: ${payload.contents[0].parts[0].text}`);
+    return { data: { candidates: [{ content: { parts: [{ text }] }, finishReason: 'STOP' }] } };
+  });
+}
+
+test('a matching answer is valid without a second call', async t => {
+  const post = answers(t, '{"diagnosis": "Leaf blight", "confidence": 80}');
+
+  const result = await runStructuredAnalysis('prompt', null, schema, { callSite: 'plantAnalysis' });
+
+  assert.deepEqual(result, { data: { diagnosis: 'Leaf blight', confidence: 80 }, parseStatus: 'valid' });
+  assert.equal(post.mock.callCount(), 1);
+  assert.deepEqual(post.mock.calls[0].arguments[1].generationConfig.responseSchema, schema);
+});
+
+test('JSON with field problems is sent back once for repair', async t => {
+  const post = answers(t, '{"diagnosis": "Leaf blight", "confidence": "high"}', '{"diagnosis": "Leaf blight", "confidence": 85}');
+
+  const result = await runStructuredAnalysis('prompt', null, schema, { callSite: 'plantAnalysis' });
+
+  assert.deepEqual(result, { data: { diagnosis: 'Leaf blight', confidence: 85 }, parseStatus: 'repaired' });
+  const repair = post.mock.calls[1].arguments[1];
+  assert.match(repair.contents[0].parts[0].text, /PROBLEMS:\n- confidence: must be a number/);
+  assert.equal(repair.generationConfig.temperature, 0);
+});
+
+test('an answer that is not JSON is asked again with the original prompt', async t => {
+  const post = answers(t, 'Sorry, I cannot tell.', '{"diagnosis": "Healthy", "confidence": 90}');
+
+  const result = await runStructuredAnalysis('original prompt', null, schema, { callSite: 'plantAnalysis' });
+
+  assert.equal(result.parseStatus, 'repaired');
+  assert.equal(post.mock.calls[1].arguments[1].contents[0].parts[0].text, 'original prompt');
+});
+
+test('a failed repair returns the best answer marked invalid with its errors', async t => {
+  answers(t, '{"diagnosis": "Leaf blight", "confidence": 0}', 'still not JSON');
+
+  const result = await runStructuredAnalysis('prompt', null, schema, { callSite: 'plantAnalysis' });
+
+  assert.deepEqual(result, {
+    data: { diagnosis: 'Leaf blight', confidence: 0 },
+    parseStatus: 'invalid',
+    validationErrors: [{ field: 'confidence', message: 'must be at least 1' }],
+    rawText: undefined
+  });
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ApiKeyPool, loadApiKeysFromEnv } = require('../services/apiKeyPool');
+const { GeminiQuotaError, GeminiAuthError, GeminiNetworkError } = require('../services/geminiErrors');
+
+const SECOND_MS = 1000;
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+
+function createPool(keys = ['key-a', 'key-b']) {
+  const clock = { now: 0 };
+  const pool = new ApiKeyPool(keys, { now: () => clock.now, quotaCooldownMs: 60 * SECOND_MS, authCooldownMs: 30 * 60 * SECOND_MS });
+  return { pool, clock };
+}
+
+test('keys are handed out round robin', () => {
+  const { pool } = createPool(['key-a', 'key-b', 'key-c']);
+  assert.deepEqual([1, 2, 3, 4].map(() => pool.acquire().key), ['key-a', 'key-b', 'key-c', 'key-a']);
+});
+
+test('a key that hits its quota rests and is skipped until the cooldown ends', () => {
+  const { pool, clock } = createPool();
+
+  pool.reportFailure(pool.acquire(), new GeminiQuotaError('Quota exceeded'));
+  assert.equal(pool.acquire().key, 'key-b');
+  assert.equal(pool.acquire().key, 'key-b');
+
+  clock.now += 60 * SECOND_MS;
+  assert.equal(pool.availableCount(), 2);
+  assert.equal(pool.acquire().key, 'key-a');
+});
+
+test('repeated quota errors double the cooldown, up to an hour', () => {
+  const { pool } = createPool(['key-a']);
+  const entry = pool.entries[0];
+
+  pool.reportFailure(entry, new GeminiQuotaError('Quota exceeded'));
+  assert.equal(entry.cooldownUntil, 60 * SECOND_MS);
+  pool.reportFailure(entry, new GeminiQuotaError('Quota exceeded'));
+  assert.equal(entry.cooldownUntil, 120 * SECOND_MS);
+
+  for (let i = 0; i < 10; i++) pool.reportFailure(entry, new GeminiQuotaError('Quota exceeded'));
+  assert.equal(entry.cooldownUntil, 60 * 60 * SECOND_MS);
+
+  pool.reportSuccess(entry);
+  pool.reportFailure(entry, new GeminiQuotaError('Quota exceeded', { retryAfterMs: 90 * SECOND_MS }));
+  assert.equal(entry.cooldownUntil, 90 * SECOND_MS);
+});
+
+test('auth errors rest the key for the auth cooldown; network errors do not rest it', () => {
+  const { pool } = createPool();
+  const [first, second] = pool.entries;
+
+  pool.reportFailure(first, new GeminiAuthError('API key expired'));
+  pool.reportFailure(second, new GeminiNetworkError('socket hang up'));
+
+  assert.deepEqual(pool.getStatus().map(status => [status.status, status.cooldownRemainingMs]), [
+    ['cooldown', 30 * 60 * SECOND_MS],
+    ['healthy', 0]
+  ]);
+});
+
+test('when every key rests, acquire says how long until the first is back', () => {
+  const { pool, clock } = createPool();
+  pool.reportFailure(pool.entries[0], new GeminiQuotaError('Quota exceeded'));
+  pool.reportFailure(pool.entries[1], new GeminiAuthError('API key expired'));
+  clock.now += 15 * SECOND_MS;
+
+  assert.throws(() => pool.acquire(), { name: 'GeminiQuotaError', retryAfterMs: 45 * SECOND_MS });
+});
+
+test('status never includes the key itself', () => {
+  const { pool } = createPool(['secret-key']);
+  assert.doesNotMatch(JSON.stringify(pool.getStatus()), /secret-key/);
+});
+
+test('keys load from numbered variables in order, then the list, without duplicates', () => {
+  assert.deepEqual(loadApiKeysFromEnv({
+    GEMINI_API_KEY_10: 'ten',
+    GEMINI_API_KEY_2: 'two',
+    GEMINI_API_KEYS: ' two, list ,',
+    GEMINI_API_KEY: 'legacy'
+  }), ['two', 'ten', 'list']);
+  assert.deepEqual(loadApiKeysFromEnv({ GEMINI_API_KEY: 'legacy' }), ['legacy']);
+});
@@ -0,0 +1,128 @@
+process.env.STORAGE_URL_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const Crop = require('../models/Crop');
+const { MemoryUserStore, setUserStore } = require('../services/userStore');
+const { registerUser, loginUser, issueToken, verifyToken } = require('../services/authService');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const cropRoutes = require('../routes/crops');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let store;
+
+test.beforeEach(() => {
+  store = new MemoryUserStore();
+  setUserStore(store);
+});
+
+// Run a middleware on a fake request; resolves with { next, req } or the response { status, body }
+function run(middleware, headers = {}, user) {
+  return new Promise(resolve => {
+    const req = { user, get: name => headers[name.toLowerCase()] };
+    const res = { status: code => ({ json: body => resolve({ status: code, body }) }) };
+    middleware(req, res, error => resolve({ next: true, error, req }));
+  });
+}
+
+test('login rejects a wrong password the same way as an unknown phone', async () => {
+  await registerUser({ phone: '9876543210', password: 'correct horse' });
+
+  await assert.rejects(loginUser({ phone: '9876543210', password: 'wrong horse' }), {
+    statusCode: 401,
+    message: 'Invalid phone or password'
+  });
+  await assert.rejects(loginUser({ phone: '9999999999', password: 'correct horse' }), {
+    statusCode: 401,
+    message: 'Invalid phone or password'
+  });
+
+  const { user, token } = await loginUser({ phone: '9876543210', password: 'correct horse' });
+  assert.equal(user.passwordHash, undefined);
+  assert.equal(verifyToken(token).sub, user.userId);
+});
+
+test('tokens with a modified payload or signature are rejected', async () => {
+  const { token } = issueToken({ userId: 'user-1', role: 'farmer' });
+  const [header, body, signature] = token.split('.');
+
+  const admin = Buffer.from(JSON.stringify({ ...verifyToken(token), role: 'admin' })).toString('base64url');
+  assert.throws(() => verifyToken(`${header}.${admin}.${signature}`), { statusCode: 401, message: 'Invalid token' });
+
+  const flipped = `${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`;
+  assert.throws(() => verifyToken(`${header}.${body}.${flipped}`), { statusCode: 401, message: 'Invalid token' });
+  assert.throws(() => verifyToken(`${header}.${body}`), { statusCode: 401, message: 'Malformed token' });
+});
+
+test('expired tokens are rejected', async t => {
+  const { token, expiresAt } = issueToken({ userId: 'user-1', role: 'farmer' });
+  assert.equal(verifyToken(token).sub, 'user-1');
+
+  const issued = Date.now();
+  t.mock.method(Date, 'now', () => issued + 8 * DAY_MS);
+  assert.ok(expiresAt.getTime() < Date.now());
+  assert.throws(() => verifyToken(token), { statusCode: 401, message: 'Token expired' });
+});
+
+test('requireAuth needs a bearer token for an existing account', async () => {
+  const { user, token } = await registerUser({ phone: '9876543210', password: 'correct horse' });
+
+  assert.equal((await run(requireAuth)).status, 401);
+  assert.equal((await run(requireAuth, { authorization: `Basic ${token}` })).status, 401);
+  assert.deepEqual((await run(requireAuth, { authorization: 'Bearer not.a.token' })).body, {
+    success: false,
+    error: 'Invalid token'
+  });
+
+  const signedIn = await run(requireAuth, { authorization: `Bearer ${token}` });
+  assert.equal(signedIn.next, true);
+  assert.equal(signedIn.req.user.userId, user.userId);
+  assert.equal(signedIn.req.user.passwordHash, undefined);
+
+  store.users.delete(user.userId);
+  assert.deepEqual((await run(requireAuth, { authorization: `Bearer ${token}` })).body, {
+    success: false,
+    error: 'Account no longer exists'
+  });
+});
+
+test('requireRole only lets the given role through', async () => {
+  const adminOnly = requireRole('admin');
+
+  assert.equal((await run(adminOnly, {}, { userId: 'user-1', role: 'farmer' })).status, 403);
+  assert.equal((await run(adminOnly, {}, undefined)).status, 403);
+  assert.equal((await run(adminOnly, {}, { userId: 'user-2', role: 'admin' })).next, true);
+});
+
+test('reading another user\'s crop is forbidden', async t => {
+  const owner = await registerUser({ phone: '9876543210', password: 'correct horse' });
+  const other = await registerUser({ phone: '9123456789', password: 'battery staple' });
+  const crop = new Crop({
+    userId: owner.user.userId,
+    cropType: 'tomato',
+    plantingDate: new Date(),
+    plantingMethod: 'seed',
+    location: { latitude: 18.5, longitude: 73.8 }
+  });
+  t.mock.method(Crop, 'findOne', async filter => (filter.cropId === crop.cropId ? crop : null));
+
+  const app = express();
+  app.use('/api/crops', cropRoutes);
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const get = (path, token) => fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+    headers: { authorization: `Bearer ${token}` }
+  });
+
+  const forbidden = await get(`/api/crops/${crop.cropId}`, other.token);
+  assert.equal(forbidden.status, 403);
+  assert.deepEqual(await forbidden.json(), { success: false, error: 'Not allowed' });
+
+  assert.equal((await get('/api/crops/crop_missing', other.token)).status, 404);
+
+  const own = await get(`/api/crops/${crop.cropId}`, owner.token);
+  assert.equal(own.status, 200);
+  assert.equal((await own.json()).crop.cropId, crop.cropId);
+});
@@ -0,0 +1,88 @@
+process.env.STORAGE_URL_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const geminiService = require('../services/geminiService');
+const { MemoryConversationStore, setConversationStore } = require('../services/conversationStore');
+const { MemoryCounterStore } = require('../services/counterStore');
+const { configureQuotaService, consumeAiCall, getQuotaStatus } = require('../services/quotaService');
+
+const calls = [];
+let answerError = null;
+test.mock.method(geminiService, 'chatWithGemini', async (contents, options) => {
+  calls.push(options.callSite);
+  if (answerError && options.callSite === 'conversation') throw answerError;
+  return options.callSite === 'conversationSummary' ? 'Farmer asked about leaf spots.' : 'Spray neem oil.';
+});
+const { sendMessage } = require('../services/conversationService');
+
+const user = { userId: 'chat-user', role: 'farmer', plan: 'free' };
+
+function turns(count) {
+  return Array.from({ length: count }, (_, index) => [
+    { role: 'user', text: `Question ${index}`, createdAt: new Date() },
+    { role: 'model', text: `Answer ${index}`, createdAt: new Date() }
+  ]).flat();
+}
+
+let store;
+
+test.beforeEach(() => {
+  calls.length = 0;
+  answerError = null;
+  store = new MemoryConversationStore();
+  setConversationStore(store);
+  configureQuotaService({ store: new MemoryCounterStore() });
+});
+
+test('a message answered after another one was stored is rejected', async () => {
+  const conversation = await store.create({ userId: user.userId, messages: turns(1) });
+
+  await sendMessage(conversation, 'First follow-up', user);
+  await assert.rejects(sendMessage(conversation, 'Second follow-up', user), {
+    statusCode: 409,
+    message: 'This conversation was updated by another request; please retry'
+  });
+  assert.equal((await store.findById(conversation.conversationId)).messages.length, 4);
+});
+
+test('summarizing older turns counts against the AI quota', async () => {
+  const conversation = await store.create({ userId: user.userId, messages: turns(9) });
+
+  const { conversation: updated } = await sendMessage(conversation, 'And now?', user);
+
+  assert.deepEqual(calls.sort(), ['conversation', 'conversationSummary']);
+  assert.equal(updated.summary, 'Farmer asked about leaf spots.');
+  assert.equal((await getQuotaStatus(user)).used, 1);
+});
+
+test('a summary is kept when the answer then fails or loses the race', async () => {
+  const conversation = await store.create({ userId: user.userId, messages: turns(9) });
+
+  answerError = Object.assign(new Error('Gemini is down'), { statusCode: 503 });
+  await assert.rejects(sendMessage(conversation, 'And now?', user), { statusCode: 503 });
+  const stored = await store.findById(conversation.conversationId);
+  assert.equal(stored.summary, 'Farmer asked about leaf spots.');
+  assert.equal(stored.summarizedCount, 10);
+  assert.equal(stored.messages.length, 18);
+  assert.equal((await getQuotaStatus(user)).used, 1);
+
+  answerError = null;
+  await store.appendMessages(conversation.conversationId, turns(1));
+  await assert.rejects(sendMessage({ ...conversation, summarizedCount: 0, summary: undefined }, 'And now?', user), {
+    statusCode: 409
+  });
+  assert.equal((await store.findById(conversation.conversationId)).summarizedCount, 10);
+  assert.equal((await getQuotaStatus(user)).used, 2);
+});
+
+test('without quota left the recent turns are sent unsummarized', async () => {
+  const conversation = await store.create({ userId: user.userId, messages: turns(9) });
+  for (let i = 0; i < 20; i++) await consumeAiCall(user);
+
+  const { conversation: updated } = await sendMessage(conversation, 'And now?', user);
+
+  assert.deepEqual(calls, ['conversation']);
+  assert.equal(updated.summary, undefined);
+  assert.equal(updated.messages.length, 20);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getCropTypes,
+  getCropProfile,
+  getPlantingMethods,
+  normalizeVariety,
+  getDaysToHarvest,
+  getStageSchedule,
+  getPhotoCadence
+} = require('../config/cropCatalog');
+
+test('crops are looked up case-insensitively', () => {
+  assert.ok(getCropTypes().includes('tomato'));
+  assert.equal(getCropProfile('Tomato').label, 'Tomato');
+  assert.equal(getCropProfile('dragonfruit'), null);
+  assert.equal(normalizeVariety('  Nasik   RED '), 'nasik red');
+});
+
+test('days to harvest depend on variety and planting method', () => {
+  assert.equal(getDaysToHarvest('tomato'), 110);
+  assert.equal(getDaysToHarvest('tomato', { plantingMethod: 'transplant' }), 75);
+  assert.equal(getDaysToHarvest('tomato', { variety: 'Cherry', plantingMethod: 'transplant' }), 65);
+  assert.equal(getDaysToHarvest('tomato', { variety: 'unknown' }), 110);
+  assert.equal(getDaysToHarvest('dragonfruit'), 90);
+  assert.deepEqual(getPlantingMethods('tomato'), ['seed', 'transplant']);
+});
+
+test('stage schedules stretch to the variety and skip what transplants already went through', () => {
+  assert.deepEqual(getStageSchedule('tomato', { variety: 'cherry' }).map(stage => [stage.name, stage.startDay, stage.endDay]), [
+    ['germination', 0, 9],
+    ['vegetative', 10, 39],
+    ['flowering', 40, 56],
+    ['fruiting', 57, 86],
+    ['maturity', 87, 95]
+  ]);
+
+  const transplanted = getStageSchedule('tomato', { plantingMethod: 'transplant' });
+  assert.deepEqual(transplanted.map(stage => stage.name), ['vegetative', 'flowering', 'fruiting', 'maturity']);
+  assert.equal(transplanted[transplanted.length - 1].endDay, 75);
+  assert.deepEqual(getStageSchedule('dragonfruit'), []);
+});
+
+test('photo cadence follows the stage, with a default for unknown crops', () => {
+  assert.equal(getPhotoCadence('tomato', 'flowering'), 3);
+  assert.equal(getPhotoCadence('tomato', 'germination'), 5);
+  assert.equal(getPhotoCadence('dragonfruit', 'flowering'), 4);
+});
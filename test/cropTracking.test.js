@@ -0,0 +1,257 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const sharp = require('sharp');
+const Crop = require('../models/Crop');
+const CropPhoto = require('../models/CropPhoto');
+
+process.env.GEMINI_API_KEY = 'test-key';
+process.env.STORAGE_URL_SECRET = 'test-secret';
+const photoStorage = require('../services/photoStorageService');
+const { RegionLocator, getRegionLocator, setRegionLocator } = require('../services/regionService');
+
+const {
+  createCrop,
+  listCrops,
+  setCropStatus,
+  calculateDayNumber,
+  addCropPhoto,
+  summarizePhotoHistory,
+  updateCrop,
+  getCrop
+} = require('../services/cropTrackingService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test.beforeEach(() => {
+  test.mock.method(Crop.prototype, 'save', async function save() { return this; });
+});
+
+test('createCrop saves an active crop with its expected harvest date', async () => {
+  const crop = await createCrop({
+    userId: 'farmer-1',
+    cropType: 'Tomato',
+    plantingDate: '2026-06-01',
+    plantingMethod: 'seed',
+    location: { latitude: 18.5, longitude: 73.8 }
+  });
+
+  assert.equal(crop.cropType, 'tomato');
+  assert.equal(crop.status, 'active');
+  assert.match(crop.cropId, /^crop_/);
+  assert.equal(crop.expectedHarvestDate - crop.plantingDate, 110 * DAY_MS);
+});
+
+test('createCrop stores no region from the approximate bundled districts', async () => {
+  const crop = await createCrop({
+    userId: 'farmer-1',
+    cropType: 'tomato',
+    plantingDate: '2026-06-01',
+    plantingMethod: 'seed',
+    location: { latitude: 18.52, longitude: 73.86 }
+  });
+
+  assert.equal(getRegionLocator().approximate, true);
+  assert.equal(crop.location.district, undefined);
+  assert.equal(crop.location.state, undefined);
+  assert.equal(crop.location.city, undefined);
+});
+
+test('createCrop fills district and state from surveyed boundaries but never the city', async t => {
+  const bundled = getRegionLocator();
+  t.after(() => setRegionLocator(bundled));
+  setRegionLocator(new RegionLocator({
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      properties: { district: 'Pune', state: 'Maharashtra', zone: 9 },
+      geometry: { type: 'Polygon', coordinates: [[[73, 18], [74.5, 18], [74.5, 19], [73, 19], [73, 18]]] }
+    }]
+  }, { 9: { name: 'Western Plateau and Hills Region' } }));
+
+  const crop = await createCrop({
+    userId: 'farmer-1',
+    cropType: 'tomato',
+    plantingDate: '2026-06-01',
+    plantingMethod: 'seed',
+    location: { latitude: 18.52, longitude: 73.86 }
+  });
+
+  assert.equal(crop.location.district, 'Pune');
+  assert.equal(crop.location.state, 'Maharashtra');
+  assert.equal(crop.location.agroClimaticZone, 'Western Plateau and Hills Region');
+  assert.equal(crop.location.city, undefined);
+});
+
+test('createCrop rejects missing fields with a 400', async () => {
+  await assert.rejects(createCrop({ userId: 'farmer-1', cropType: 'tomato' }), { statusCode: 400 });
+});
+
+test('createCrop only accepts crops, varieties and planting methods from the catalog', async () => {
+  const crop = { userId: 'farmer-1', plantingDate: '2026-06-01', plantingMethod: 'seed', location: { latitude: 18.5, longitude: 73.8 } };
+
+  await assert.rejects(createCrop({ ...crop, cropType: 'dragonfruit' }), { statusCode: 400, message: /Unsupported cropType "dragonfruit"/ });
+  await assert.rejects(createCrop({ ...crop, cropType: 'tomato', variety: 'Purple' }), { statusCode: 400, message: /Unknown Tomato variety "Purple"/ });
+
+  const saved = await createCrop({ ...crop, cropType: 'tomato', variety: ' Cherry ' });
+  assert.equal(saved.variety, 'cherry');
+  assert.equal(saved.expectedHarvestDate - saved.plantingDate, 95 * DAY_MS);
+});
+
+test('listCrops filters by user, status and lower-cased crop type', async () => {
+  let query;
+  test.mock.method(Crop, 'find', filter => {
+    query = filter;
+    return { sort: async () => [] };
+  });
+
+  await listCrops({ userId: 'farmer-1', status: 'active', cropType: 'Onion' });
+  assert.deepEqual(query, { userId: 'farmer-1', status: 'active', cropType: 'onion' });
+});
+
+test('setCropStatus closes an active crop once', async () => {
+  const crop = new Crop({
+    userId: 'farmer-1',
+    cropType: 'onion',
+    plantingDate: new Date(),
+    plantingMethod: 'transplant',
+    location: { latitude: 18.5, longitude: 73.8 }
+  });
+
+  assert.equal((await setCropStatus(crop, 'completed')).status, 'completed');
+  await assert.rejects(setCropStatus(crop, 'abandoned'), { statusCode: 409, message: 'Crop is already completed' });
+});
+
+test('day numbers count whole days since planting and never go negative', () => {
+  assert.equal(calculateDayNumber('2026-06-01T00:00:00Z', new Date('2026-06-11T09:00:00Z')), 10);
+  assert.equal(calculateDayNumber('2026-06-01T00:00:00Z', new Date('2026-05-30T00:00:00Z')), 0);
+});
+
+test('addCropPhoto stores the analysis as a CropPhoto on the crop timeline', async () => {
+  const answer = {
+    growthStage: 'vegetative',
+    healthScore: 82,
+    issues: [],
+    observations: 'Healthy leaves',
+    recommendations: ['Water in the morning'],
+    nextPhotoDays: 4,
+    urgency: 'routine'
+  };
+  const prompts = [];
+  test.mock.method(axios, 'post', async (url, payload) => {
+    prompts.push(payload.contents[0].parts[0].text);
+    return { data: { candidates: [{ content: { parts: [{ text: JSON.stringify(answer) }] } }] } };
+  });
+  const earlier = { dayNumber: 16, analysis: { growthStage: 'vegetative', healthScore: 70, issues: ['Aphids'] } };
+  test.mock.method(CropPhoto, 'find', () => ({ sort: () => ({ limit: async () => [earlier] }) }));
+  const stored = new Map();
+  photoStorage.setPhotoStorage({ put: async (key, buffer) => { stored.set(key, buffer); } });
+  const saved = [];
+  test.mock.method(CropPhoto.prototype, 'save', async function save() {
+    saved.push(this);
+    return this;
+  });
+
+  const upload = path.join(os.tmpdir(), `crop-photo-${process.pid}.jpg`);
+  const pixels = Buffer.alloc(64 * 64 * 3);
+  for (let i = 0; i < pixels.length; i++) pixels[i] = Math.floor(Math.random() * 256);
+  fs.writeFileSync(upload, await sharp(pixels, { raw: { width: 64, height: 64, channels: 3 } }).jpeg().toBuffer());
+  const crop = new Crop({
+    userId: 'farmer-1',
+    cropType: 'tomato',
+    plantingDate: new Date(Date.now() - 20 * DAY_MS),
+    plantingMethod: 'seed',
+    location: { latitude: 18.5, longitude: 73.8 }
+  });
+
+  try {
+    const { photo, nextPhoto } = await addCropPhoto(crop, [{ path: upload }], { roles: ['leaf_top'] });
+
+    assert.deepEqual(saved, [photo]);
+    assert.match(prompts[0], /PREVIOUS ANALYSES \(oldest first\):\n- Day 16 \(4 days before this photo\)/);
+    assert.equal(photo.cropId, crop.cropId);
+    assert.equal(photo.dayNumber, 20);
+    assert.equal(photo.analysis.healthScore, 82);
+    assert.equal(photo.imageUrl, `/uploads/${photo.imageKey}`);
+    assert.match(photo.imageKey, new RegExp(`^crops/${crop.cropId}/[0-9a-f]{64}\\.jpg$`));
+    assert.deepEqual([...stored.keys()], [photo.imageKey, photo.thumbnailKey]);
+    assert.equal(photo.images.length, 1);
+    assert.equal(photo.images[0].role, 'leaf_top');
+    assert.equal(photo.analysis.nextPhotoDate.getTime(), nextPhoto.nextPhotoDate.getTime());
+  } finally {
+    fs.rmSync(upload, { force: true });
+  }
+});
+
+test('photo history lists earlier analyses oldest first with their real day numbers', () => {
+  const summary = summarizePhotoHistory([
+    { dayNumber: 10, analysis: { growthStage: 'germination', healthScore: 90, issues: [], observations: 'Even emergence' } },
+    { dayNumber: 14, analysis: { growthStage: 'vegetative', healthScore: 75, issues: ['Aphids', 'Leaf curl'], urgency: 'important' } }
+  ], 18);
+
+  assert.equal(summary,
+    '- Day 10 (8 days before this photo): stage germination, health 90/100, urgency routine, open issues: none. ' +
+    'Observations: Even emergence\n' +
+    '- Day 14 (4 days before this photo): stage vegetative, health 75/100, urgency important, ' +
+    'open issues: Aphids; Leaf curl. Observations: none recorded');
+  assert.equal(summarizePhotoHistory([], 18), null);
+});
+
+// Seeded hybrid tomato planted `days` ago, in `stage`, never saved
+function tomato(days, stage) {
+  const crop = new Crop({
+    userId: 'crop-user',
+    cropType: 'tomato',
+    variety: 'hybrid',
+    plantingMethod: 'seed',
+    plantingDate: new Date(Date.now() - days * DAY_MS),
+    location: { latitude: 18.5, longitude: 73.8 },
+    status: 'active'
+  });
+  crop.recordStage(stage, { dayNumber: 0, source: 'planting' });
+  crop.save = async () => crop;
+  return crop;
+}
+
+test('manual stage changes cannot go backwards', async () => {
+  const crop = tomato(105, 'maturity');
+  await assert.rejects(updateCrop(crop, { currentStage: 'germination' }), {
+    statusCode: 409,
+    message: 'Crop cannot go back from maturity to germination'
+  });
+  assert.equal(crop.currentStage, 'maturity');
+  assert.equal(crop.stageHistory.length, 1);
+});
+
+test('manual stage changes cannot skip far ahead of the schedule', async () => {
+  const crop = tomato(12, 'vegetative');
+  await assert.rejects(updateCrop(crop, { currentStage: 'maturity' }), { statusCode: 409 });
+});
+
+test('valid manual stage changes are recorded and re-checked', async () => {
+  const crop = tomato(47, 'vegetative');
+  await updateCrop(crop, { currentStage: 'flowering' });
+
+  assert.equal(crop.currentStage, 'flowering');
+  const entry = crop.stageHistory[crop.stageHistory.length - 1];
+  assert.equal(entry.source, 'manual');
+  assert.equal(entry.dayNumber, 47);
+  assert.equal(crop.stageProgress.status, 'on_track');
+});
+
+test('reading a crop brings its schedule status up to today', async t => {
+  const crop = tomato(70, 'vegetative');
+  crop.stageProgress = { status: 'on_track', expectedStage: 'vegetative', daysBehind: 0, checkedAt: new Date(Date.now() - 40 * DAY_MS) };
+  const harvestDate = new Date('2026-12-01T00:00:00Z');
+  crop.expectedHarvestDate = harvestDate;
+  t.mock.method(Crop, 'findOne', async () => crop);
+
+  const read = await getCrop(crop.cropId);
+  assert.equal(read.stageProgress.status, 'behind');
+  assert.equal(read.stageProgress.expectedStage, 'fruiting');
+  assert.equal(read.stageProgress.daysBehind, 25);
+  assert.equal(read.expectedHarvestDate.getTime(), harvestDate.getTime());
+});
@@ -0,0 +1,183 @@
+process.env.GEMINI_API_KEY_1 = 'test-key';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const axios = require('axios');
+const { analyzeWithGemini, streamWithGemini, parseGeminiResponse } = require('../services/geminiService');
+const { keyPool } = require('../services/apiKeyPool');
+
+test.mock.method(console, 'error', () => {});
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+// Quota and auth errors put the only key on cooldown
+test.afterEach(() => keyPool.entries.forEach(entry => { entry.cooldownUntil = 0; }));
+
+// Retry quickly in tests
+const FAST = { retryBaseDelayMs: 1, maxAttempts: 3 };
+
+function answer(text) {
+  return { data: { candidates: [{ content: { parts: [{ text }] }, finishReason: 'STOP' }] } };
+}
+
+function httpError(status, error, headers = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers, data: { error } }
+  });
+}
+
+test('server errors are retried until Gemini answers', async t => {
+  const post = t.mock.method(axios, 'post', async () => {
+    if (post.mock.callCount() < 2) throw httpError(503, { message: 'The model is overloaded.' });
+    return answer('Leaf blight');
+  });
+
+  assert.equal(await analyzeWithGemini('prompt', null, FAST), 'Leaf blight');
+  assert.equal(post.mock.callCount(), 3);
+});
+
+test('the call site profile picks the model', async t => {
+  const post = t.mock.method(axios, 'post', async () => answer('ok'));
+
+  await analyzeWithGemini('prompt', null, { callSite: 'growthAnalysis' });
+  assert.match(post.mock.calls[0].arguments[0], /\/gemini-2\.0-flash:generateContent/);
+});
+
+test('a rejected key fails at once with a typed error', async t => {
+  const post = t.mock.method(axios, 'post', async () => {
+    throw httpError(403, { status: 'PERMISSION_DENIED', message: 'API key expired' });
+  });
+
+  await assert.rejects(analyzeWithGemini('prompt', null, FAST), {
+    name: 'GeminiAuthError',
+    statusCode: 503,
+    apiStatus: 'PERMISSION_DENIED'
+  });
+  assert.equal(post.mock.callCount(), 1);
+});
+
+test('exhausted quota rests the key and fails without waiting for it', async t => {
+  const post = t.mock.method(axios, 'post', async () => {
+    throw httpError(429, { status: 'RESOURCE_EXHAUSTED', message: 'Quota exceeded' }, { 'retry-after': '0' });
+  });
+
+  await assert.rejects(analyzeWithGemini('prompt', null, FAST), { name: 'GeminiQuotaError', statusCode: 503 });
+  assert.equal(post.mock.callCount(), 1);
+  assert.equal(keyPool.getStatus()[0].status, 'cooldown');
+});
+
+test('blocked answers are safety errors and are not retried', async t => {
+  const post = t.mock.method(axios, 'post', async () => ({
+    data: { candidates: [{ content: { parts: [] }, finishReason: 'SAFETY' }] }
+  }));
+
+  await assert.rejects(analyzeWithGemini('prompt', null, FAST), { name: 'GeminiSafetyError', statusCode: 422, blockReason: 'SAFETY' });
+  assert.equal(post.mock.callCount(), 1);
+});
+
+test('timeouts are network errors that are not retried', async t => {
+  const post = t.mock.method(axios, 'post', async () => {
+    throw Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' });
+  });
+
+  await assert.rejects(analyzeWithGemini('prompt', null, FAST), { name: 'GeminiNetworkError', statusCode: 504 });
+  assert.equal(post.mock.callCount(), 1);
+});
+
+test('a responseSchema switches Gemini to JSON output with that schema', async t => {
+  const post = t.mock.method(axios, 'post', async () => answer('{"healthScore": 80}'));
+  const schema = { type: 'OBJECT', properties: { healthScore: { type: 'INTEGER' } }, required: ['healthScore'] };
+
+  await analyzeWithGemini('prompt', null, { responseSchema: schema });
+  await analyzeWithGemini('prompt', null, {});
+
+  const [withSchema, without] = post.mock.calls.map(call => call.arguments[1].generationConfig);
+  assert.equal(withSchema.responseMimeType, 'application/json');
+  assert.deepEqual(withSchema.responseSchema, schema);
+  assert.equal(without.responseMimeType, undefined);
+});
+
+test('JSON answers are parsed as whole documents', () => {
+  assert.deepEqual(parseGeminiResponse('{"healthScore": 80, "issues": []}'), { healthScore: 80, issues: [] });
+  assert.equal(parseGeminiResponse('Here you go: {"healthScore": 80}').parsed, false);
+  assert.equal(parseGeminiResponse('[1, 2]').parsed, false);
+});
+
+// Split a body into chunks of a few bytes, so multi-byte characters end up across chunk boundaries
+function chunked(text, size = 5) {
+  const bytes = Buffer.from(text, 'utf8');
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += size) {
+    chunks.push(bytes.subarray(i, i + size));
+  }
+  return Readable.from(chunks);
+}
+
+function sseEvent(text) {
+  return `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] })}\r\n\r\n`;
+}
+
+test('streamed Hindi text survives chunk boundaries', async t => {
+  t.mock.method(axios, 'post', async () => ({ data: chunked(sseEvent('पत्तियों पर ') + sseEvent('झुलसा रोग')) }));
+
+  const deltas = [];
+  const text = await streamWithGemini('prompt', null, {}, delta => deltas.push(delta));
+
+  assert.deepEqual(deltas, ['पत्तियों पर ', 'झुलसा रोग']);
+  assert.equal(text, 'पत्तियों पर झुलसा रोग');
+});
+
+test('a last event without a trailing blank line is still read', async t => {
+  const body = sseEvent('पत्तियों पर ') + sseEvent('झुलसा रोग').replace(/\r\n\r\n$/, '');
+  t.mock.method(axios, 'post', async () => ({ data: chunked(body) }));
+
+  const text = await streamWithGemini('prompt', null, {});
+
+  assert.equal(text, 'पत्तियों पर झुलसा रोग');
+});
+
+test('streamed error bodies are decoded whole', async t => {
+  const body = JSON.stringify({ error: { code: 403, status: 'PERMISSION_DENIED', message: 'अनुमति नहीं है' } });
+  t.mock.method(axios, 'post', async () => {
+    throw Object.assign(new Error('Request failed with status code 403'), {
+      response: { status: 403, data: chunked(body, 3) }
+    });
+  });
+
+  await assert.rejects(streamWithGemini('prompt', null, {}), error => {
+    assert.equal(error.name, 'GeminiAuthError');
+    assert.match(error.message, /अनुमति नहीं है/);
+    return true;
+  });
+});
+
+test('a 400 for an invalid API key is an auth error', async t => {
+  const body = {
+    error: {
+      code: 400,
+      message: 'API key not valid. Please pass a valid API key.',
+      status: 'INVALID_ARGUMENT',
+      details: [{ '@type': 'type.googleapis.com/google.rpc.ErrorInfo', reason: 'API_KEY_INVALID', domain: 'googleapis.com' }]
+    }
+  };
+  t.mock.method(axios, 'post', async () => {
+    throw Object.assign(new Error('Request failed with status code 400'), {
+      response: { status: 400, data: chunked(JSON.stringify(body)) }
+    });
+  });
+
+  const authErrors = keyPool.entries[0].authErrors;
+  await assert.rejects(streamWithGemini('prompt', null, {}), { name: 'GeminiAuthError', statusCode: 503 });
+  assert.equal(keyPool.entries[0].authErrors, authErrors + 1);
+});
+
+test('other 400s stay request errors', async t => {
+  const body = { error: { code: 400, message: 'Invalid JSON payload received.', status: 'INVALID_ARGUMENT' } };
+  t.mock.method(axios, 'post', async () => {
+    throw Object.assign(new Error('Request failed with status code 400'), {
+      response: { status: 400, data: chunked(JSON.stringify(body)) }
+    });
+  });
+
+  await assert.rejects(streamWithGemini('prompt', null, {}), error => error.name === 'GeminiError');
+});
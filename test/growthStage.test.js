@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getCropSchedule,
+  getExpectedStage,
+  evaluateTransition,
+  assessSchedule,
+  projectHarvestDay
+} = require('../services/growthStageService');
+
+// Seeded hybrid tomato: germination 0-10, vegetative 11-45, flowering 46-65, fruiting 66-100, maturity 101-110
+const schedule = getCropSchedule({ cropType: 'tomato', variety: 'hybrid', plantingMethod: 'seed' });
+
+test('tomato schedule follows the catalog', () => {
+  assert.deepEqual(
+    schedule.map(stage => [stage.name, stage.startDay, stage.endDay]),
+    [['germination', 0, 10], ['vegetative', 11, 45], ['flowering', 46, 65], ['fruiting', 66, 100], ['maturity', 101, 110]]
+  );
+  assert.equal(getExpectedStage(schedule, 50).name, 'flowering');
+  assert.equal(getExpectedStage(schedule, 400).name, 'maturity');
+  assert.equal(getExpectedStage([], 10), null);
+});
+
+test('stages only move forward', () => {
+  assert.deepEqual(evaluateTransition(schedule, 'vegetative', 'flowering', 40), { transition: 'advanced', stage: 'flowering' });
+  assert.deepEqual(evaluateTransition(schedule, 'flowering', 'flowering', 50), { transition: 'unchanged', stage: 'flowering' });
+
+  const backwards = evaluateTransition(schedule, 'maturity', 'germination', 105);
+  assert.equal(backwards.transition, 'rejected');
+  assert.equal(backwards.stage, 'maturity');
+});
+
+test('skipping stages is only allowed close to the scheduled day', () => {
+  const early = evaluateTransition(schedule, 'germination', 'fruiting', 20);
+  assert.equal(early.transition, 'rejected');
+  assert.match(early.reason, /Too early to reach fruiting/);
+
+  // Fruiting starts on day 66; within the 7-day tolerance the skip is accepted
+  assert.equal(evaluateTransition(schedule, 'germination', 'fruiting', 59).transition, 'advanced');
+});
+
+test('unknown stages are not applied', () => {
+  const decision = evaluateTransition(schedule, 'vegetative', 'sprouting', 20);
+  assert.equal(decision.transition, 'unrecognized');
+  assert.equal(decision.stage, 'vegetative');
+});
+
+test('schedule status allows a week of drift either way', () => {
+  assert.deepEqual(assessSchedule(schedule, 'vegetative', 50), { status: 'on_track', expectedStage: 'flowering', daysBehind: 5 });
+  assert.deepEqual(assessSchedule(schedule, 'vegetative', 60), { status: 'behind', expectedStage: 'flowering', daysBehind: 15 });
+  assert.deepEqual(assessSchedule(schedule, 'fruiting', 50), { status: 'ahead', expectedStage: 'flowering', daysBehind: -16 });
+  assert.equal(assessSchedule(schedule, 'sprouting', 50).status, 'unknown');
+});
+
+test('harvest projection shifts by how late the current stage started', () => {
+  assert.equal(projectHarvestDay(schedule, 'flowering', 46, 50), 110);
+  assert.equal(projectHarvestDay(schedule, 'flowering', 56, 60), 120);
+  // Still vegetative ten days after the stage should have ended
+  assert.equal(projectHarvestDay(schedule, 'vegetative', 11, 55), 120);
+  assert.equal(projectHarvestDay([], 'flowering', 46, 50), null);
+});
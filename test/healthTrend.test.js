@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { trackIssues, normalizeIssueCode } = require('../services/healthTrendService');
+
+const photo = (dayNumber, issues, issueCodes) => ({ dayNumber, analysis: { issues, issueCodes } });
+
+test('issues with the same code are one issue however they are worded', () => {
+  const issues = trackIssues([
+    photo(1, ['Early blight on lower leaves'], ['early_blight']),
+    photo(5, ['Alternaria leaf spots spreading'], ['Early Blight']),
+    photo(9, [], [])
+  ]);
+
+  assert.equal(issues.length, 1);
+  assert.deepEqual(issues[0], {
+    issue: 'Alternaria leaf spots spreading',
+    code: 'early_blight',
+    firstSeenDay: 1,
+    lastSeenDay: 5,
+    clearedDay: 9,
+    active: false,
+    photoCount: 2
+  });
+});
+
+test('issues without codes match on their words', () => {
+  const issues = trackIssues([
+    photo(1, ['Early blight on lower leaves', 'Aphids']),
+    photo(5, ['early blight spreading to upper leaves', 'Aphid infestation'], ['early_blight', 'aphids']),
+    photo(9, ['Leaf curl'])
+  ]);
+
+  assert.deepEqual(issues.map(issue => [issue.code, issue.photoCount, issue.active]), [
+    ['early_blight', 2, false],
+    ['aphids', 2, false],
+    [null, 1, true]
+  ]);
+});
+
+test('different problems with a shared word stay apart', () => {
+  const issues = trackIssues([
+    photo(1, ['Nitrogen deficiency']),
+    photo(5, ['Potassium deficiency'])
+  ]);
+
+  assert.equal(issues.length, 2);
+  assert.equal(issues[0].clearedDay, 5);
+});
+
+test('issue codes are normalized to snake case', () => {
+  assert.equal(normalizeIssueCode(' Early Blight '), 'early_blight');
+  assert.equal(normalizeIssueCode('nitrogen-deficiency'), 'nitrogen_deficiency');
+  assert.equal(normalizeIssueCode(undefined), '');
+});
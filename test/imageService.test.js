@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { preprocessImage, detectImageFormat } = require('../services/imageService');
+
+// Random noise: bright enough and full of edges
+async function noiseJpeg(width, height, scale = 1) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < pixels.length; i++) pixels[i] = Math.floor(Math.random() * 256 * scale);
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).jpeg().toBuffer();
+}
+
+// An ISO-BMFF "ftyp heic" header followed by bytes no decoder can read
+function undecodableHeic() {
+  const ftyp = Buffer.alloc(24);
+  ftyp.writeUInt32BE(24, 0);
+  ftyp.write('ftypheic', 4, 'ascii');
+  ftyp.write('mif1heic', 16, 'ascii');
+  return Buffer.concat([ftyp, Buffer.alloc(200, 7)]);
+}
+
+test('photos are re-encoded as resized JPEG', async () => {
+  const image = await preprocessImage(await noiseJpeg(2000, 1000), { maxEdge: 800 });
+
+  assert.equal(image.mimeType, 'image/jpeg');
+  assert.equal(image.width, 800);
+  assert.equal(image.height, 400);
+  assert.equal(detectImageFormat(image.buffer), 'jpeg');
+  assert.ok(image.quality.sharpness > 40);
+});
+
+test('dark photos and unsupported formats are rejected', async () => {
+  await assert.rejects(preprocessImage(await noiseJpeg(200, 200, 0.05)), { reason: 'too_dark', statusCode: 422 });
+  await assert.rejects(preprocessImage(Buffer.from('GIF89a\u0001\u0000\u0001\u0000\u0000\u0000')), {
+    reason: 'unsupported_format',
+    statusCode: 415
+  });
+});
+
+test('HEIC photos sharp cannot decode are rejected with 415 instead of being sent as uploaded', async () => {
+  await assert.rejects(preprocessImage(undecodableHeic()), error => {
+    assert.equal(error.reason, 'unsupported_format');
+    assert.equal(error.statusCode, 415);
+    assert.match(error.message, /JPEG or PNG/);
+    return true;
+  });
+});
@@ -0,0 +1,241 @@
+process.env.STORAGE_URL_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JobQueue } = require('../services/jobQueueService');
+const { MemoryJobStore } = require('../services/jobStore');
+const { MemoryCounterStore } = require('../services/counterStore');
+const { configureQuotaService, consumeAiCall, getQuotaStatus } = require('../services/quotaService');
+
+const user = { userId: 'job-user', role: 'farmer', plan: 'free' };
+
+// The queue logs every failure these tests provoke
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+function createQueue(options = {}) {
+  let clock = Date.UTC(2026, 2, 10, 6, 0);
+  const now = () => clock;
+  const objects = new Map();
+  const storage = {
+    put: async (key, data) => objects.set(key, data),
+    get: async key => objects.get(key) || null,
+    delete: async key => objects.delete(key)
+  };
+  const store = new MemoryJobStore({ now });
+  const queue = new JobQueue(store, { concurrency: 1, now, storage, ...options });
+  const counters = new MemoryCounterStore({ now });
+  configureQuotaService({ store: counters, now });
+
+  return { queue, store, objects, counters, advance: ms => { clock += ms; } };
+}
+
+// Let the queue's background work settle
+async function settle() {
+  for (let i = 0; i < 20; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+test('queued jobs run, keep their result and clean up their images', async () => {
+  const calls = [];
+  const { queue, store, objects } = createQueue({
+    runRequest: async (type, request) => {
+      calls.push({ type, request });
+      return { success: true, analysis: { healthScore: 80 } };
+    }
+  });
+
+  const submitted = await queue.submit('plant', {
+    body: { plantName: 'Tomato', async: true },
+    user,
+    images: [{ buffer: Buffer.from('jpeg'), width: 10, height: 10 }]
+  });
+  assert.equal(submitted.status, 'queued');
+  assert.equal(objects.size, 1);
+
+  await settle();
+
+  const job = await queue.getJob(submitted.jobId, user.userId);
+  assert.equal(job.status, 'succeeded');
+  assert.deepEqual(job.result, { success: true, analysis: { healthScore: 80 } });
+  assert.deepEqual(calls[0].request.body, { plantName: 'Tomato' });
+  assert.equal(calls[0].request.images[0].buffer.toString(), 'jpeg');
+  assert.equal(objects.size, 0);
+  assert.equal(await queue.getJob(submitted.jobId, 'someone-else'), null);
+  assert.equal((await store.findById(submitted.jobId)).attempts, 1);
+});
+
+test('failed jobs refund the quota call', async () => {
+  const { queue } = createQueue({
+    runRequest: async () => {
+      throw Object.assign(new Error('Gemini is down'), { statusCode: 503 });
+    }
+  });
+  await consumeAiCall(user);
+
+  const submitted = await queue.submit('plant', { body: {}, user, images: [] });
+  await settle();
+
+  const job = await queue.getJob(submitted.jobId, user.userId);
+  assert.equal(job.status, 'failed');
+  assert.deepEqual(job.error, { message: 'Gemini is down', name: 'Error', statusCode: 503 });
+  assert.equal((await getQuotaStatus(user)).used, 0);
+});
+
+test('jobs answered from the analysis cache refund the quota call', async () => {
+  const { queue } = createQueue({
+    runRequest: async () => ({ success: true, analysis: { healthScore: 80 }, cache: { status: 'hit' } })
+  });
+  await consumeAiCall(user);
+
+  const submitted = await queue.submit('plant', { body: {}, user, images: [] });
+  await settle();
+
+  assert.equal((await queue.getJob(submitted.jobId, user.userId)).status, 'succeeded');
+  assert.equal((await getQuotaStatus(user)).used, 0);
+});
+
+test('failed jobs are refunded to the quota day they were submitted on', async () => {
+  let advanceClock;
+  const { queue, counters, advance } = createQueue({
+    runRequest: async () => {
+      // Still running at midnight IST
+      advanceClock(13 * 60 * 60 * 1000);
+      throw new Error('Gemini is down');
+    }
+  });
+  advanceClock = advance;
+
+  const { dayKey } = await consumeAiCall(user);
+  assert.equal(dayKey, '2026-03-10');
+  await queue.submit('plant', { body: {}, user, images: [] }, { quotaDay: dayKey });
+  await settle();
+
+  assert.equal(await counters.get('ai:job-user:2026-03-10'), 0);
+  assert.equal((await getQuotaStatus(user)).used, 0);
+});
+
+test('slow webhooks do not hold a worker', async () => {
+  const pending = [];
+  const { queue, store } = createQueue({
+    runRequest: async () => ({ success: true }),
+    sendWebhook: () => new Promise(resolve => pending.push(resolve))
+  });
+  const request = { body: {}, user, images: [] };
+
+  const first = await queue.submit('plant', request, { webhookUrl: 'https://93.184.216.34/hook' });
+  const second = await queue.submit('plant', request, { webhookUrl: 'https://93.184.216.34/hook' });
+  await settle();
+
+  // concurrency is 1, yet both jobs ran while the first webhook was still waiting
+  assert.equal((await store.findById(first.jobId)).status, 'succeeded');
+  assert.equal((await store.findById(second.jobId)).status, 'succeeded');
+  assert.equal(queue.active, 0);
+  assert.equal(pending.length, 2);
+
+  // A retry scan does not send a webhook that is already on its way
+  await queue.deliverDueWebhooks();
+  await queue.deliverWebhook(await store.findById(first.jobId));
+  assert.equal(pending.length, 2);
+
+  pending.forEach(resolve => resolve());
+  await settle();
+  assert.equal((await store.findById(first.jobId)).webhook.status, 'delivered');
+});
+
+test('expired leases are re-queued until the attempts run out', async () => {
+  const { queue, store, advance } = createQueue({ leaseMs: 60 * 1000, maxAttempts: 2 });
+  const job = await store.create({ userId: user.userId, type: 'plant', input: {}, images: [] });
+  await consumeAiCall(user);
+
+  // A worker that died mid-run
+  await store.claimNext('dead-worker', new Date(Date.UTC(2026, 2, 10, 6, 1)));
+  advance(2 * 60 * 1000);
+  await queue.recoverExpiredLeases();
+  assert.equal((await store.findById(job.jobId)).status, 'queued');
+
+  await store.claimNext('dead-worker', new Date(Date.UTC(2026, 2, 10, 6, 3)));
+  advance(2 * 60 * 1000);
+  await queue.recoverExpiredLeases();
+
+  const failed = await store.findById(job.jobId);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.error.name, 'JobInterruptedError');
+  assert.equal((await getQuotaStatus(user)).used, 0);
+});
+
+test('webhooks are retried after a failure', async () => {
+  const deliveries = [];
+  let failNext = true;
+  const { queue, store, advance } = createQueue({
+    runRequest: async () => ({ success: true }),
+    sendWebhook: async (url, payload) => {
+      deliveries.push({ url, payload });
+      if (failNext) {
+        failNext = false;
+        throw new Error('connect ECONNREFUSED');
+      }
+    }
+  });
+
+  const submitted = await queue.submit(
+    'plant',
+    { body: {}, user, images: [] },
+    { webhookUrl: 'https://93.184.216.34/hook' }
+  );
+  await settle();
+
+  let job = await store.findById(submitted.jobId);
+  assert.equal(deliveries.length, 1);
+  assert.equal(job.webhook.status, 'pending');
+  assert.equal(job.webhook.lastError, 'connect ECONNREFUSED');
+
+  // Not due yet
+  await queue.deliverDueWebhooks();
+  assert.equal(deliveries.length, 1);
+
+  advance(30 * 1000);
+  await queue.deliverDueWebhooks();
+  job = await store.findById(submitted.jobId);
+  assert.equal(deliveries.length, 2);
+  assert.equal(deliveries[1].payload.event, 'analysis_job.finished');
+  assert.equal(deliveries[1].payload.job.status, 'succeeded');
+  assert.equal(job.webhook.status, 'delivered');
+  assert.equal(job.webhook.attempts, 2);
+});
+
+test('webhook URLs must use https', async () => {
+  const { queue } = createQueue();
+  await assert.rejects(
+    queue.submit('plant', { body: {}, user, images: [] }, { webhookUrl: 'http://93.184.216.34/hook' }),
+    { statusCode: 400, message: 'webhookUrl must use https' }
+  );
+});
+
+test('webhook URLs may not point at internal addresses', async () => {
+  const { queue, store } = createQueue();
+  const internal = [
+    'https://localhost/hook',
+    'https://127.0.0.1/hook',
+    'https://10.1.2.3/hook',
+    'https://172.20.0.5/hook',
+    'https://192.168.1.1/hook',
+    'https://169.254.169.254/latest/meta-data/',
+    'https://100.100.100.200/hook',
+    'https://0.0.0.0/hook',
+    'https://[::1]/hook',
+    'https://[fd00:ec2::254]/hook',
+    'https://[fe80::1]/hook',
+    'https://[::ffff:127.0.0.1]/hook'
+  ];
+
+  for (const webhookUrl of internal) {
+    await assert.rejects(
+      queue.submit('plant', { body: {}, user, images: [] }, { webhookUrl }),
+      { statusCode: 400, message: 'webhookUrl must point to a public address' },
+      webhookUrl
+    );
+  }
+  assert.equal((await store.listForUser(user.userId, 10)).length, 0);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Notification = require('../models/Notification');
+const { createNotification, notifyUrgentAnalysis } = require('../services/notificationService');
+
+// Stand-in for the notifications collection: upserts by dedupeKey like findOneAndUpdate with $setOnInsert
+function fakeCollection(t) {
+  const byKey = new Map();
+  t.mock.method(Notification, 'findOneAndUpdate', async ({ dedupeKey }, { $setOnInsert }) => {
+    const existing = byKey.get(dedupeKey);
+    if (!existing) byKey.set(dedupeKey, new Notification($setOnInsert));
+    return { value: byKey.get(dedupeKey), lastErrorObject: { updatedExisting: Boolean(existing) } };
+  });
+  t.mock.method(Notification, 'create', async fields => new Notification(fields));
+  return byKey;
+}
+
+const reminder = {
+  userId: 'farmer-1',
+  type: 'photo_due',
+  title: 'Time to photograph your tomato',
+  message: 'Your tomato is due for its next progress photo.',
+  data: { cropId: 'crop_1', photoId: 'photo_1' },
+  dedupeKey: 'photo_due:photo_1'
+};
+
+test('the same dedupeKey creates one notification however often it is sent', async t => {
+  const stored = fakeCollection(t);
+
+  const first = await createNotification(reminder);
+  const second = await createNotification({ ...reminder, title: 'Changed title' });
+
+  assert.equal(first.created, true);
+  assert.equal(second.created, false);
+  assert.equal(second.notification.notificationId, first.notification.notificationId);
+  assert.equal(second.notification.title, 'Time to photograph your tomato');
+  assert.equal(stored.size, 1);
+});
+
+test('notifications without a dedupeKey are always created', async t => {
+  fakeCollection(t);
+  const { dedupeKey, ...custom } = reminder;
+
+  const results = [await createNotification(custom), await createNotification(custom)];
+  assert.deepEqual(results.map(result => result.created), [true, true]);
+  assert.notEqual(results[0].notification.notificationId, results[1].notification.notificationId);
+});
+
+test('userId, title and message are required', async () => {
+  await assert.rejects(createNotification({ userId: 'farmer-1', title: 'No message' }), { statusCode: 400 });
+});
+
+test('only critical and urgent analyses alert the owner, once per photo', async t => {
+  const stored = fakeCollection(t);
+  const crop = { cropId: 'crop_1', userId: 'farmer-1', cropType: 'tomato' };
+  const photo = urgency => ({ photoId: 'photo_2', dayNumber: 30, analysis: { urgency, healthScore: 40, issues: ['Late blight'] } });
+
+  assert.equal(await notifyUrgentAnalysis(crop, photo('important')), null);
+  assert.equal((await notifyUrgentAnalysis(crop, photo('critical'))).created, true);
+  assert.equal((await notifyUrgentAnalysis(crop, photo('critical'))).created, false);
+
+  const alert = stored.get('analysis_alert:photo_2');
+  assert.equal(alert.priority, 'high');
+  assert.equal(alert.message, 'Day 30 photo shows Late blight (health 40/100). Check the recommendations now.');
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Crop = require('../models/Crop');
+const CropPhoto = require('../models/CropPhoto');
+const Notification = require('../models/Notification');
+const { PhotoReminderScheduler } = require('../services/photoReminderScheduler');
+
+const NOW = Date.UTC(2026, 5, 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Crop.find().select().lean().cursor() over fixed results, recording the query
+function mockActiveCrops(crops) {
+  const query = {};
+  test.mock.method(Crop, 'find', filter => {
+    query.filter = filter;
+    const chain = {
+      select: fields => { query.fields = fields; return chain; },
+      lean: () => { query.lean = true; return chain; },
+      cursor: async function* cursor() { yield* crops; }
+    };
+    return chain;
+  });
+  return query;
+}
+
+test('reminders only aggregate photos of active crops', async () => {
+  const query = mockActiveCrops([{ cropId: 'crop_a', userId: 'user-1', cropType: 'tomato' }]);
+  const pipelines = [];
+  test.mock.method(CropPhoto, 'aggregate', async pipeline => {
+    pipelines.push(pipeline);
+    return [{
+      _id: 'crop_a',
+      photo: { photoId: 'photo_1', dayNumber: 12, analysis: { nextPhotoDate: new Date(NOW - DAY_MS) } }
+    }];
+  });
+  const dedupeKeys = [];
+  test.mock.method(Notification, 'findOneAndUpdate', async filter => {
+    dedupeKeys.push(filter.dedupeKey);
+    return { value: {}, lastErrorObject: { updatedExisting: false } };
+  });
+
+  const summary = await new PhotoReminderScheduler({ now: () => NOW }).runOnce();
+
+  assert.deepEqual(query, { filter: { status: 'active' }, fields: 'cropId userId cropType', lean: true });
+  assert.deepEqual(pipelines[0][0], { $match: { cropId: { $in: ['crop_a'] } } });
+  assert.deepEqual(summary, { checked: 1, created: 1 });
+  assert.deepEqual(dedupeKeys, ['photo_due:photo_1']);
+});
+
+test('no active crops skips the aggregation', async () => {
+  mockActiveCrops([]);
+  const aggregate = test.mock.method(CropPhoto, 'aggregate', async () => []);
+
+  const summary = await new PhotoReminderScheduler({ now: () => NOW }).runOnce();
+
+  assert.deepEqual(summary, { checked: 0, created: 0 });
+  assert.equal(aggregate.mock.callCount(), 0);
+});
+
+test('active crops are checked in batches of 500', async () => {
+  mockActiveCrops(Array.from({ length: 1201 }, (_, i) => ({ cropId: `crop_${i}`, userId: 'user-1', cropType: 'rice' })));
+  const batchSizes = [];
+  test.mock.method(CropPhoto, 'aggregate', async pipeline => {
+    batchSizes.push(pipeline[0].$match.cropId.$in.length);
+    return [];
+  });
+
+  await new PhotoReminderScheduler({ now: () => NOW }).runOnce();
+
+  assert.deepEqual(batchSizes, [500, 500, 201]);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryCounterStore } = require('../services/counterStore');
+const { configureQuotaService, getQuotaStatus, consumeAiCall, refundAiCall } = require('../services/quotaService');
+
+// 2026-03-10 23:00 IST
+let clock = Date.UTC(2026, 2, 10, 17, 30);
+const now = () => clock;
+configureQuotaService({ store: new MemoryCounterStore({ now }), now });
+
+const user = { userId: 'quota-user', role: 'farmer', plan: 'free' };
+
+test('free plan allows 20 AI calls a day and rejects the rest without counting them', async () => {
+  for (let i = 1; i <= 20; i++) {
+    const status = await consumeAiCall(user);
+    assert.equal(status.allowed, true);
+    assert.equal(status.remaining, 20 - i);
+  }
+
+  const rejected = await consumeAiCall(user);
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.used, 20);
+  assert.equal((await getQuotaStatus(user)).used, 20);
+});
+
+test('refunds give back a call', async () => {
+  await refundAiCall(user);
+  assert.equal((await getQuotaStatus(user)).remaining, 1);
+});
+
+test('the quota day resets at midnight IST', async () => {
+  const status = await getQuotaStatus(user);
+  assert.equal(status.resetAt.toISOString(), '2026-03-10T18:30:00.000Z');
+
+  clock = Date.UTC(2026, 2, 10, 18, 30);
+  const nextDay = await getQuotaStatus(user);
+  assert.equal(nextDay.used, 0);
+  assert.equal(nextDay.resetAt.toISOString(), '2026-03-11T18:30:00.000Z');
+});
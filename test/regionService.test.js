@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RegionLocator, getCroppingSeason } = require('../services/regionService');
+const { formatRegionForPrompt } = require('../services/promptService');
+
+function square(district, state, longitude, latitude, size = 1) {
+  return {
+    type: 'Feature',
+    properties: { district, state, zone: 1 },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[
+        [longitude, latitude], [longitude + size, latitude], [longitude + size, latitude + size],
+        [longitude, latitude + size], [longitude, latitude]
+      ]]
+    }
+  };
+}
+
+const zones = { 1: { name: 'Test Zone', climate: 'Dry', annualRainfallMm: 500, soils: 'Sandy', majorCrops: ['Millet'] } };
+
+test('points inside a boundary match it; overlaps go to the closer centre', () => {
+  const locator = new RegionLocator({
+    type: 'FeatureCollection',
+    features: [square('West', 'A', 70, 20), square('East', 'A', 70.8, 20)]
+  }, zones);
+
+  assert.equal(locator.resolve(20.5, 70.3).district, 'West');
+  assert.equal(locator.resolve(20.5, 70.85).district, 'West');
+  assert.equal(locator.resolve(20.5, 70.95).district, 'East');
+  assert.equal(locator.resolve(20.5, 71.1).district, 'East');
+
+  const match = locator.resolve(20.5, 70.3);
+  assert.equal(match.match, 'boundary');
+  assert.equal(match.approximate, false);
+  assert.equal(match.zone.name, 'Test Zone');
+});
+
+test('nearby points outside every boundary are approximate nearest matches', () => {
+  const locator = new RegionLocator({ type: 'FeatureCollection', features: [square('Only', 'A', 70, 20)] }, zones);
+
+  const near = locator.resolve(21.3, 70.5);
+  assert.equal(near.match, 'nearest');
+  assert.equal(near.approximate, true);
+  assert.equal(locator.resolve(30, 80), null);
+});
+
+test('the bundled dataset is marked approximate', () => {
+  const locator = RegionLocator.fromFiles();
+  assert.equal(locator.approximate, true);
+
+  const pune = locator.resolve(18.52, 73.86);
+  assert.equal(pune.district, 'Pune');
+  assert.equal(pune.approximate, true);
+
+  // Delhi is not in the bundled data; its nearest centre is only a hint
+  const delhi = locator.resolve(28.61, 77.21);
+  assert.equal(delhi.match, 'nearest');
+});
+
+test('prompts say when a district is only the nearest one', () => {
+  const season = getCroppingSeason(new Date('2026-07-15T00:00:00Z'));
+  const prompt = formatRegionForPrompt({
+    region: { district: 'Meerut', state: 'Uttar Pradesh', zone: null, match: 'nearest', approximate: true, distanceKm: 62 },
+    season
+  });
+
+  assert.match(prompt, /Nearest known district: Meerut, Uttar Pradesh \(about 62 km away/);
+  assert.match(prompt, /Kharif/);
+});
@@ -0,0 +1,61 @@
+process.env.STORAGE_URL_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Scan = require('../models/Scan');
+const { setPhotoStorage } = require('../services/photoStorageService');
+const { isHealthyDiagnosis, deleteScan } = require('../services/scanService');
+
+test('healthy diagnosis names are recognized', () => {
+  ['Healthy', 'Healthy plant', 'No disease detected', 'No pests found', 'स्वस्थ पौधा', 'निरोगी'].forEach(name => {
+    assert.equal(isHealthyDiagnosis(name), true, name);
+  });
+});
+
+test('negated and unrelated names are not healthy', () => {
+  [
+    'Unhealthy',
+    'Not healthy - early blight',
+    'Non-healthy foliage',
+    "Plant isn't healthy",
+    'अस्वस्थ पौधा',
+    'पौधा स्वस्थ नहीं है',
+    'निरोगी नाही',
+    'Early blight',
+    'Healthyish',
+    '',
+    undefined
+  ].forEach(name => {
+    assert.equal(isHealthyDiagnosis(name), false, String(name));
+  });
+});
+
+test('deleting a scan removes its photos but keeps ones another scan still uses', async t => {
+  const deleted = [];
+  setPhotoStorage({ delete: async key => { deleted.push(key); } });
+  const shared = { imageKey: 'scans/u1/aaa.jpg', thumbnailKey: 'scans/u1/aaa_thumb.jpg' };
+  t.mock.method(Scan, 'find', () => ({ select: () => ({ lean: async () => [{ images: [shared] }] }) }));
+  const removed = [];
+  t.mock.method(Scan, 'deleteOne', async filter => { removed.push(filter); });
+
+  const count = await deleteScan({
+    scanId: 'scan-1',
+    userId: 'u1',
+    images: [shared, { imageUrl: '/uploads/scans/u1/bbb.jpg', thumbnailUrl: '/uploads/scans/u1/bbb_thumb.jpg' }]
+  });
+
+  assert.equal(count, 2);
+  assert.deepEqual(deleted, ['scans/u1/bbb.jpg', 'scans/u1/bbb_thumb.jpg']);
+  assert.deepEqual(removed, [{ scanId: 'scan-1' }]);
+});
+
+test('a failed photo delete keeps the scan so it can be retried', async t => {
+  setPhotoStorage({ delete: async () => { throw new Error('bucket unavailable'); } });
+  t.mock.method(Scan, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+  const deleteOne = t.mock.method(Scan, 'deleteOne', async () => {});
+
+  await assert.rejects(deleteScan({ scanId: 'scan-2', userId: 'u1', images: [{ imageKey: 'scans/u1/ccc.jpg' }] }), {
+    statusCode: 502
+  });
+  assert.equal(deleteOne.mock.callCount(), 0);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAgainstSchema } = require('../services/schemaValidator');
+
+const schema = {
+  type: 'OBJECT',
+  properties: {
+    diagnosis: {
+      type: 'OBJECT',
+      properties: { name: { type: 'STRING' }, confidence: { type: 'INTEGER', minimum: 1, maximum: 100 } },
+      required: ['name', 'confidence']
+    },
+    urgency: { type: 'STRING', enum: ['routine', 'urgent'] },
+    treatment: { type: 'ARRAY', items: { type: 'STRING' } }
+  },
+  required: ['diagnosis', 'urgency', 'treatment']
+};
+
+test('a matching answer has no errors', () => {
+  const answer = { diagnosis: { name: 'Early blight', confidence: 85 }, urgency: 'routine', treatment: ['Remove leaves'] };
+  assert.deepEqual(validateAgainstSchema(answer, schema), []);
+});
+
+test('errors name the field path and the problem', () => {
+  const answer = { diagnosis: { name: 'Early blight', confidence: 85.5 }, urgency: 'soon', treatment: ['Spray', 3] };
+  assert.deepEqual(validateAgainstSchema(answer, schema), [
+    { field: 'diagnosis.confidence', message: 'must be a whole number' },
+    { field: 'urgency', message: 'must be one of routine, urgent' },
+    { field: 'treatment[1]', message: 'must be a string' }
+  ]);
+});
+
+test('missing required fields and out-of-range numbers are reported', () => {
+  assert.deepEqual(validateAgainstSchema({ diagnosis: { confidence: 0 }, treatment: 'Spray' }, schema), [
+    { field: 'urgency', message: 'is required' },
+    { field: 'diagnosis.name', message: 'is required' },
+    { field: 'diagnosis.confidence', message: 'must be at least 1' },
+    { field: 'treatment', message: 'must be an array' }
+  ]);
+  assert.deepEqual(validateAgainstSchema(null, schema), [{ field: '(root)', message: 'is missing' }]);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { validate } = require('../middleware/validate');
+const { imageUploads } = require('../middleware/upload');
+const { MAX_IMAGES } = require('../services/imageService');
+const schemas = require('../schemas/requestSchemas');
+
+// Run the middleware on a fake request; resolves with { next } or the 400 { status, body }
+function run(schema, req) {
+  return new Promise(resolve => {
+    const res = {
+      status(code) {
+        return { json: body => resolve({ status: code, body }) };
+      }
+    };
+    validate(schema)(req, res, () => resolve({ next: true, req }));
+  });
+}
+
+test('form values are coerced to their declared types', async () => {
+  const schema = {
+    body: {
+      count: { type: 'integer', min: 1 },
+      share: { type: 'boolean' },
+      plantedOn: { type: 'date' },
+      crop: { type: 'string', lowercase: true, enum: ['tomato', 'rice'] }
+    }
+  };
+  const { next, req } = await run(schema, {
+    body: { count: '3', share: 'false', plantedOn: '2026-01-15', crop: ' Tomato ', note: 'kept' }
+  });
+
+  assert.equal(next, true);
+  assert.equal(req.body.count, 3);
+  assert.equal(req.body.share, false);
+  assert.equal(req.body.plantedOn.toISOString(), '2026-01-15T00:00:00.000Z');
+  assert.equal(req.body.crop, 'tomato');
+  assert.equal(req.body.note, 'kept');
+});
+
+test('every problem is reported in one 400', async () => {
+  const { status, body } = await run(schemas.register, { body: { phone: '12ab', password: 'short' } });
+
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Validation failed');
+  assert.deepEqual(body.details, [
+    { field: 'phone', message: 'must be a phone number of 10-15 digits' },
+    { field: 'password', message: 'must be at least 8 characters' }
+  ]);
+});
+
+test('missing required fields and files are reported', async () => {
+  const schema = { file: { name: 'image', required: true }, body: { cropId: { type: 'string', required: true } } };
+  const { status, body } = await run(schema, { body: { cropId: '  ' } });
+
+  assert.equal(status, 400);
+  assert.deepEqual(body.details, [
+    { field: 'image', message: 'image file is required' },
+    { field: 'cropId', message: 'is required' }
+  ]);
+});
+
+test('lists keep positions and check each entry', async () => {
+  const schema = { body: { roles: { type: 'list', maxItems: 3, items: { type: 'string', enum: ['leaf', 'stem'] } } } };
+
+  const ok = await run(schema, { body: { roles: 'leaf,,stem' } });
+  assert.deepEqual(ok.req.body.roles, ['leaf', null, 'stem']);
+
+  const bad = await run(schema, { body: { roles: ['leaf', 'root'] } });
+  assert.deepEqual(bad.body.details, [{ field: 'roles[1]', message: 'must be one of: leaf, stem' }]);
+
+  const tooMany = await run(schema, { body: { roles: 'leaf,leaf,leaf,leaf' } });
+  assert.deepEqual(tooMany.body.details, [{ field: 'roles', message: 'must have at most 3 entries' }]);
+});
+
+test('"image" and "images" count together against the per-analysis limit and rejected files are removed', async () => {
+  const paths = Array.from({ length: MAX_IMAGES + 1 }, (_, i) => path.join(os.tmpdir(), `upload-${process.pid}-${i}`));
+  paths.forEach(file => fs.writeFileSync(file, 'x'));
+  const files = paths.map(file => ({ path: file }));
+
+  const { status, body } = await run(schemas.analyzePlant, {
+    files: { image: files.slice(0, 1), images: files.slice(1) },
+    body: { roles: 'leaf_top' }
+  });
+
+  assert.equal(status, 400);
+  assert.deepEqual(body.details, [{ field: 'images', message: `at most ${MAX_IMAGES} images are allowed` }]);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(paths.some(file => fs.existsSync(file)), false);
+});
+
+test('more roles than the limit, or unknown roles, are rejected by position', async () => {
+  const files = { images: [{ path: path.join(os.tmpdir(), 'missing-upload') }] };
+  const tooMany = await run(schemas.analyzePlant, { files, body: { roles: Array(MAX_IMAGES + 1).fill('fruit') } });
+  assert.deepEqual(tooMany.body.details, [{ field: 'roles', message: `must have at most ${MAX_IMAGES} entries` }]);
+
+  const unknown = await run(schemas.analyzePlant, { files, body: { roles: 'Leaf_Top,flower' } });
+  assert.equal(unknown.body.details[0].field, 'roles[1]');
+});
+
+test('uploads past the "images" field limit get a 400 instead of an error', async () => {
+  const boundary = 'test-boundary';
+  const parts = Array.from({ length: MAX_IMAGES + 1 }, (_, i) => [
+    `--${boundary}`,
+    `Content-Disposition: form-data; name="images"; filename="leaf-${i}.jpg"`,
+    'Content-Type: image/jpeg',
+    '',
+    'x'
+  ].join('\r\n'));
+  const req = Readable.from([Buffer.from(`${parts.join('\r\n')}\r\n--${boundary}--\r\n`)]);
+  req.headers = {
+    'content-type': `multipart/form-data; boundary=${boundary}`,
+    'transfer-encoding': 'chunked'
+  };
+
+  const result = await new Promise(resolve => {
+    const res = { status: code => ({ json: body => resolve({ status: code, body }) }) };
+    imageUploads(req, res, error => resolve({ next: true, error }));
+  });
+
+  assert.equal(result.status, 400);
+  assert.deepEqual(result.body.details, [{ field: 'images', message: `at most ${MAX_IMAGES} images are allowed` }]);
+});
+
+test('nested objects are checked field by field', async () => {
+  const schema = { body: { field: { type: 'object', properties: { areaAcres: { type: 'number', min: 0 } } } } };
+  const { body } = await run(schema, { body: { field: { areaAcres: 'lots' } } });
+
+  assert.deepEqual(body.details, [{ field: 'field.areaAcres', message: 'must be a number' }]);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WeatherService } = require('../services/weatherService');
+
+const MINUTE_MS = 60 * 1000;
+
+function countingProvider() {
+  return {
+    name: 'test',
+    calls: 0,
+    async getWeather() {
+      this.calls++;
+      return { current: { temperatureC: 30, humidityPercent: 60, rainfallMm: 0 }, forecast: [] };
+    }
+  };
+}
+
+test('expired weather is dropped when new weather is cached', async () => {
+  let now = 0;
+  const service = new WeatherService(countingProvider(), { now: () => now, cacheTtlMs: 30 * MINUTE_MS });
+
+  await service.getWeather(18.5, 73.8);
+  await service.getWeather(19.1, 72.9);
+  now += 31 * MINUTE_MS;
+  await service.getWeather(21.1, 79.1);
+
+  assert.deepEqual(Array.from(service.cache.keys()), ['21.10,79.10']);
+});
+
+test('the weather cache keeps at most maxCacheEntries locations', async () => {
+  const provider = countingProvider();
+  const service = new WeatherService(provider, { maxCacheEntries: 2 });
+
+  await service.getWeather(18.5, 73.8);
+  await service.getWeather(19.1, 72.9);
+  await service.getWeather(21.1, 79.1);
+
+  assert.deepEqual(Array.from(service.cache.keys()), ['19.10,72.90', '21.10,79.10']);
+  await service.getWeather(19.1, 72.9);
+  assert.equal(provider.calls, 3);
+});